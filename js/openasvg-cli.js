@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+// openasvg-cli.js - OpenASVG command line frame exporter v2025.7
+// Copyright 2025 Halide Systems Ltd.
+
+const fs = require('fs');
+const path = require('path');
+const OpenASVG = require('./openasvg.js');
+
+const USAGE = `Usage: openasvg <command> <input.asvg> [options]
+
+Commands:
+  frame      Write a single frame as SVG or PNG
+  fallback   Write a static SVG to use as fallback content
+  frames     Write a numbered frame sequence
+  validate   Check the document against the ASVG schema
+
+Options:
+  -t, --time <time>      Time of the frame, e.g. 1.5s or 500ms (default 0)
+      --frame <n>        Frame number instead of a time, counted at --fps
+      --fps <n>          Frames per second (default: the document's fps)
+      --start <time>     First frame time for "frames" (default 0)
+      --end <time>       Last frame time for "frames" (default: the duration)
+  -f, --format <fmt>     svg or png (default svg)
+  -w, --width <px>       PNG width (default: the document's width)
+  -h, --height <px>      PNG height (default: the document's height)
+  -o, --output <file>    Output file; for "frames" a pattern such as
+                         out/frame-%04d.png (default: next to the input)
+      --help             Show this help
+
+PNG output needs the optional "@napi-rs/canvas" or "canvas" package.`;
+
+const ALIASES = { t: 'time', f: 'format', w: 'width', h: 'height', o: 'output' };
+
+function parseArguments(argv) {
+  const args = { positional: [] };
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help') {
+      args.help = true;
+      continue;
+    }
+    
+    const match = arg.match(/^(?:--([a-z-]+)|-([a-z]))(?:=(.*))?$/);
+    if (!match) {
+      args.positional.push(arg);
+      continue;
+    }
+    
+    const name = match[1] || ALIASES[match[2]];
+    if (!name) throw new Error(`Unknown option ${arg}`);
+    
+    const value = match[3] !== undefined ? match[3] : argv[++i];
+    if (value === undefined) throw new Error(`Missing value for ${arg}`);
+    args[name] = value;
+  }
+  
+  return args;
+}
+
+function loadCanvas() {
+  for (const name of ['@napi-rs/canvas', 'canvas']) {
+    try {
+      return require(name).createCanvas;
+    } catch (error) {
+      if (error.code !== 'MODULE_NOT_FOUND') throw error;
+    }
+  }
+  
+  throw new Error('PNG output needs the optional "@napi-rs/canvas" or "canvas" package');
+}
+
+function loadAnimation(file, createCanvas) {
+  const source = fs.readFileSync(file, 'utf8');
+  
+  // Parse up front so that syntax errors can be reported with a position
+  let doc;
+  try {
+    doc = OpenASVG.parseXMLDocument(source);
+  } catch (error) {
+    if (error instanceof OpenASVG.XMLError) throw new Error(`${file}: ${error.message}`);
+    throw error;
+  }
+  
+  const root = doc.querySelector('asvg');
+  if (!root) throw new Error(`${file}: No ASVG root element found`);
+  
+  const animation = new OpenASVG(root, { autoplay: false, createCanvas });
+  if (!animation.svgContent) throw new Error(`${file}: No SVG content found`);
+  
+  return animation;
+}
+
+// Prints diagnostics as file:line:column, the format editors and CI pick up
+function validate(file) {
+  const diagnostics = OpenASVG.validate(fs.readFileSync(file, 'utf8'));
+  diagnostics.forEach(({ severity, code, message, line, column }) => {
+    console.log(`${file}:${line || 1}:${column || 1}: ${severity}: ${message} [${code}]`);
+  });
+  
+  const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error').length;
+  const warnings = diagnostics.length - errors;
+  if (!diagnostics.length) {
+    console.log(`${file}: valid`);
+    return;
+  }
+  
+  console.log(`${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}`);
+  if (errors) process.exitCode = 1;
+}
+
+function formatPattern(pattern, frame) {
+  return pattern.replace(/%(0?)(\d*)d/g, (match, zero, width) => (
+    String(frame).padStart(Number(width) || 0, zero ? '0' : ' ')
+  ));
+}
+
+async function writeFrame(animation, time, format, file, size) {
+  let data = await animation.exportFrame(time, format, size);
+  if (format === 'svg') {
+    data = `<?xml version="1.0" encoding="UTF-8"?>\n${data}\n`;
+  } else if (typeof data.arrayBuffer === 'function') {
+    // Canvas packages may encode to a Blob rather than a Buffer
+    data = Buffer.from(await data.arrayBuffer());
+  }
+  
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, data);
+}
+
+async function run(argv) {
+  const args = parseArguments(argv);
+  const [command, input] = args.positional;
+  
+  if (args.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+  if (!['frame', 'fallback', 'frames', 'validate'].includes(command)) {
+    throw new Error(`Unknown command "${command}"`);
+  }
+  if (!input) throw new Error('No input file given');
+  
+  if (command === 'validate') {
+    validate(input);
+    return;
+  }
+  
+  const format = command === 'fallback' ? 'svg' : (args.format || 'svg').toLowerCase();
+  if (!['svg', 'png'].includes(format)) throw new Error(`Unsupported format "${format}"`);
+  
+  const animation = loadAnimation(input, format === 'png' ? loadCanvas() : undefined);
+  const fps = args.fps ? Number(args.fps) : animation.options.fps;
+  if (!(fps > 0)) throw new Error(`Invalid frame rate "${args.fps}"`);
+  
+  const parseTime = value => {
+    if (!/^[\d.]+(ms|s|m)?$/.test(value)) throw new Error(`Invalid time "${value}"`);
+    return animation.parseTime(value);
+  };
+  const size = {
+    width: args.width ? parseInt(args.width, 10) : undefined,
+    height: args.height ? parseInt(args.height, 10) : undefined
+  };
+  const base = input.replace(/\.asvg$/i, '');
+  
+  if (command === 'frames') {
+    const start = args.start ? parseTime(args.start) : 0;
+    const end = args.end ? parseTime(args.end) : animation.duration;
+    const pattern = args.output || `${base}-%04d.${format}`;
+    if (!/%0?\d*d/.test(pattern)) throw new Error('The output pattern needs a frame number such as %04d');
+    
+    const times = animation.getFrameTimes(fps, start, end);
+    for (let i = 0; i < times.length; i++) {
+      await writeFrame(animation, times[i], format, formatPattern(pattern, i), size);
+    }
+    console.log(`Wrote ${times.length} frames to ${path.dirname(pattern)}`);
+    return;
+  }
+  
+  const time = args.frame !== undefined ? Number(args.frame) / fps : parseTime(args.time || '0s');
+  if (command === 'fallback') {
+    // Give the fallback the animation's intrinsic size
+    ['width', 'height'].forEach(name => {
+      if (!animation.svgContent.hasAttribute(name)) {
+        animation.svgContent.setAttribute(name, animation.options[name]);
+      }
+    });
+  }
+  
+  const output = args.output || (command === 'fallback' ? `${base}-fallback.svg` : `${base}.${format}`);
+  await writeFrame(animation, time, format, output, size);
+  console.log(`Wrote ${output}`);
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).catch(error => {
+    console.error(`openasvg: ${error.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { run };
@@ -0,0 +1,902 @@
+// openasvg-lottie.js - Lottie (Bodymovin JSON) importer for OpenASVG v2025.7
+// Copyright 2025 Halide Systems Ltd.
+
+// Loaded as a plain script it extends the global OpenASVG, so openasvg.js
+// has to be loaded first as a plain script too, not through AMD
+const LottieOpenASVG = typeof module !== 'undefined' && module.exports
+  ? require('./openasvg.js')
+  : globalThis.OpenASVG;
+if (!LottieOpenASVG) {
+  throw new Error('openasvg-lottie.js needs OpenASVG: load openasvg.js before it');
+}
+
+const LOTTIE_LAYER_TYPES = {
+  0: 'Precomp',
+  1: 'Solid',
+  2: 'Image',
+  3: 'Null',
+  4: 'Shape',
+  5: 'Text',
+  6: 'Audio',
+  13: 'Camera'
+};
+
+const LOTTIE_SHAPE_TYPES = {
+  mm: 'Merge paths',
+  rp: 'Repeaters',
+  rd: 'Rounded corners',
+  pb: 'Pucker and bloat',
+  tw: 'Twist',
+  op: 'Offset paths',
+  zz: 'Zig zag'
+};
+
+// Converts a Lottie animation into ASVG markup. Layers become nested SVG
+// groups, one per transform component, so that each component can be
+// animated on its own with <animate-transform> or <keyframes>.
+class ASVGLottieConverter {
+  constructor(lottie, options = {}) {
+    this.lottie = typeof lottie === 'string' ? JSON.parse(lottie) : lottie;
+    this.options = options;
+    this.fps = this.lottie.fr || 30;
+    this.warnings = [];
+    this.defs = [];
+    this.animations = [];
+    this.context = [];
+    this.ids = new Set();
+    this.precomps = [];
+    this.timeOffset = 0;
+    this.range = [0, 0];
+    
+    // Used to evaluate easings when trim paths have to be sampled
+    this.evaluator = new LottieOpenASVG(null, { autoplay: false });
+  }
+  
+  convert() {
+    const data = this.lottie;
+    if (!data || !Array.isArray(data.layers)) {
+      throw new Error('Not a Lottie animation: no layers found');
+    }
+    
+    const width = data.w || 0;
+    const height = data.h || 0;
+    const ip = data.ip || 0;
+    const op = data.op !== undefined ? data.op : ip;
+    
+    this.assets = new Map((data.assets || []).map(asset => [asset.id, asset]));
+    this.timeOffset = ip;
+    this.range = [ip, op];
+    
+    const layers = this.convertLayers(data.layers);
+    const loop = this.options.loop !== undefined ? this.options.loop : true;
+    
+    const root = this.node('asvg', {
+      version: '2025.7',
+      xmlns: 'http://halide.org/openasvg/2025.7',
+      'xmlns:svg': 'http://www.w3.org/2000/svg',
+      width,
+      height,
+      duration: this.formatTime((op - ip) / this.fps),
+      fps: Math.round(this.fps),
+      loop: String(Boolean(loop))
+    }, [
+      this.node('timeline', {}, this.animations),
+      this.node('svg:svg', { viewBox: `0 0 ${width} ${height}`, width, height }, [
+        ...(this.defs.length ? [this.node('svg:defs', {}, this.defs)] : []),
+        ...layers
+      ])
+    ]);
+    
+    return {
+      source: `<?xml version="1.0" encoding="UTF-8"?>\n${this.serialize(root)}\n`,
+      warnings: this.warnings.slice()
+    };
+  }
+  
+  // Layers
+  convertLayers(layers) {
+    const byIndex = new Map(layers.map(layer => [layer.ind, layer]));
+    
+    // Lottie lists the topmost layer first
+    return layers.slice().reverse()
+      .map(layer => this.convertLayer(layer, byIndex))
+      .filter(Boolean);
+  }
+  
+  convertLayer(layer, byIndex) {
+    if (layer.hd) return null;
+    
+    this.context.push(`Layer "${layer.nm || layer.ind}"`);
+    try {
+      // Matte sources are only visible through the layer that uses them
+      if (layer.td) {
+        this.warn('Track matte sources are not supported and were skipped');
+        return null;
+      }
+      
+      const id = this.createId(layer.nm || 'layer');
+      let content;
+      switch (layer.ty) {
+        case 0:
+          content = this.convertPrecomp(layer, id);
+          break;
+        case 1:
+          content = [this.node('svg:rect', {
+            width: layer.sw,
+            height: layer.sh,
+            fill: layer.sc
+          })];
+          break;
+        case 2:
+          content = this.convertImage(layer);
+          break;
+        case 3:
+          content = [];
+          break;
+        case 4:
+          content = this.convertShapes(layer.shapes || [], id, []);
+          break;
+        default:
+          this.warn(`${LOTTIE_LAYER_TYPES[layer.ty] || `Type ${layer.ty}`} layers are not supported`);
+          return null;
+      }
+      
+      this.checkLayer(layer);
+      
+      // Opacity and masks apply in the layer's own coordinates, inside its
+      // transform, and are not passed on to child layers
+      const ks = layer.ks || {};
+      const maskId = this.convertMasks(layer, id);
+      const opacity = this.formatOpacity(this.staticValue(ks.o, [100]));
+      this.animateProperty(ks.o, id, { attribute: 'opacity' }, value => this.formatOpacity(value));
+      
+      let body = this.node('svg:g', {
+        id,
+        opacity: opacity !== '1' || this.isAnimated(ks.o) ? opacity : null,
+        mask: maskId ? `url(#${maskId})` : null
+      }, content);
+      body = this.wrapTransform(ks, id, body);
+      
+      // Parenting only passes on transforms, so each child repeats its
+      // parents' transform chain
+      const seen = new Set([layer]);
+      let parent = byIndex.get(layer.parent);
+      let depth = 0;
+      while (parent && !seen.has(parent)) {
+        seen.add(parent);
+        body = this.wrapTransform(parent.ks || {}, `${id}-parent${++depth}`, body);
+        parent = byIndex.get(parent.parent);
+      }
+      
+      return this.wrapVisibility(layer, id, body);
+    } finally {
+      this.context.pop();
+    }
+  }
+  
+  checkLayer(layer) {
+    if (layer.tt) this.warn('Track mattes are not supported');
+    if (layer.ef && layer.ef.length) this.warn('Layer effects are not supported');
+    if (layer.bm) this.warn('Blend modes are not supported');
+    if (layer.ddd) this.warn('3D layers are flattened to 2D');
+    if (layer.ao) this.warn('Auto-orient is not supported');
+    if (layer.tm) this.warn('Time remapping is not supported');
+    if (layer.sr !== undefined && layer.sr !== 1) this.warn('Time stretch is not supported');
+  }
+  
+  wrapVisibility(layer, id, body) {
+    const [start, end] = this.range;
+    const ip = layer.ip !== undefined ? layer.ip : start;
+    const op = layer.op !== undefined ? layer.op : end;
+    if (ip <= start && op >= end) return body;
+    
+    // Hidden by default and shown while the layer is in range
+    const visibilityId = `${id}-visibility`;
+    const from = Math.max(0, (ip - this.timeOffset) / this.fps);
+    const to = (op - this.timeOffset) / this.fps;
+    if (to > from) {
+      this.animations.push(this.node('animate', {
+        target: `#${visibilityId}`,
+        attribute: 'display',
+        from: 'inline',
+        to: 'inline',
+        start: from > 0 ? this.formatTime(from) : null,
+        duration: this.formatTime(to - from)
+      }));
+    }
+    
+    return this.node('svg:g', { id: visibilityId, display: 'none' }, [body]);
+  }
+  
+  convertPrecomp(layer, id) {
+    const asset = this.assets.get(layer.refId);
+    if (!asset || !asset.layers) {
+      this.warn(`Precomp "${layer.refId}" was not found`);
+      return [];
+    }
+    if (this.precomps.includes(asset)) {
+      this.warn(`Precomp "${layer.refId}" contains itself`);
+      return [];
+    }
+    
+    // A precomp's local time starts at the layer's start time. Groups can't
+    // start before their parent, so earlier starts shift the keys instead.
+    const startFrame = layer.st || 0;
+    const start = (startFrame - this.timeOffset) / this.fps;
+    const saved = {
+      animations: this.animations,
+      timeOffset: this.timeOffset,
+      range: this.range
+    };
+    
+    this.animations = [];
+    this.timeOffset = start >= 0 ? 0 : this.timeOffset - startFrame;
+    this.range = [
+      (layer.ip !== undefined ? layer.ip : saved.range[0]) - startFrame,
+      (layer.op !== undefined ? layer.op : saved.range[1]) - startFrame
+    ];
+    this.precomps.push(asset);
+    
+    let layers;
+    try {
+      layers = this.convertLayers(asset.layers);
+    } finally {
+      this.precomps.pop();
+      const animations = this.animations;
+      Object.assign(this, saved);
+      
+      if (animations.length) {
+        this.animations.push(this.node('parallel', {
+          id: `${id}-timeline`,
+          start: start > 0 ? this.formatTime(start) : null,
+          fill: 'freeze'
+        }, animations));
+      }
+    }
+    
+    const width = layer.w || asset.w;
+    const height = layer.h || asset.h;
+    if (!width || !height) return layers;
+    
+    const clipId = `${id}-clip`;
+    this.defs.push(this.node('svg:clipPath', { id: clipId }, [
+      this.node('svg:rect', { width, height })
+    ]));
+    
+    return [this.node('svg:g', { 'clip-path': `url(#${clipId})` }, layers)];
+  }
+  
+  convertImage(layer) {
+    const asset = this.assets.get(layer.refId);
+    if (!asset || !asset.p) {
+      this.warn(`Image "${layer.refId}" was not found`);
+      return [];
+    }
+    
+    return [this.node('svg:image', {
+      href: asset.e ? asset.p : `${asset.u || ''}${asset.p}`,
+      width: asset.w,
+      height: asset.h
+    })];
+  }
+  
+  convertMasks(layer, id) {
+    const masks = (layer.masksProperties || []).filter(mask => mask.mode !== 'n');
+    if (!layer.hasMask || !masks.length) return null;
+    
+    const maskId = `${id}-mask`;
+    const children = [];
+    
+    masks.forEach((mask, index) => {
+      if (mask.inv) this.warn('Inverted masks are not supported');
+      if (mask.x && (this.isAnimated(mask.x) || this.staticValue(mask.x, [0])[0])) {
+        this.warn('Mask expansion is not supported');
+      }
+      if (!['a', 's'].includes(mask.mode)) {
+        this.warn(`Mask mode "${mask.mode}" is not supported and was treated as add`);
+      }
+      
+      // Subtracting from nothing subtracts from the whole layer
+      const subtract = mask.mode === 's';
+      if (subtract && index === 0) {
+        children.push(this.node('svg:rect', {
+          x: -100000,
+          y: -100000,
+          width: 200000,
+          height: 200000,
+          fill: 'white'
+        }));
+      }
+      
+      const pathId = `${maskId}-${index}`;
+      const opacity = this.formatOpacity(this.staticValue(mask.o, [100]));
+      this.animateProperty(mask.pt, pathId, { attribute: 'd' }, value => this.pathData(value));
+      this.animateProperty(mask.o, pathId, { attribute: 'fill-opacity' }, value => this.formatOpacity(value));
+      
+      children.push(this.node('svg:path', {
+        id: pathId,
+        d: this.pathData(this.staticValue(mask.pt)),
+        fill: subtract ? 'black' : 'white',
+        'fill-opacity': opacity !== '1' || this.isAnimated(mask.o) ? opacity : null
+      }));
+    });
+    
+    this.defs.push(this.node('svg:mask', {
+      id: maskId,
+      maskUnits: 'userSpaceOnUse',
+      x: -100000,
+      y: -100000,
+      width: 200000,
+      height: 200000
+    }, children));
+    
+    return maskId;
+  }
+  
+  // Transforms
+  wrapTransform(ks, id, content) {
+    if (ks.sk && (this.isAnimated(ks.sk) || this.staticValue(ks.sk, [0])[0])) {
+      this.warn('Skew is not supported');
+    }
+    if (ks.rx || ks.ry) this.warn('3D rotation is not supported');
+    
+    const point = value => `${this.formatNumber(value[0])} ${this.formatNumber(value[1] || 0)}`;
+    const parts = [];
+    
+    if (ks.p && ks.p.s) {
+      parts.push(
+        ['px', 'translate', ks.p.x, value => `${this.formatNumber(value[0])} 0`, '0 0'],
+        ['py', 'translate', ks.p.y, value => `0 ${this.formatNumber(value[0])}`, '0 0']
+      );
+    } else {
+      parts.push(['p', 'translate', ks.p, point, '0 0']);
+    }
+    parts.push(
+      ['r', 'rotate', ks.r || ks.rz, value => this.formatNumber(value[0]), '0'],
+      ['s', 'scale', ks.s, value => point([value[0] / 100, (value[1] !== undefined ? value[1] : value[0]) / 100]), '1 1'],
+      ['a', 'translate', ks.a, value => point([-value[0], -(value[1] || 0)]), '0 0']
+    );
+    
+    // The anchor point is applied first, so it ends up innermost
+    return parts.reverse().reduce((inner, [suffix, type, prop, format, identity]) => {
+      if (!prop) return inner;
+      
+      const value = format(this.staticValue(prop, [0, 0]));
+      if (!this.isAnimated(prop) && value === identity) return inner;
+      
+      const groupId = `${id}-${suffix}`;
+      this.animateProperty(prop, groupId, { type }, format);
+      return this.node('svg:g', { id: groupId, transform: `${type}(${value})` }, [inner]);
+    }, content);
+  }
+  
+  // Shapes
+  convertShapes(items, id, inherited, trim = null) {
+    items = items.filter(item => !item.hd);
+    
+    const trims = items.filter(item => item.ty === 'tm');
+    if (trims.length > 1 || (trims.length && trim)) this.warn('Only the innermost trim path is applied');
+    if (trims.length) trim = trims[trims.length - 1];
+    
+    items.forEach(item => {
+      if (LOTTIE_SHAPE_TYPES[item.ty]) this.warn(`${LOTTIE_SHAPE_TYPES[item.ty]} are not supported`);
+    });
+    
+    const geometry = items.filter(item => ['sh', 'rc', 'el', 'sr'].includes(item.ty));
+    const styles = items.filter(item => ['fl', 'st', 'gf', 'gs'].includes(item.ty));
+    const output = [];
+    
+    // Styles apply to every shape listed before them, including shapes in
+    // nested groups, and items listed first are drawn on top
+    inherited.forEach(style => {
+      if (geometry.length) output.push(this.convertStyle(style, geometry, id, trim));
+    });
+    
+    items.slice().reverse().forEach(item => {
+      const index = items.indexOf(item);
+      if (item.ty === 'gr') {
+        const groupId = this.createId(item.nm || 'group');
+        const groupStyles = styles.filter(style => items.indexOf(style) > index);
+        const children = this.convertShapes(item.it || [], groupId, [...inherited, ...groupStyles.reverse()], trim);
+        output.push(this.convertGroupTransform(item, groupId, children));
+      } else if (styles.includes(item)) {
+        const covered = geometry.filter(shape => items.indexOf(shape) < index);
+        if (covered.length) output.push(this.convertStyle(item, covered, id, trim));
+      }
+    });
+    
+    return output;
+  }
+  
+  convertGroupTransform(group, id, children) {
+    const transform = (group.it || []).find(item => item.ty === 'tr') || {};
+    const opacity = this.formatOpacity(this.staticValue(transform.o, [100]));
+    this.animateProperty(transform.o, id, { attribute: 'opacity' }, value => this.formatOpacity(value));
+    
+    const content = this.node('svg:g', {
+      id,
+      opacity: opacity !== '1' || this.isAnimated(transform.o) ? opacity : null
+    }, children);
+    
+    return this.wrapTransform(transform, id, content);
+  }
+  
+  convertStyle(style, geometry, id, trim) {
+    const styleId = this.createId(`${id}-${style.ty === 'fl' || style.ty === 'gf' ? 'fill' : 'stroke'}`);
+    const attributes = { id: styleId };
+    const stroke = style.ty === 'st' || style.ty === 'gs';
+    const paint = stroke ? 'stroke' : 'fill';
+    
+    if (style.ty === 'fl' || style.ty === 'st') {
+      attributes[paint] = this.formatColor(this.staticValue(style.c, [0, 0, 0]));
+      this.animateProperty(style.c, styleId, { attribute: paint, color: true }, value => this.formatColor(value));
+    } else {
+      attributes[paint] = `url(#${this.convertGradient(style, styleId)})`;
+    }
+    
+    const opacity = this.formatOpacity(this.staticValue(style.o, [100]));
+    if (opacity !== '1' || this.isAnimated(style.o)) attributes[`${paint}-opacity`] = opacity;
+    this.animateProperty(style.o, styleId, { attribute: `${paint}-opacity` }, value => this.formatOpacity(value));
+    
+    if (stroke) {
+      attributes.fill = 'none';
+      attributes['stroke-width'] = this.formatNumber(this.staticValue(style.w, [1])[0]);
+      attributes['stroke-linecap'] = { 1: 'butt', 2: 'round', 3: 'square' }[style.lc] || 'butt';
+      attributes['stroke-linejoin'] = { 1: 'miter', 2: 'round', 3: 'bevel' }[style.lj] || 'miter';
+      if (style.ml) attributes['stroke-miterlimit'] = style.ml;
+      this.animateProperty(style.w, styleId, { attribute: 'stroke-width' }, value => this.formatNumber(value[0]));
+      
+      if (trim) {
+        Object.assign(attributes, this.convertTrim(trim, styleId));
+      } else if (style.d && style.d.length) {
+        Object.assign(attributes, this.convertDashes(style.d));
+      }
+    } else {
+      if (trim) this.warn('Trim paths only affect strokes');
+      if (style.r === 2) attributes['fill-rule'] = 'evenodd';
+    }
+    
+    const shapes = geometry.map(shape => this.convertGeometry(shape, this.createId(`${styleId}-shape`), Boolean(trim && stroke)));
+    return this.node('svg:g', attributes, shapes);
+  }
+  
+  convertGeometry(shape, id, trimmed) {
+    const pathLength = trimmed ? 100 : null;
+    if (shape.d === 3 && trimmed) this.warn('Reversed path direction is ignored by trim paths');
+    
+    switch (shape.ty) {
+      case 'sh':
+        this.animateProperty(shape.ks, id, { attribute: 'd' }, value => this.pathData(value));
+        return this.node('svg:path', { id, d: this.pathData(this.staticValue(shape.ks)), pathLength });
+      case 'el': {
+        const [cx, cy] = this.staticValue(shape.p, [0, 0]);
+        const [width, height] = this.staticValue(shape.s, [0, 0]);
+        this.animateProperty(shape.p, id, { attribute: 'cx' }, value => this.formatNumber(value[0]));
+        this.animateProperty(shape.p, id, { attribute: 'cy' }, value => this.formatNumber(value[1]));
+        this.animateProperty(shape.s, id, { attribute: 'rx' }, value => this.formatNumber(value[0] / 2));
+        this.animateProperty(shape.s, id, { attribute: 'ry' }, value => this.formatNumber(value[1] / 2));
+        
+        return this.node('svg:ellipse', {
+          id,
+          cx: this.formatNumber(cx),
+          cy: this.formatNumber(cy),
+          rx: this.formatNumber(width / 2),
+          ry: this.formatNumber(height / 2),
+          pathLength
+        });
+      }
+      case 'rc': {
+        // Rectangles are positioned by their center
+        const [width, height] = this.staticValue(shape.s, [0, 0]);
+        const radius = this.staticValue(shape.r, [0])[0];
+        const positionId = `${id}-p`;
+        this.animateProperty(shape.p, positionId, { type: 'translate' }, value => `${this.formatNumber(value[0])} ${this.formatNumber(value[1])}`);
+        this.animateProperty(shape.s, id, { attribute: 'x' }, value => this.formatNumber(-value[0] / 2));
+        this.animateProperty(shape.s, id, { attribute: 'y' }, value => this.formatNumber(-value[1] / 2));
+        this.animateProperty(shape.s, id, { attribute: 'width' }, value => this.formatNumber(value[0]));
+        this.animateProperty(shape.s, id, { attribute: 'height' }, value => this.formatNumber(value[1]));
+        this.animateProperty(shape.r, id, { attribute: 'rx' }, value => this.formatNumber(value[0]));
+        this.animateProperty(shape.r, id, { attribute: 'ry' }, value => this.formatNumber(value[0]));
+        
+        const [x, y] = this.staticValue(shape.p, [0, 0]);
+        return this.node('svg:g', { id: positionId, transform: `translate(${this.formatNumber(x)} ${this.formatNumber(y)})` }, [
+          this.node('svg:rect', {
+            id,
+            x: this.formatNumber(-width / 2),
+            y: this.formatNumber(-height / 2),
+            width: this.formatNumber(width),
+            height: this.formatNumber(height),
+            rx: radius ? this.formatNumber(radius) : null,
+            ry: radius ? this.formatNumber(radius) : null,
+            pathLength
+          })
+        ]);
+      }
+      case 'sr':
+        if (['p', 'r', 'or', 'ir', 'pt', 'os', 'is'].some(name => this.isAnimated(shape[name]))) {
+          this.warn('Animated stars and polygons are not supported; the first frame is used');
+        }
+        if ((this.staticValue(shape.os, [0])[0] || this.staticValue(shape.is, [0])[0])) {
+          this.warn('Star and polygon roundness is not supported');
+        }
+        return this.node('svg:path', { id, d: this.starPathData(shape), pathLength });
+      default:
+        return null;
+    }
+  }
+  
+  starPathData(shape) {
+    const [x, y] = this.staticValue(shape.p, [0, 0]);
+    const points = Math.round(this.staticValue(shape.pt, [5])[0]);
+    const outer = this.staticValue(shape.or, [0])[0];
+    const inner = shape.sy === 1 ? this.staticValue(shape.ir, [0])[0] : outer;
+    const rotation = this.staticValue(shape.r, [0])[0];
+    const count = shape.sy === 1 ? points * 2 : points;
+    
+    // Points start straight up from the center
+    const vertices = [];
+    for (let i = 0; i < count; i++) {
+      const radius = shape.sy === 1 && i % 2 === 1 ? inner : outer;
+      const angle = (rotation - 90) * Math.PI / 180 + i * 2 * Math.PI / count;
+      vertices.push(`${this.formatNumber(x + radius * Math.cos(angle))},${this.formatNumber(y + radius * Math.sin(angle))}`);
+    }
+    
+    return `M${vertices.join(' L')} Z`;
+  }
+  
+  convertGradient(style, id) {
+    const gradientId = `${id}-gradient`;
+    if (['s', 'e', 'h', 'a'].some(name => this.isAnimated(style[name])) || (style.g && this.isAnimated(style.g.k))) {
+      this.warn('Animated gradients are not supported; the first frame is used');
+    }
+    
+    const [x1, y1] = this.staticValue(style.s, [0, 0]);
+    const [x2, y2] = this.staticValue(style.e, [0, 0]);
+    const count = style.g ? style.g.p : 0;
+    const values = style.g ? this.staticValue(style.g.k, []) : [];
+    
+    // Color stops come first, then optional [offset, alpha] pairs
+    const stops = [];
+    for (let i = 0; i < count; i++) {
+      const [offset, r, g, b] = values.slice(i * 4, i * 4 + 4);
+      const alphaIndex = count * 4 + i * 2 + 1;
+      stops.push(this.node('svg:stop', {
+        offset: this.formatNumber(offset),
+        'stop-color': this.formatColor([r, g, b]),
+        'stop-opacity': alphaIndex < values.length ? this.formatNumber(values[alphaIndex]) : null
+      }));
+    }
+    
+    const common = { id: gradientId, gradientUnits: 'userSpaceOnUse' };
+    if (style.t === 2) {
+      if (this.staticValue(style.h, [0])[0]) this.warn('Radial gradient highlights are not supported');
+      this.defs.push(this.node('svg:radialGradient', {
+        ...common,
+        cx: this.formatNumber(x1),
+        cy: this.formatNumber(y1),
+        r: this.formatNumber(Math.hypot(x2 - x1, y2 - y1))
+      }, stops));
+    } else {
+      this.defs.push(this.node('svg:linearGradient', {
+        ...common,
+        x1: this.formatNumber(x1),
+        y1: this.formatNumber(y1),
+        x2: this.formatNumber(x2),
+        y2: this.formatNumber(y2)
+      }, stops));
+    }
+    
+    return gradientId;
+  }
+  
+  convertDashes(dashes) {
+    const lengths = dashes.filter(dash => dash.n !== 'o');
+    const offset = dashes.find(dash => dash.n === 'o');
+    if (dashes.some(dash => this.isAnimated(dash.v))) {
+      this.warn('Animated dashes are not supported; the first frame is used');
+    }
+    
+    return {
+      'stroke-dasharray': lengths.map(dash => this.formatNumber(this.staticValue(dash.v, [0])[0])).join(' '),
+      'stroke-dashoffset': offset ? this.formatNumber(this.staticValue(offset.v, [0])[0]) : null
+    };
+  }
+  
+  // Trim paths draw a single dash along a path normalized to a length of
+  // 100, with a gap long enough that the dash never repeats
+  convertTrim(trim, target) {
+    if (trim.m === 2) this.warn('Trimming shapes individually is not supported');
+    
+    const values = (start, end, offset) => ({
+      'stroke-dasharray': `${this.formatNumber(Math.abs(end - start))} 200`,
+      'stroke-dashoffset': this.formatNumber(-(Math.min(start, end) + offset / 3.6))
+    });
+    const props = [trim.s, trim.e, trim.o];
+    const current = props.map(prop => this.staticValue(prop, [0])[0]);
+    const animated = props.filter(prop => this.isAnimated(prop));
+    
+    if (animated.length === 1) {
+      // Reuse the keyframes of the one animated property
+      const index = props.indexOf(animated[0]);
+      const withValue = value => {
+        const args = current.slice();
+        args[index] = value[0];
+        return values(...args);
+      };
+      this.animateProperty(animated[0], target, { attribute: 'stroke-dasharray' }, value => withValue(value)['stroke-dasharray']);
+      this.animateProperty(animated[0], target, { attribute: 'stroke-dashoffset' }, value => withValue(value)['stroke-dashoffset']);
+    } else if (animated.length > 1) {
+      // Keys at different times can't be combined, so sample every frame
+      const times = animated.flatMap(prop => this.getKeys(prop).map(key => key.time));
+      const first = Math.min(...times);
+      const last = Math.max(...times);
+      const frames = [];
+      for (let frame = first; frame < last; frame++) frames.push(frame);
+      frames.push(last);
+      
+      const samples = {
+        k: frames.map(frame => ({
+          t: frame,
+          s: [0],
+          values: values(...props.map(prop => this.valueAt(prop, frame)))
+        }))
+      };
+      this.animateProperty(samples, target, { attribute: 'stroke-dasharray' }, (value, key) => key.values['stroke-dasharray']);
+      this.animateProperty(samples, target, { attribute: 'stroke-dashoffset' }, (value, key) => key.values['stroke-dashoffset']);
+    }
+    
+    return values(...current);
+  }
+  
+  // Properties
+  isAnimated(prop) {
+    return Boolean(prop && Array.isArray(prop.k) && prop.k.length &&
+      prop.k[0] !== null && typeof prop.k[0] === 'object' && 't' in prop.k[0]);
+  }
+  
+  staticValue(prop, fallback) {
+    if (!prop) return fallback;
+    if (prop.x) this.warn('Expressions are not evaluated');
+    
+    const value = this.isAnimated(prop) ? this.getKeys(prop)[0].value : prop.k;
+    return value === undefined ? fallback : this.toArray(value);
+  }
+  
+  toArray(value) {
+    return Array.isArray(value) ? value : [value];
+  }
+  
+  getKeys(prop) {
+    const keys = [];
+    
+    prop.k.forEach((frame, i) => {
+      // Older exports store each segment's end value on the previous key
+      const previous = prop.k[i - 1];
+      const value = frame.s !== undefined ? frame.s : previous && previous.e;
+      if (value === undefined) return;
+      
+      if (this.hasTangents(frame.to) || this.hasTangents(frame.ti)) {
+        this.warn('Curved motion paths are converted to straight lines');
+      }
+      
+      let easing = 'linear';
+      if (frame.h === 1) {
+        easing = 'step-end';
+      } else if (frame.o && frame.i) {
+        const first = value => (Array.isArray(value) ? value[0] : value);
+        const clamp = value => Math.min(1, Math.max(0, first(value)));
+        const bezier = [clamp(frame.o.x), first(frame.o.y), clamp(frame.i.x), first(frame.i.y)];
+        if (bezier.some(value => typeof value !== 'number' || isNaN(value))) {
+          easing = 'linear';
+        } else if (bezier.join() !== '0,0,1,1') {
+          easing = `cubic-bezier(${bezier.map(value => this.formatNumber(value)).join(', ')})`;
+        }
+      }
+      
+      keys.push({ time: frame.t, value: this.toArray(value), easing, frame });
+    });
+    
+    return keys;
+  }
+  
+  hasTangents(tangent) {
+    return Array.isArray(tangent) && tangent.some(value => Math.abs(value) > 1e-6);
+  }
+  
+  valueAt(prop, frame) {
+    if (!this.isAnimated(prop)) return this.staticValue(prop, [0])[0];
+    
+    const keys = this.getKeys(prop);
+    if (frame <= keys[0].time) return keys[0].value[0];
+    
+    for (let i = 0; i < keys.length - 1; i++) {
+      const from = keys[i];
+      const to = keys[i + 1];
+      if (frame > to.time) continue;
+      
+      const span = to.time - from.time;
+      const local = span > 0 ? (frame - from.time) / span : 1;
+      const eased = this.evaluator.applyEasing(local, from.easing);
+      return from.value[0] + (to.value[0] - from.value[0]) * eased;
+    }
+    
+    return keys[keys.length - 1].value[0];
+  }
+  
+  // Emits an animation for a keyframed property. Two keys map onto a single
+  // <animate>, <animate-transform> or <morph>; more become <keyframes>.
+  animateProperty(prop, target, options, format) {
+    if (!this.isAnimated(prop)) return;
+    
+    const keys = this.getKeys(prop);
+    if (keys.length < 2) return;
+    
+    const times = keys.map(key => (key.time - this.timeOffset) / this.fps);
+    if (times[0] < 0) this.warn('Keyframes before the start of a precomp are clipped');
+    
+    const start = Math.max(0, times[0]);
+    const duration = times[times.length - 1] - start;
+    if (duration <= 0) return;
+    
+    const values = keys.map(key => format(key.value, key.frame));
+    const timing = {
+      start: start > 0 ? this.formatTime(start) : null,
+      duration: this.formatTime(duration),
+      fill: 'freeze'
+    };
+    const easing = keys[0].easing !== 'linear' ? keys[0].easing : null;
+    
+    if (keys.length > 2 || times[0] < 0) {
+      this.animations.push(this.node('keyframes', {
+        target: `#${target}`,
+        type: options.type || null,
+        attribute: options.type ? null : options.attribute,
+        ...timing
+      }, keys.map((key, i) => this.node('key', {
+        offset: this.formatNumber(Math.max(0, (times[i] - start) / duration)),
+        value: values[i],
+        easing: i < keys.length - 1 && key.easing !== 'linear' ? key.easing : null
+      }))));
+    } else if (options.type) {
+      this.animations.push(this.node('animate-transform', {
+        target: `#${target}`,
+        type: options.type,
+        from: values[0],
+        to: values[1],
+        easing,
+        ...timing
+      }));
+    } else if (options.attribute === 'd') {
+      // Morph towards a copy of the final shape kept in <defs>
+      const toId = `${target}-morph`;
+      this.defs.push(this.node('svg:path', { id: toId, d: values[1] }));
+      this.animations.push(this.node('morph', {
+        target: `#${target}`,
+        to: `#${toId}`,
+        easing,
+        ...timing
+      }));
+    } else {
+      this.animations.push(this.node(options.color ? 'animate-color' : 'animate', {
+        target: `#${target}`,
+        attribute: options.attribute,
+        from: values[0],
+        to: values[1],
+        easing,
+        ...timing
+      }));
+    }
+  }
+  
+  // Formatting
+  pathData(value) {
+    const shape = Array.isArray(value) ? value[0] : value;
+    if (!shape || !Array.isArray(shape.v) || !shape.v.length) return '';
+    
+    const vertices = shape.v;
+    const inTangents = shape.i || [];
+    const outTangents = shape.o || [];
+    const point = (p, offset = [0, 0]) => `${this.formatNumber(p[0] + offset[0])},${this.formatNumber(p[1] + offset[1])}`;
+    
+    // Tangents are relative to their vertex
+    const segment = (from, to) => {
+      const out = outTangents[from] || [0, 0];
+      const into = inTangents[to] || [0, 0];
+      if (!this.hasTangents(out) && !this.hasTangents(into)) return `L${point(vertices[to])}`;
+      
+      return `C${point(vertices[from], out)} ${point(vertices[to], into)} ${point(vertices[to])}`;
+    };
+    
+    let d = `M${point(vertices[0])}`;
+    for (let i = 1; i < vertices.length; i++) {
+      d += ` ${segment(i - 1, i)}`;
+    }
+    if (shape.c) d += ` ${segment(vertices.length - 1, 0)} Z`;
+    
+    return d;
+  }
+  
+  formatColor(value) {
+    // Some older exports use 0-255 channels
+    const scale = value.slice(0, 3).some(channel => channel > 1) ? 1 : 255;
+    const hex = value.slice(0, 3).map(channel => (
+      Math.round(Math.min(255, Math.max(0, (channel || 0) * scale))).toString(16).padStart(2, '0')
+    ));
+    
+    return `#${hex.join('')}`;
+  }
+  
+  formatOpacity(value) {
+    return this.formatNumber(Math.min(1, Math.max(0, value[0] / 100)));
+  }
+  
+  formatNumber(value) {
+    const rounded = Math.round(value * 1000) / 1000;
+    return String(rounded === 0 ? 0 : rounded);
+  }
+  
+  formatTime(seconds) {
+    return `${this.formatNumber(seconds)}s`;
+  }
+  
+  // Output
+  createId(name) {
+    let base = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    if (!/^[a-z]/.test(base)) base = `layer-${base}`.replace(/-$/, '');
+    
+    let id = base;
+    for (let i = 2; this.ids.has(id); i++) id = `${base}-${i}`;
+    this.ids.add(id);
+    
+    return id;
+  }
+  
+  warn(message) {
+    const warning = this.context.length ? `${this.context.join(' > ')}: ${message}` : message;
+    if (!this.warnings.includes(warning)) this.warnings.push(warning);
+  }
+  
+  node(name, attributes = {}, children = []) {
+    return { name, attributes, children: children.filter(Boolean) };
+  }
+  
+  serialize(node, indent = '') {
+    const escape = value => String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+    const attributes = Object.keys(node.attributes)
+      .filter(name => node.attributes[name] !== null && node.attributes[name] !== undefined)
+      .map(name => ` ${name}="${escape(node.attributes[name])}"`)
+      .join('');
+    
+    if (!node.children.length) return `${indent}<${node.name}${attributes}/>`;
+    
+    const children = node.children.map(child => this.serialize(child, `${indent}  `)).join('\n');
+    return `${indent}<${node.name}${attributes}>\n${children}\n${indent}</${node.name}>`;
+  }
+}
+
+// Returns { source, warnings }, where source is the .asvg text
+function convertLottie(lottie, options = {}) {
+  return new ASVGLottieConverter(lottie, options).convert();
+}
+
+// Returns an OpenASVG instance; conversion warnings are kept on
+// animation.importWarnings
+function fromLottie(lottie, options = {}) {
+  const { source, warnings } = convertLottie(lottie, options);
+  const animation = new LottieOpenASVG(source, options);
+  animation.importWarnings = warnings;
+  
+  return animation;
+}
+
+LottieOpenASVG.convertLottie = convertLottie;
+LottieOpenASVG.fromLottie = fromLottie;
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { convertLottie, fromLottie, LottieConverter: ASVGLottieConverter };
+}
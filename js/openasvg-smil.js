@@ -0,0 +1,992 @@
+// openasvg-smil.js - SMIL and CSS animation importer for OpenASVG v2025.7
+// Copyright 2025 Halide Systems Ltd.
+
+// Loaded as a plain script it extends the global OpenASVG, so openasvg.js
+// has to be loaded first as a plain script too, not through AMD
+const SMILOpenASVG = typeof module !== 'undefined' && module.exports
+  ? require('./openasvg.js')
+  : globalThis.OpenASVG;
+if (!SMILOpenASVG) {
+  throw new Error('openasvg-smil.js needs OpenASVG: load openasvg.js before it');
+}
+
+const SMIL_ELEMENTS = ['animate', 'set', 'animateColor', 'animateTransform', 'animateMotion'];
+
+const CSS_EASINGS = {
+  linear: [0, 0, 1, 1],
+  ease: [0.25, 0.1, 0.25, 1],
+  'ease-in': [0.42, 0, 1, 1],
+  'ease-out': [0, 0, 0.58, 1],
+  'ease-in-out': [0.42, 0, 0.58, 1]
+};
+
+// Underlying values for properties that an element usually leaves unset,
+// used when @keyframes omit their from or to keyframe
+const CSS_INITIAL_VALUES = {
+  opacity: '1',
+  'fill-opacity': '1',
+  'stroke-opacity': '1',
+  'stroke-dashoffset': '0',
+  'stroke-width': '1',
+  transform: ''
+};
+
+// Converts an SVG animated with SMIL elements and CSS @keyframes into an
+// ASVG document. The animations are removed from the SVG so that a mounted
+// document isn't animated twice.
+class ASVGSMILConverter {
+  constructor(svg, options = {}) {
+    this.options = options;
+    this.warnings = [];
+    this.animations = [];
+    this.context = null;
+    this.ids = new Set();
+    this.root = this.parse(svg);
+    
+    // Provides path measurement and bounding boxes
+    this.evaluator = new SMILOpenASVG(null, { autoplay: false });
+  }
+  
+  parse(svg) {
+    if (typeof svg !== 'string') return svg.cloneNode(true);
+    
+    if (typeof DOMParser !== 'undefined') {
+      const doc = new DOMParser().parseFromString(svg, 'image/svg+xml');
+      if (doc.querySelector('parsererror')) throw new Error('XML parsing error');
+      return doc.documentElement;
+    }
+    
+    return SMILOpenASVG.parseXMLDocument(svg).documentElement;
+  }
+  
+  convert() {
+    if (!this.root || this.root.localName !== 'svg') {
+      throw new Error('Not an SVG document: the root element must be <svg>');
+    }
+    
+    this.elements().forEach(el => {
+      if (el.getAttribute('id')) this.ids.add(el.getAttribute('id'));
+    });
+    
+    const smil = this.elements().filter(el => SMIL_ELEMENTS.includes(el.localName));
+    const timings = this.resolveTimings(smil);
+    
+    // Motion composes with the target's own transform, so transformed
+    // targets are wrapped and the motion applied to the wrapper
+    this.transformTargets = new Set(smil
+      .filter(el => el.localName === 'animateTransform')
+      .map(el => this.getSMILTarget(el)));
+    
+    smil.forEach(el => {
+      this.context = `<${el.localName}${el.getAttribute('id') ? ` id="${el.getAttribute('id')}"` : ''}>`;
+      this.convertSMILElement(el, timings.get(el));
+    });
+    smil.forEach(el => this.removeElement(el));
+    
+    this.context = null;
+    this.convertStyles();
+    
+    const viewBox = (this.root.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+    const width = parseFloat(this.root.getAttribute('width')) || viewBox[2] || 300;
+    const height = parseFloat(this.root.getAttribute('height')) || viewBox[3] || 150;
+    const loop = this.options.loop !== undefined
+      ? this.options.loop
+      : this.animations.some(anim => anim.attributes.repeat === 'infinite');
+    
+    const attributes = this.formatAttributes({
+      version: '2025.7',
+      xmlns: 'http://halide.org/openasvg/2025.7',
+      width: this.formatNumber(width),
+      height: this.formatNumber(height),
+      loop: String(Boolean(loop))
+    });
+    const timeline = this.serialize(this.node('timeline', {}, this.animations), '  ');
+    
+    return {
+      source: `<?xml version="1.0" encoding="UTF-8"?>\n<asvg${attributes}>\n${timeline}\n${this.evaluator.serializeSVG(this.root)}\n</asvg>\n`,
+      warnings: this.warnings.slice()
+    };
+  }
+  
+  // Removes an element along with the indentation in front of it
+  removeElement(el) {
+    const previous = el.previousSibling;
+    if (previous && previous.nodeType === 3 && !previous.nodeValue.trim()) {
+      el.parentNode.removeChild(previous);
+    }
+    el.parentNode.removeChild(el);
+  }
+  
+  elements(root = this.root) {
+    const result = [root];
+    for (const child of root.children) result.push(...this.elements(child));
+    return result;
+  }
+  
+  // SMIL timing
+  resolveTimings(elements) {
+    const byId = new Map();
+    elements.forEach(el => {
+      if (el.getAttribute('id')) byId.set(el.getAttribute('id'), el);
+    });
+    
+    // Syncbase begins such as "intro.end+1s" resolve against the referenced
+    // animation, which may itself depend on others
+    const timings = new Map();
+    const resolving = new Set();
+    const resolve = el => {
+      if (timings.has(el)) return timings.get(el);
+      if (resolving.has(el)) return null;
+      
+      resolving.add(el);
+      this.context = `<${el.localName}${el.getAttribute('id') ? ` id="${el.getAttribute('id')}"` : ''}>`;
+      const timing = this.parseSMILTiming(el, id => (byId.has(id) ? resolve(byId.get(id)) : null));
+      resolving.delete(el);
+      timings.set(el, timing);
+      
+      return timing;
+    };
+    elements.forEach(resolve);
+    
+    return timings;
+  }
+  
+  parseSMILTiming(el, lookup) {
+    const dur = el.getAttribute('dur');
+    const duration = dur && dur !== 'indefinite' && dur !== 'media' ? this.parseClock(dur) : Infinity;
+    if (duration === null) {
+      this.warn(`Invalid duration "${dur}"; the animation was skipped`);
+      return null;
+    }
+    
+    const repeatCount = el.getAttribute('repeatCount');
+    const repeatDur = el.getAttribute('repeatDur');
+    let repeat = repeatCount === 'indefinite' ? Infinity : parseFloat(repeatCount) || 1;
+    if (repeatDur) {
+      const limit = repeatDur === 'indefinite' ? Infinity : this.parseClock(repeatDur) / duration;
+      repeat = repeatCount ? Math.min(repeat, limit) : limit;
+    }
+    
+    // Only offsets and syncbases can be placed on a timeline; event and
+    // indefinite begins need a script or user action to start
+    const begins = (el.getAttribute('begin') || '0s').split(';').map(value => value.trim()).filter(Boolean);
+    let start = null;
+    for (const begin of begins) {
+      start = this.parseBegin(begin, lookup);
+      if (start !== null) break;
+    }
+    if (start === null) {
+      this.warn(`Begin "${begins.join('; ')}" can't be placed on a timeline; the animation was skipped`);
+      return null;
+    }
+    if (begins.length > 1) this.warn('Only the first begin time is used');
+    if (start < 0) {
+      this.warn('Negative begin times are clamped to 0');
+      start = 0;
+    }
+    
+    // An end offset cuts the active duration short
+    const end = el.getAttribute('end');
+    if (end) {
+      const endTime = this.parseOffsetValue(end);
+      if (endTime === null) {
+        this.warn(`End "${end}" is not supported and was ignored`);
+      } else if (isFinite(duration) && duration > 0) {
+        repeat = Math.min(repeat, Math.max(0, endTime - start) / duration);
+      }
+    }
+    
+    return {
+      start,
+      duration,
+      repeat,
+      end: start + (duration > 0 ? duration * repeat : 0),
+      fill: el.getAttribute('fill') === 'freeze' ? 'freeze' : 'none'
+    };
+  }
+  
+  parseBegin(value, lookup) {
+    const offset = this.parseOffsetValue(value);
+    if (offset !== null) return offset;
+    
+    const match = value.match(/^([A-Za-z_][\w-]*)\.(begin|end)\s*(?:([+-])\s*(.+))?$/);
+    if (!match) return null;
+    
+    const timing = lookup(match[1]);
+    const delta = match[4] ? this.parseClock(match[4]) : 0;
+    if (!timing || delta === null) return null;
+    
+    const base = match[2] === 'begin' ? timing.start : timing.end;
+    if (!isFinite(base)) return null;
+    
+    return base + (match[3] === '-' ? -delta : delta);
+  }
+  
+  parseOffsetValue(value) {
+    const match = String(value).trim().match(/^([+-])?\s*(.+)$/);
+    const time = match ? this.parseClock(match[2]) : null;
+    if (time === null) return null;
+    
+    return match[1] === '-' ? -time : time;
+  }
+  
+  // Full and partial clock values ("01:02:03.5", "02:33") and timecounts
+  // ("3.5s", "200ms", "1.5min", "2h", "4")
+  parseClock(value) {
+    const text = String(value).trim();
+    
+    let match = text.match(/^(?:(\d+):)?(\d{2}):(\d{2}(?:\.\d+)?)$/);
+    if (match) return (Number(match[1]) || 0) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+    
+    match = text.match(/^(\d+(?:\.\d*)?|\.\d+)(h|min|s|ms)?$/);
+    if (!match) return null;
+    
+    return Number(match[1]) * { h: 3600, min: 60, s: 1, ms: 0.001 }[match[2] || 's'];
+  }
+  
+  // SMIL elements
+  getSMILTarget(el) {
+    const href = el.getAttribute('href') || el.getAttribute('xlink:href');
+    if (!href) return el.parentNode && el.parentNode.nodeType === 1 ? el.parentNode : null;
+    
+    return this.elements().find(candidate => candidate.getAttribute('id') === href.replace(/^#/, '')) || null;
+  }
+  
+  convertSMILElement(el, timing) {
+    if (!timing) return;
+    
+    const name = el.localName;
+    const target = this.getSMILTarget(el);
+    if (!target) {
+      this.warn('The target element was not found; the animation was skipped');
+      return;
+    }
+    if (!isFinite(timing.duration) && name !== 'set') {
+      this.warn('Animations without a duration are skipped');
+      return;
+    }
+    if (el.getAttribute('accumulate') === 'sum') this.warn('accumulate="sum" is not supported');
+    
+    const attributes = {
+      start: timing.start > 0 ? this.formatTime(timing.start) : null,
+      duration: isFinite(timing.duration) ? this.formatTime(timing.duration) : null,
+      repeat: timing.repeat === 1 ? null : isFinite(timing.repeat) ? this.formatNumber(timing.repeat) : 'infinite',
+      // A set without a duration stays in effect
+      fill: timing.fill === 'freeze' || !isFinite(timing.duration) ? 'freeze' : null
+    };
+    
+    if (name === 'animateMotion') {
+      this.convertMotion(el, target, attributes);
+      return;
+    }
+    
+    const attribute = el.getAttribute('attributeName');
+    if (!attribute) {
+      this.warn('attributeName is missing; the animation was skipped');
+      return;
+    }
+    
+    const targetSelector = `#${this.ensureId(target)}`;
+    if (name === 'set') {
+      this.animations.push(this.node('animate', {
+        target: targetSelector,
+        attribute,
+        from: el.getAttribute('to'),
+        to: el.getAttribute('to'),
+        ...attributes
+      }));
+      return;
+    }
+    
+    const type = name === 'animateTransform' ? el.getAttribute('type') || 'translate' : null;
+    const additive = el.getAttribute('additive') === 'sum';
+    let from = el.getAttribute('from');
+    let to = el.getAttribute('to');
+    const by = el.getAttribute('by');
+    
+    // Discrete from/to animations show each value for half the duration
+    let values = el.getAttribute('values');
+    if (!values && el.getAttribute('calcMode') === 'discrete' && from !== null && to !== null) {
+      values = `${from};${to}`;
+    }
+    
+    if (values) {
+      if (additive) this.warn('additive="sum" is not supported with values and was treated as replace');
+      
+      const keys = this.getSMILKeys(el, values.split(';').map(value => value.trim()).filter(Boolean));
+      this.animations.push(this.node('keyframes', {
+        target: targetSelector,
+        type,
+        attribute: type ? null : attribute,
+        ...attributes
+      }, keys.map(key => this.node('key', {
+        offset: this.formatNumber(key.offset),
+        value: key.value,
+        easing: key.easing
+      }))));
+      return;
+    }
+    
+    if (to === null && by === null) {
+      this.warn('Animations need values, to or by; the animation was skipped');
+      return;
+    }
+    if (additive && !type) this.warn('additive="sum" is not supported and was treated as replace');
+    
+    const easing = this.getSMILKeys(el, ['', ''])[0].easing;
+    if (type) {
+      // Transform animations have no underlying value to start from
+      const identity = { translate: '0 0', scale: '1 1', rotate: '0', skewX: '0', skewY: '0' }[type] || '0';
+      if (from === null) from = identity;
+      if (to === null) to = this.evaluator.addValues(attribute, from, by);
+      
+      this.animations.push(this.node('animate-transform', {
+        target: targetSelector,
+        type,
+        from,
+        to,
+        additive: additive || by !== null ? 'sum' : null,
+        easing,
+        ...attributes
+      }));
+      return;
+    }
+    
+    this.animations.push(this.node(name === 'animateColor' ? 'animate-color' : 'animate', {
+      target: targetSelector,
+      attribute,
+      from,
+      to,
+      by: to === null ? by : null,
+      easing,
+      ...attributes
+    }));
+  }
+  
+  // Turns values/keyTimes/keySplines into explicit keys, following calcMode
+  getSMILKeys(el, values) {
+    const calcMode = el.getAttribute('calcMode') || (el.localName === 'animateMotion' ? 'paced' : 'linear');
+    const split = value => (value ? value.split(';').map(part => part.trim()).filter(Boolean) : []);
+    const times = split(el.getAttribute('keyTimes')).map(Number);
+    const splines = split(el.getAttribute('keySplines'));
+    if (calcMode === 'paced' && el.localName !== 'animateMotion') {
+      this.warn('calcMode="paced" is converted to linear');
+    }
+    
+    // Discrete values each hold for an equal share of the duration
+    const count = calcMode === 'discrete' ? values.length : values.length - 1;
+    const keys = values.map((value, i) => ({
+      offset: times.length === values.length ? times[i] : (count > 0 ? i / count : 0),
+      value,
+      easing: null
+    }));
+    keys.forEach((key, i) => {
+      if (calcMode === 'discrete') {
+        key.easing = 'step-end';
+      } else if (calcMode === 'spline' && splines[i]) {
+        key.easing = `cubic-bezier(${splines[i].split(/[\s,]+/).join(', ')})`;
+      }
+    });
+    
+    const last = keys[keys.length - 1];
+    if (last.offset < 1) keys.push({ offset: 1, value: last.value, easing: null });
+    keys[keys.length - 1].easing = null;
+    
+    return keys;
+  }
+  
+  convertMotion(el, target, attributes) {
+    const mpath = Array.from(el.children).find(child => child.localName === 'mpath');
+    const href = mpath && (mpath.getAttribute('href') || mpath.getAttribute('xlink:href'));
+    const calcMode = el.getAttribute('calcMode') || 'paced';
+    
+    let path = href || el.getAttribute('path');
+    let keyPoints = el.getAttribute('keyPoints');
+    if (!path) {
+      // values, or from/to/by, describe a polyline
+      const values = el.getAttribute('values');
+      const from = el.getAttribute('from') || '0,0';
+      let points = values ? values.split(';').map(value => value.trim()).filter(Boolean) : [];
+      if (!points.length && el.getAttribute('to')) points = [from, el.getAttribute('to')];
+      if (!points.length && el.getAttribute('by')) {
+        const [x, y] = from.split(/[\s,]+/).map(Number);
+        const [dx, dy] = el.getAttribute('by').split(/[\s,]+/).map(Number);
+        points = [from, `${x + dx},${y + (dy || 0)}`];
+      }
+      if (points.length < 2) {
+        this.warn('Motion needs a path, values, to or by; the animation was skipped');
+        return;
+      }
+      
+      path = `M${points.join(' L')}`;
+      if (!keyPoints && el.getAttribute('keyTimes') && calcMode !== 'paced') {
+        keyPoints = this.getPolylineKeyPoints(path, points.length).join(';');
+      }
+    }
+    if (calcMode === 'discrete') this.warn('calcMode="discrete" motion is converted to linear');
+    
+    // The motion is applied on top of the target's own transform
+    let element = target;
+    if (target.getAttribute('transform') || this.transformTargets.has(target)) {
+      element = (this.root.ownerDocument || this.root).createElementNS('http://www.w3.org/2000/svg', 'g');
+      target.parentNode.insertBefore(element, target);
+      element.appendChild(target);
+    }
+    
+    this.animations.push(this.node('animate-path', {
+      target: `#${this.ensureId(element)}`,
+      path,
+      rotate: el.getAttribute('rotate'),
+      anchor: 'origin',
+      keyPoints,
+      keyTimes: keyPoints ? el.getAttribute('keyTimes') : null,
+      keySplines: keyPoints && calcMode === 'spline' ? el.getAttribute('keySplines') : null,
+      easing: !keyPoints && calcMode === 'spline' ? this.getSMILKeys(el, ['', ''])[0].easing : null,
+      ...attributes
+    }));
+  }
+  
+  // Without calcMode="paced", each polyline vertex is reached at its keyTime
+  getPolylineKeyPoints(path, count) {
+    const measure = this.evaluator.getPathMeasure(path);
+    const lengths = [0];
+    for (let i = 1; i < count; i++) {
+      const segment = `M${path.slice(1).split(' L').slice(0, i + 1).join(' L')}`;
+      lengths.push(this.evaluator.getPathMeasure(segment).length);
+    }
+    
+    return lengths.map(length => this.formatNumber(measure.length ? length / measure.length : 0));
+  }
+  
+  // CSS animations
+  convertStyles() {
+    const keyframes = new Map();
+    const rules = [];
+    
+    this.elements().filter(el => el.localName === 'style').forEach(style => {
+      const kept = [];
+      
+      this.parseStyleSheet(style.textContent).forEach(block => {
+        const keyword = block.prelude.match(/^@(?:-webkit-)?keyframes\s+(.+)$/i);
+        if (keyword) {
+          keyframes.set(keyword[1].trim().replace(/^["']|["']$/g, ''), this.parseKeyframes(block.body));
+          return;
+        }
+        if (block.body === null || block.prelude.startsWith('@')) {
+          if (block.body && /\banimation\b/.test(block.body)) {
+            this.warn(`Animations inside ${block.prelude.split(/\s/)[0]} are not converted`);
+          }
+          kept.push(block.body === null ? block.prelude : `${block.prelude} {${block.body}}`);
+          return;
+        }
+        
+        const declarations = this.parseDeclarations(block.body);
+        const animation = this.getAnimationDeclarations(declarations);
+        if (animation.length) rules.push({ selector: block.prelude, declarations: animation });
+        
+        const rest = declarations.filter(declaration => !animation.includes(declaration));
+        if (rest.length) {
+          kept.push(`${block.prelude} { ${rest.map(([property, value]) => `${property}: ${value}`).join('; ')}; }`);
+        }
+      });
+      
+      style.textContent = kept.length ? `\n${kept.join('\n')}\n` : '';
+    });
+    
+    // Later rules and inline styles win, as in the cascade
+    const computed = new Map();
+    const apply = (el, declarations) => {
+      if (!computed.has(el)) computed.set(el, []);
+      computed.get(el).push(...declarations);
+    };
+    rules.forEach(rule => {
+      if (/:(hover|focus|active|target|checked)/.test(rule.selector)) {
+        this.warn(`Animations on "${rule.selector}" need user interaction and were not converted`);
+        return;
+      }
+      
+      let matched;
+      try {
+        matched = this.elements().filter(el => el.matches(rule.selector));
+      } catch (error) {
+        this.warn(`Selector "${rule.selector}" is not supported`);
+        return;
+      }
+      matched.forEach(el => apply(el, rule.declarations));
+    });
+    
+    this.elements().forEach(el => {
+      const style = el.getAttribute('style');
+      if (!style) return;
+      
+      const declarations = this.parseDeclarations(style);
+      const animation = this.getAnimationDeclarations(declarations);
+      if (!animation.length) return;
+      
+      apply(el, animation);
+      const rest = declarations.filter(declaration => !animation.includes(declaration));
+      if (rest.length) {
+        el.setAttribute('style', rest.map(([property, value]) => `${property}: ${value}`).join('; '));
+      } else {
+        el.removeAttribute('style');
+      }
+    });
+    
+    computed.forEach((declarations, el) => {
+      this.getCSSAnimations(declarations).forEach(animation => {
+        this.context = `@keyframes ${animation.name}`;
+        const keyframeRules = keyframes.get(animation.name);
+        if (!keyframeRules) {
+          this.warn('No @keyframes with this name were found');
+          return;
+        }
+        this.convertCSSAnimation(el, animation, keyframeRules, declarations);
+      });
+    });
+    this.context = null;
+  }
+  
+  // The transform origin moves into the converted keyframes, but only
+  // alongside an animation, since it also applies to static transforms
+  getAnimationDeclarations(declarations) {
+    const isAnimation = property => property === 'animation' || property.startsWith('animation-');
+    if (!declarations.some(([property]) => isAnimation(property))) return [];
+    
+    return declarations.filter(([property]) => (
+      isAnimation(property) || property === 'transform-origin' || property === 'transform-box'
+    ));
+  }
+  
+  // Splits a style sheet into top-level blocks. Statement at-rules such as
+  // @import have no body.
+  parseStyleSheet(text) {
+    const source = text.replace(/\/\*[\s\S]*?\*\//g, '');
+    const blocks = [];
+    let index = 0;
+    
+    while (index < source.length) {
+      const open = source.indexOf('{', index);
+      const semicolon = source.indexOf(';', index);
+      if (semicolon >= 0 && (open < 0 || semicolon < open)) {
+        const prelude = source.slice(index, semicolon + 1).trim();
+        if (prelude !== ';') blocks.push({ prelude, body: null });
+        index = semicolon + 1;
+        continue;
+      }
+      if (open < 0) break;
+      
+      let depth = 1;
+      let i = open + 1;
+      while (i < source.length && depth) {
+        if (source[i] === '{') depth++;
+        else if (source[i] === '}') depth--;
+        i++;
+      }
+      
+      blocks.push({ prelude: source.slice(index, open).trim(), body: source.slice(open + 1, depth ? i : i - 1) });
+      index = i;
+    }
+    
+    return blocks;
+  }
+  
+  parseDeclarations(text) {
+    return this.splitOutsideParens(text, ';').map(declaration => {
+      const colon = declaration.indexOf(':');
+      if (colon < 0) return null;
+      
+      return [
+        declaration.slice(0, colon).trim().toLowerCase(),
+        declaration.slice(colon + 1).replace(/!important\s*$/i, '').trim()
+      ];
+    }).filter(declaration => declaration && declaration[0] && declaration[1]);
+  }
+  
+  parseKeyframes(body) {
+    return this.parseStyleSheet(body).map(block => ({
+      offsets: block.prelude.split(',').map(selector => {
+        const name = selector.trim().toLowerCase();
+        if (name === 'from') return 0;
+        if (name === 'to') return 1;
+        return parseFloat(name) / 100;
+      }).filter(offset => offset >= 0 && offset <= 1),
+      declarations: this.parseDeclarations(block.body || '')
+    }));
+  }
+  
+  splitOutsideParens(text, separator) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    
+    for (const char of text) {
+      if (char === '(') depth++;
+      if (char === ')') depth--;
+      if (char === separator && depth === 0) {
+        parts.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    parts.push(current.trim());
+    
+    return parts.filter(Boolean);
+  }
+  
+  // Resolves the animation shorthand and longhands into one entry per
+  // animation name
+  getCSSAnimations(declarations) {
+    const lists = {};
+    const longhands = ['name', 'duration', 'timing-function', 'delay', 'iteration-count', 'direction', 'fill-mode', 'play-state'];
+    
+    declarations.forEach(([property, value]) => {
+      if (property === 'animation') {
+        const parsed = this.splitOutsideParens(value, ',').map(item => this.parseAnimationShorthand(item));
+        longhands.forEach(name => {
+          lists[name] = parsed.map(item => item[name]);
+        });
+      } else if (property.startsWith('animation-') && longhands.includes(property.slice(10))) {
+        lists[property.slice(10)] = this.splitOutsideParens(value, ',');
+      }
+    });
+    
+    const names = (lists.name || []).filter(name => name && name !== 'none');
+    const pick = (name, i, fallback) => {
+      const list = lists[name];
+      return list && list.length && list[i % list.length] ? list[i % list.length] : fallback;
+    };
+    
+    return names.map((name, i) => ({
+      name: name.replace(/^["']|["']$/g, ''),
+      duration: this.parseCSSTime(pick('duration', i, '0s')),
+      easing: pick('timing-function', i, 'ease'),
+      delay: this.parseCSSTime(pick('delay', i, '0s')),
+      iterations: pick('iteration-count', i, '1'),
+      direction: pick('direction', i, 'normal'),
+      fill: pick('fill-mode', i, 'none'),
+      playState: pick('play-state', i, 'running')
+    }));
+  }
+  
+  parseAnimationShorthand(value) {
+    const animation = {};
+    
+    this.splitOutsideParens(value, ' ').forEach(token => {
+      if (/^[+-]?(\d+(\.\d*)?|\.\d+)m?s$/.test(token)) {
+        if (animation.duration === undefined) animation.duration = token;
+        else animation.delay = token;
+      } else if (CSS_EASINGS[token] || /^(cubic-bezier|steps|linear)\(/.test(token) || token === 'step-start' || token === 'step-end') {
+        animation['timing-function'] = token;
+      } else if (token === 'infinite' || /^\d+(\.\d*)?$/.test(token)) {
+        animation['iteration-count'] = token;
+      } else if (['normal', 'reverse', 'alternate', 'alternate-reverse'].includes(token) && !animation.direction) {
+        animation.direction = token;
+      } else if (['none', 'forwards', 'backwards', 'both'].includes(token) && !animation['fill-mode']) {
+        animation['fill-mode'] = token;
+      } else if (['running', 'paused'].includes(token)) {
+        animation['play-state'] = token;
+      } else {
+        animation.name = token;
+      }
+    });
+    
+    return animation;
+  }
+  
+  parseCSSTime(value) {
+    const match = String(value).trim().match(/^([+-]?(?:\d+(?:\.\d*)?|\.\d+))(m?s)$/);
+    if (!match) return 0;
+    
+    return Number(match[1]) / (match[2] === 'ms' ? 1000 : 1);
+  }
+  
+  convertCSSAnimation(el, animation, rules, declarations) {
+    if (animation.duration <= 0) {
+      this.warn('Animations without a duration are skipped');
+      return;
+    }
+    if (animation.playState === 'paused') this.warn('Paused animations are converted as running');
+    if (animation.delay < 0) this.warn('Negative delays are clamped to 0');
+    if (animation.delay > 0 && ['backwards', 'both'].includes(animation.fill)) {
+      this.warn('animation-fill-mode backwards is not supported');
+    }
+    
+    // Each property is interpolated through the keyframes that set it
+    const properties = new Map();
+    rules.forEach(rule => {
+      const easing = rule.declarations.find(([property]) => property === 'animation-timing-function');
+      rule.declarations.forEach(([property, value]) => {
+        if (property.startsWith('animation')) return;
+        if (property.startsWith('--')) {
+          this.warn(`Custom property ${property} is not supported`);
+          return;
+        }
+        
+        if (!properties.has(property)) properties.set(property, []);
+        rule.offsets.forEach(offset => {
+          properties.get(property).push({ offset, value, easing: easing ? easing[1] : animation.easing });
+        });
+      });
+    });
+    
+    const origin = this.getTransformOrigin(el, declarations);
+    const reversed = ['reverse', 'alternate-reverse'].includes(animation.direction);
+    const target = `#${this.ensureId(el)}`;
+    
+    properties.forEach((keys, property) => {
+      keys = this.completeKeys(el, property, keys.sort((a, b) => a.offset - b.offset));
+      if (!keys) return;
+      
+      let values = keys.map(key => this.convertCSSValue(property, key.value));
+      if (property === 'transform') {
+        // An empty transform interpolates from the identity of the others
+        const reference = values.find(Boolean) || '';
+        values = values.map(value => value || this.identityTransform(reference));
+        if (origin) values = values.map(value => `translate(${origin[0]} ${origin[1]}) ${value} translate(${-origin[0]} ${-origin[1]})`);
+      }
+      
+      let frames = keys.map((key, i) => ({ offset: key.offset, value: values[i], easing: key.easing }));
+      if (reversed) {
+        frames = frames.reverse().map((frame, i, list) => ({
+          offset: 1 - frame.offset,
+          value: frame.value,
+          easing: i < list.length - 1 ? this.reverseEasing(list[i + 1].easing) : null
+        }));
+      }
+      
+      this.animations.push(this.node('keyframes', {
+        target,
+        attribute: property,
+        start: animation.delay > 0 ? this.formatTime(animation.delay) : null,
+        duration: this.formatTime(animation.duration),
+        repeat: animation.iterations === 'infinite' ? 'infinite' : (animation.iterations !== '1' ? animation.iterations : null),
+        reverse: animation.direction.startsWith('alternate') ? 'true' : null,
+        fill: ['forwards', 'both'].includes(animation.fill) ? 'freeze' : null
+      }, frames.map((frame, i) => this.node('key', {
+        offset: this.formatNumber(frame.offset),
+        value: frame.value,
+        easing: i < frames.length - 1 && frame.easing !== 'linear' ? frame.easing : null
+      }))));
+    });
+  }
+  
+  // Keyframes without a 0% or 100% animate from or to the underlying value
+  completeKeys(el, property, keys) {
+    const underlying = () => {
+      const inline = this.parseDeclarations(el.getAttribute('style') || '').find(([name]) => name === property);
+      if (inline) return inline[1];
+      if (el.hasAttribute(property)) return el.getAttribute(property);
+      return CSS_INITIAL_VALUES[property];
+    };
+    
+    if (keys[0].offset > 0 || keys[keys.length - 1].offset < 1) {
+      const value = underlying();
+      if (value === undefined) {
+        this.warn(`The underlying value of ${property} is unknown; the nearest keyframe is used`);
+      }
+      if (keys[0].offset > 0) {
+        keys.unshift({ offset: 0, value: value !== undefined ? value : keys[0].value, easing: keys[0].easing });
+      }
+      if (keys[keys.length - 1].offset < 1) {
+        keys.push({ offset: 1, value: value !== undefined ? value : keys[keys.length - 1].value, easing: null });
+      }
+    }
+    
+    return keys;
+  }
+  
+  convertCSSValue(property, value) {
+    if (property === 'transform') return this.convertTransform(value);
+    
+    const path = value.match(/^path\(\s*["'](.*)["']\s*\)$/);
+    if (path) return path[1];
+    
+    return value.replace(/(\d)px\b/g, '$1');
+  }
+  
+  convertTransform(value) {
+    if (!value || value === 'none') return '';
+    
+    const length = part => {
+      if (part.endsWith('%')) this.warn('Percentage translations are not supported');
+      return this.formatNumber(parseFloat(part) || 0);
+    };
+    const angle = part => {
+      const number = parseFloat(part) || 0;
+      const unit = part.replace(/^[+-]?[\d.e]+/, '');
+      const degrees = { rad: 180 / Math.PI, turn: 360, grad: 0.9 }[unit] || 1;
+      return number * degrees;
+    };
+    
+    return (value.match(/[a-zA-Z0-9]+\([^)]*\)/g) || []).map(fn => {
+      const [, name, args] = fn.match(/^(\w+)\((.*)\)$/);
+      const parts = args.split(/\s*,\s*|\s+/).filter(Boolean);
+      
+      switch (name) {
+        case 'translate':
+          return `translate(${length(parts[0])} ${length(parts[1] || '0')})`;
+        case 'translateX':
+          return `translate(${length(parts[0])} 0)`;
+        case 'translateY':
+          return `translate(0 ${length(parts[0])})`;
+        case 'scale':
+          return `scale(${parseFloat(parts[0])} ${parseFloat(parts[1] || parts[0])})`;
+        case 'scaleX':
+          return `scale(${parseFloat(parts[0])} 1)`;
+        case 'scaleY':
+          return `scale(1 ${parseFloat(parts[0])})`;
+        case 'rotate':
+        case 'rotateZ':
+          return `rotate(${this.formatNumber(angle(parts[0]))})`;
+        case 'skewX':
+        case 'skewY':
+          return `${name}(${this.formatNumber(angle(parts[0]))})`;
+        case 'skew': {
+          const tan = part => this.formatNumber(Math.tan(angle(part || '0') * Math.PI / 180));
+          return `matrix(1 ${tan(parts[1])} ${tan(parts[0])} 1 0 0)`;
+        }
+        case 'matrix':
+          return `matrix(${parts.join(' ')})`;
+        default:
+          this.warn(`Transform function ${name}() is not supported`);
+          return '';
+      }
+    }).filter(Boolean).join(' ');
+  }
+  
+  identityTransform(reference) {
+    const identities = { translate: 'translate(0 0)', scale: 'scale(1 1)', rotate: 'rotate(0)', skewX: 'skewX(0)', skewY: 'skewY(0)' };
+    return (reference.match(/[a-zA-Z]+(?=\()/g) || [])
+      .map(name => identities[name] || 'matrix(1 0 0 1 0 0)')
+      .join(' ');
+  }
+  
+  // CSS transforms on SVG elements rotate and scale about transform-origin,
+  // which is resolved against the view box unless transform-box says
+  // otherwise
+  getTransformOrigin(el, declarations) {
+    const find = name => {
+      const declaration = declarations.slice().reverse().find(([property]) => property === name);
+      return declaration ? declaration[1] : el.getAttribute(name);
+    };
+    const origin = find('transform-origin');
+    if (!origin) return null;
+    
+    let box;
+    if (find('transform-box') === 'fill-box') {
+      box = this.evaluator.getElementBounds(el);
+      if (!box) {
+        this.warn('transform-box: fill-box needs a shape; the origin is ignored');
+        return null;
+      }
+    } else {
+      // The view box is placed at the origin of the coordinate system
+      const viewBox = (this.root.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+      box = viewBox.length === 4 && viewBox.every(isFinite)
+        ? { x: 0, y: 0, width: viewBox[2], height: viewBox[3] }
+        : { x: 0, y: 0, width: parseFloat(this.root.getAttribute('width')) || 0, height: parseFloat(this.root.getAttribute('height')) || 0 };
+    }
+    
+    const keywords = { left: '0%', top: '0%', center: '50%', right: '100%', bottom: '100%' };
+    let [x = '50%', y = '50%'] = origin.trim().split(/\s+/).map(part => keywords[part] || part);
+    if (['top', 'bottom'].includes(origin.trim().split(/\s+/)[0])) [x, y] = [y, x];
+    
+    const resolve = (part, size) => (part.endsWith('%') ? size * parseFloat(part) / 100 : parseFloat(part) || 0);
+    const point = [box.x + resolve(x, box.width), box.y + resolve(y, box.height)]
+      .map(value => Number(this.formatNumber(value)));
+    
+    return point[0] || point[1] ? point : null;
+  }
+  
+  reverseEasing(easing) {
+    if (!easing || easing === 'linear') return easing;
+    if (easing === 'step-start') return 'step-end';
+    if (easing === 'step-end') return 'step-start';
+    
+    let bezier = CSS_EASINGS[easing];
+    const match = easing.match(/^cubic-bezier\((.*)\)$/);
+    if (match) bezier = match[1].split(',').map(Number);
+    if (!bezier) {
+      this.warn(`The easing ${easing} is not reversed`);
+      return easing;
+    }
+    
+    const [x1, y1, x2, y2] = bezier;
+    return `cubic-bezier(${[1 - x2, 1 - y2, 1 - x1, 1 - y1].map(value => this.formatNumber(value)).join(', ')})`;
+  }
+  
+  // Output
+  ensureId(el) {
+    if (el.getAttribute('id')) return el.getAttribute('id');
+    
+    let id;
+    for (let i = 1; !id || this.ids.has(id); i++) id = `${el.localName}-${i}`;
+    this.ids.add(id);
+    el.setAttribute('id', id);
+    
+    return id;
+  }
+  
+  warn(message) {
+    const warning = this.context ? `${this.context}: ${message}` : message;
+    if (!this.warnings.includes(warning)) this.warnings.push(warning);
+  }
+  
+  formatNumber(value) {
+    const rounded = Math.round(value * 1000) / 1000;
+    return String(rounded === 0 ? 0 : rounded);
+  }
+  
+  formatTime(seconds) {
+    return `${this.formatNumber(seconds)}s`;
+  }
+  
+  node(name, attributes = {}, children = []) {
+    return { name, attributes, children };
+  }
+  
+  formatAttributes(attributes) {
+    const escape = value => String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+    
+    return Object.keys(attributes)
+      .filter(name => attributes[name] !== null && attributes[name] !== undefined)
+      .map(name => ` ${name}="${escape(attributes[name])}"`)
+      .join('');
+  }
+  
+  serialize(node, indent = '') {
+    const attributes = this.formatAttributes(node.attributes);
+    if (!node.children.length) return `${indent}<${node.name}${attributes}/>`;
+    
+    const children = node.children.map(child => this.serialize(child, `${indent}  `)).join('\n');
+    return `${indent}<${node.name}${attributes}>\n${children}\n${indent}</${node.name}>`;
+  }
+}
+
+// Returns { source, warnings }, where source is the .asvg text
+function convertSMIL(svg, options = {}) {
+  return new ASVGSMILConverter(svg, options).convert();
+}
+
+// Returns an OpenASVG instance; conversion warnings are kept on
+// animation.importWarnings
+function fromSMIL(svg, options = {}) {
+  const { source, warnings } = convertSMIL(svg, options);
+  const animation = new SMILOpenASVG(source, options);
+  animation.importWarnings = warnings;
+  
+  return animation;
+}
+
+SMILOpenASVG.convertSMIL = convertSMIL;
+SMILOpenASVG.fromSMIL = fromSMIL;
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { convertSMIL, fromSMIL, SMILConverter: ASVGSMILConverter };
+}
@@ -1,13 +1,897 @@
 // openasvg.js - OpenASVG JavaScript Library v2025.7
 // Copyright 2025 Halide Systems Ltd.
 
+class ASVGExpressionError extends Error {
+  constructor(message, source, index) {
+    const before = source.slice(0, index).split('\n');
+    const line = before.length;
+    const column = before[before.length - 1].length + 1;
+    
+    super(`${message} at line ${line}, column ${column}`);
+    this.name = 'ASVGExpressionError';
+    this.source = source;
+    this.index = index;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+class ASVGXMLError extends Error {
+  constructor(message, source, index) {
+    const before = source.slice(0, index).split('\n');
+    const line = before.length;
+    const column = before[before.length - 1].length + 1;
+    
+    super(`${message} at line ${line}, column ${column}`);
+    this.name = 'ASVGXMLError';
+    this.index = index;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+class ASVGValidationError extends Error {
+  constructor(diagnostics) {
+    const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+    const { message, line, column } = errors[0];
+    const location = line ? ` at line ${line}, column ${column}` : '';
+    const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+    
+    super(`${message}${location}${more}`);
+    this.name = 'ASVGValidationError';
+    this.diagnostics = diagnostics;
+  }
+}
+
+// The ASVG 2025.7 schema: the attributes each element accepts, with the type
+// of their values, and the elements it may contain
+const ASVG_TIMING_ATTRIBUTES = {
+  id: 'string',
+  start: 'time',
+  easing: 'easing',
+  repeat: 'repeat',
+  reverse: 'boolean',
+  fill: ['freeze', 'none', 'remove']
+};
+const ASVG_ANIMATION_ATTRIBUTES = {
+  ...ASVG_TIMING_ATTRIBUTES,
+  target: 'selector',
+  duration: 'time'
+};
+const ASVG_COLOR_ATTRIBUTES = {
+  'color-space': ['srgb', 'linear-srgb', 'hsl', 'oklab', 'oklch'],
+  'hue-interpolation': ['shorter', 'longer', 'increasing', 'decreasing']
+};
+const ASVG_KEY_ATTRIBUTES = {
+  keyTimes: 'offsets',
+  'key-times': 'offsets',
+  keySplines: 'string',
+  'key-splines': 'string'
+};
+const ASVG_TRANSFORM_TYPES = ['translate', 'scale', 'rotate', 'skewX', 'skewY', 'matrix'];
+const ASVG_ANIMATIONS = [
+  'animate', 'animate-transform', 'animate-path', 'animate-color', 'morph', 'keyframes',
+  'sequence', 'parallel', 'animate-set', 'particles'
+];
+
+const ASVG_TRIGGER_ACTION_ATTRIBUTES = {
+  state: ['state'],
+  seek: ['time'],
+  'set-variable': ['variable', 'value'],
+  'goto-marker': ['marker']
+};
+
+// Trigger events are named after pointer events; the alternatives are
+// accepted too
+const ASVG_TRIGGER_EVENTS = {
+  hover: 'pointerenter',
+  mouseenter: 'pointerenter',
+  mouseleave: 'pointerleave',
+  press: 'pointerdown',
+  mousedown: 'pointerdown',
+  release: 'pointerup',
+  mouseup: 'pointerup',
+  keypress: 'keydown'
+};
+
+const ASVG_SCHEMA = {
+  version: '2025.7',
+  namespace: 'http://halide.org/openasvg/2025.7',
+  elements: {
+    asvg: {
+      attributes: {
+        version: 'string',
+        width: 'number',
+        height: 'number',
+        duration: 'time',
+        fps: 'integer',
+        loop: 'boolean',
+        autoplay: 'boolean',
+        seed: 'string'
+      },
+      children: ['variables', 'states', 'triggers', 'responsive', 'timeline', 'svg']
+    },
+    variables: { children: ['var'] },
+    var: { attributes: { name: 'string', value: 'value' }, required: ['name', 'value'] },
+    states: { attributes: { initial: 'state' }, children: ['state', 'transition'] },
+    state: {
+      attributes: { id: 'string', initial: 'state', history: ['shallow', 'deep'] },
+      required: ['id'],
+      children: [...ASVG_ANIMATIONS, 'marker', 'state', 'region']
+    },
+    region: { attributes: { id: 'string', initial: 'state' }, children: ['state'] },
+    transition: {
+      attributes: {
+        from: 'state',
+        to: 'state',
+        duration: 'time',
+        easing: 'easing',
+        guard: 'expression',
+        auto: 'boolean'
+      },
+      required: ['to']
+    },
+    triggers: { children: ['trigger'] },
+    responsive: { children: ['rule'] },
+    rule: {
+      attributes: {
+        id: 'string',
+        'min-width': 'number',
+        'max-width': 'number',
+        'min-height': 'number',
+        'max-height': 'number',
+        'min-aspect-ratio': 'ratio',
+        'max-aspect-ratio': 'ratio',
+        orientation: ['portrait', 'landscape'],
+        state: 'state'
+      },
+      children: ['var', 'timeline']
+    },
+    trigger: {
+      attributes: {
+        event: 'string',
+        target: 'selector',
+        key: 'string',
+        action: ['state', 'play', 'pause', 'toggle', 'seek', 'set-variable', 'goto-marker'],
+        state: 'state',
+        time: 'time',
+        variable: 'string',
+        value: 'value',
+        marker: 'string'
+      },
+      required: ['event']
+    },
+    timeline: { children: [...ASVG_ANIMATIONS, 'marker'] },
+    marker: { attributes: { name: 'string', time: 'time' }, required: ['name', 'time'] },
+    animate: {
+      attributes: { ...ASVG_ANIMATION_ATTRIBUTES, attribute: 'string', from: 'value', to: 'value', by: 'value' },
+      required: ['target', 'attribute']
+    },
+    'animate-transform': {
+      attributes: {
+        ...ASVG_ANIMATION_ATTRIBUTES,
+        type: ASVG_TRANSFORM_TYPES,
+        from: 'value',
+        to: 'value',
+        additive: ['replace', 'sum']
+      },
+      required: ['target', 'type']
+    },
+    'animate-path': {
+      attributes: {
+        ...ASVG_ANIMATION_ATTRIBUTES,
+        ...ASVG_KEY_ATTRIBUTES,
+        path: 'path',
+        rotate: 'rotate',
+        anchor: 'string',
+        keyPoints: 'offsets',
+        'key-points': 'offsets'
+      },
+      required: ['target', 'path']
+    },
+    'animate-color': {
+      attributes: { ...ASVG_ANIMATION_ATTRIBUTES, ...ASVG_COLOR_ATTRIBUTES, attribute: 'string', from: 'value', to: 'value' },
+      required: ['target', 'attribute']
+    },
+    morph: {
+      attributes: { ...ASVG_ANIMATION_ATTRIBUTES, to: 'reference', 'preserve-corners': 'boolean' },
+      required: ['target', 'to']
+    },
+    keyframes: {
+      attributes: {
+        ...ASVG_ANIMATION_ATTRIBUTES,
+        ...ASVG_COLOR_ATTRIBUTES,
+        ...ASVG_KEY_ATTRIBUTES,
+        attribute: 'string',
+        type: ASVG_TRANSFORM_TYPES,
+        values: 'value'
+      },
+      required: ['target'],
+      children: ['key']
+    },
+    key: { attributes: { offset: 'offset', value: 'value', easing: 'easing' }, required: ['value'] },
+    sequence: { attributes: ASVG_TIMING_ATTRIBUTES, children: ASVG_ANIMATIONS },
+    parallel: { attributes: ASVG_TIMING_ATTRIBUTES, children: ASVG_ANIMATIONS },
+    'animate-set': {
+      attributes: { ...ASVG_TIMING_ATTRIBUTES, target: 'selector' },
+      required: ['target'],
+      children: ASVG_ANIMATIONS
+    },
+    particles: {
+      attributes: {
+        id: 'string',
+        start: 'time',
+        duration: 'time',
+        template: 'reference',
+        target: 'selector',
+        emitter: ['point', 'line', 'circle', 'rect'],
+        x: 'number',
+        y: 'number',
+        width: 'number',
+        height: 'number',
+        radius: 'number',
+        rate: 'number',
+        burst: 'integer',
+        max: 'integer',
+        lifetime: 'times',
+        speed: 'numbers',
+        direction: 'number',
+        spread: 'number',
+        gravity: 'numbers',
+        drag: 'number',
+        turbulence: 'number',
+        'turbulence-scale': 'number',
+        size: 'numbers',
+        opacity: 'numbers',
+        color: 'value',
+        seed: 'string'
+      },
+      required: ['template']
+    }
+  }
+};
+
+// Minimal XML DOM used where DOMParser is unavailable, such as Node.js. It
+// implements only what OpenASVG itself needs: parsing, attributes, the
+// common CSS selectors, cloning and serialization.
+class ASVGXMLNode {
+  constructor(nodeType, nodeName, data = '') {
+    this.nodeType = nodeType;
+    this.nodeName = nodeName;
+    this.data = data;
+    this.parentNode = null;
+    this.childNodes = [];
+  }
+  
+  get nodeValue() {
+    return this.nodeType === 1 || this.nodeType === 9 || this.nodeType === 10 ? null : this.data;
+  }
+  
+  get children() {
+    return this.childNodes.filter(node => node.nodeType === 1);
+  }
+  
+  get previousSibling() {
+    const siblings = this.parentNode ? this.parentNode.childNodes : [];
+    return siblings[siblings.indexOf(this) - 1] || null;
+  }
+  
+  get nextSibling() {
+    const siblings = this.parentNode ? this.parentNode.childNodes : [];
+    const index = siblings.indexOf(this);
+    return index >= 0 ? siblings[index + 1] || null : null;
+  }
+  
+  get documentElement() {
+    return this.nodeType === 9 ? this.children[0] || null : null;
+  }
+  
+  get textContent() {
+    if (this.nodeType === 3 || this.nodeType === 4) return this.data;
+    if (this.nodeType === 8) return '';
+    
+    return this.childNodes.map(node => node.textContent).join('');
+  }
+  
+  set textContent(value) {
+    if (this.nodeType !== 1) {
+      this.data = String(value);
+      return;
+    }
+    
+    this.childNodes.forEach(node => { node.parentNode = null; });
+    this.childNodes = [];
+    if (value) this.appendChild(new ASVGXMLNode(3, '#text', String(value)));
+  }
+  
+  appendChild(node) {
+    if (node.parentNode) node.parentNode.removeChild(node);
+    node.parentNode = this;
+    this.childNodes.push(node);
+    return node;
+  }
+  
+  removeChild(node) {
+    const index = this.childNodes.indexOf(node);
+    if (index < 0) throw new Error('The node to be removed is not a child of this node');
+    
+    this.childNodes.splice(index, 1);
+    node.parentNode = null;
+    return node;
+  }
+  
+  insertBefore(node, reference) {
+    if (!reference) return this.appendChild(node);
+    if (!this.childNodes.includes(reference)) throw new Error('The reference node is not a child of this node');
+    
+    if (node.parentNode) node.parentNode.removeChild(node);
+    node.parentNode = this;
+    this.childNodes.splice(this.childNodes.indexOf(reference), 0, node);
+    return node;
+  }
+  
+  createTextNode(data) {
+    return new ASVGXMLNode(3, '#text', String(data));
+  }
+  
+  createElementNS(namespace, qualifiedName) {
+    const colon = qualifiedName.indexOf(':');
+    return new ASVGXMLElement(qualifiedName, { [colon > 0 ? qualifiedName.slice(0, colon) : '']: namespace });
+  }
+  
+  cloneNode(deep = false) {
+    const clone = new ASVGXMLNode(this.nodeType, this.nodeName, this.data);
+    if (deep) this.childNodes.forEach(child => clone.appendChild(child.cloneNode(true)));
+    return clone;
+  }
+  
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+  
+  querySelectorAll(selector) {
+    const groups = ASVGXMLNode.parseSelector(selector);
+    const result = [];
+    const visit = node => {
+      for (const child of node.children) {
+        if (ASVGXMLNode.matchesSelector(child, groups)) result.push(child);
+        visit(child);
+      }
+    };
+    visit(this);
+    
+    return result;
+  }
+  
+  static parse(source) {
+    const doc = new ASVGXMLNode(9, '#document');
+    const stack = [doc];
+    let namespaces = { xml: 'http://www.w3.org/XML/1998/namespace' };
+    let index = 0;
+    
+    const fail = (message, at = index) => {
+      throw new ASVGXMLError(message, source, at);
+    };
+    const entities = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+    const decode = (text, at) => text.replace(/&([^;&\s]*);?/g, (entity, name, offset) => {
+      if (!entity.endsWith(';')) fail('Unescaped "&"', at + offset);
+      if (name[0] !== '#') {
+        if (!(name in entities)) fail(`Unknown entity "${entity}"`, at + offset);
+        return entities[name];
+      }
+      
+      const code = name[1] === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      if (!(code >= 0 && code <= 0x10ffff)) fail(`Invalid character reference "${entity}"`, at + offset);
+      return String.fromCodePoint(code);
+    });
+    const skipTo = (terminator, message) => {
+      const end = source.indexOf(terminator, index);
+      if (end < 0) fail(message);
+      const content = source.slice(index, end);
+      index = end + terminator.length;
+      return content;
+    };
+    
+    const name = /[A-Za-z_][\w.:-]*/y;
+    const attribute = /\s+([A-Za-z_][\w.:-]*)\s*=\s*(?:"([^"<]*)"|'([^'<]*)')/y;
+    const tagEnd = /\s*(\/?)>/y;
+    
+    while (index < source.length) {
+      const parent = stack[stack.length - 1];
+      const lt = source.indexOf('<', index);
+      
+      if (lt !== index) {
+        const end = lt < 0 ? source.length : lt;
+        const text = source.slice(index, end);
+        if (parent === doc) {
+          if (text.trim()) fail('Text outside the root element');
+        } else {
+          parent.appendChild(new ASVGXMLNode(3, '#text', decode(text, index)));
+        }
+        index = end;
+        continue;
+      }
+      
+      if (source.startsWith('<!--', index)) {
+        index += 4;
+        const comment = skipTo('-->', 'Unterminated comment');
+        parent.appendChild(new ASVGXMLNode(8, '#comment', comment));
+      } else if (source.startsWith('<![CDATA[', index)) {
+        index += 9;
+        const data = skipTo(']]>', 'Unterminated CDATA section');
+        if (parent === doc) fail('CDATA outside the root element');
+        parent.appendChild(new ASVGXMLNode(4, '#cdata-section', data));
+      } else if (source.startsWith('<?', index)) {
+        index += 2;
+        const instruction = skipTo('?>', 'Unterminated processing instruction');
+        const target = instruction.match(/^\S*/)[0];
+        // The XML declaration looks like one, but isn't a node
+        if (parent === doc && target.toLowerCase() !== 'xml') {
+          doc.appendChild(new ASVGXMLNode(7, target, instruction.slice(target.length).trim()));
+        }
+      } else if (source.startsWith('<!', index)) {
+        // DOCTYPE, including any internal subset, which is kept as written
+        const start = index;
+        const bracket = source.indexOf('[', index);
+        const close = source.indexOf('>', index);
+        skipTo(bracket >= 0 && bracket < close ? ']>' : '>', 'Unterminated declaration');
+        if (parent === doc) {
+          const doctype = source.slice(start, index).match(/^<!DOCTYPE\s+([^\s[>]+)/i);
+          doc.appendChild(new ASVGXMLNode(10, doctype ? doctype[1] : '#doctype', source.slice(start, index)));
+        }
+      } else if (source.startsWith('</', index)) {
+        const start = index;
+        name.lastIndex = index + 2;
+        const match = name.exec(source);
+        if (!match) fail('Malformed end tag');
+        if (parent === doc || parent.tagName !== match[0]) {
+          fail(parent === doc ? `Unexpected </${match[0]}>` : `Expected </${parent.tagName}> but found </${match[0]}>`, start);
+        }
+        index = name.lastIndex;
+        tagEnd.lastIndex = index;
+        const end = tagEnd.exec(source);
+        if (!end || end[1]) fail('Malformed end tag', start);
+        index = tagEnd.lastIndex;
+        
+        stack.pop();
+        const top = stack[stack.length - 1];
+        namespaces = top.namespaces || namespaces;
+      } else {
+        const start = index;
+        name.lastIndex = index + 1;
+        const match = name.exec(source);
+        if (!match) fail('Malformed start tag');
+        index = name.lastIndex;
+        
+        const attributes = new Map();
+        let attributeMatch;
+        attribute.lastIndex = index;
+        while ((attributeMatch = attribute.exec(source))) {
+          if (attributes.has(attributeMatch[1])) fail(`Duplicate attribute "${attributeMatch[1]}"`, index);
+          const value = attributeMatch[2] !== undefined ? attributeMatch[2] : attributeMatch[3];
+          attributes.set(attributeMatch[1], decode(value.replace(/[\t\n\r]/g, ' '), index));
+          index = attribute.lastIndex;
+        }
+        
+        tagEnd.lastIndex = index;
+        const end = tagEnd.exec(source);
+        if (!end) fail(`Malformed start tag <${match[0]}>`, index);
+        index = tagEnd.lastIndex;
+        
+        if (parent === doc && doc.documentElement) fail('Multiple root elements', start);
+        
+        const declarations = Array.from(attributes.keys()).filter(key => key === 'xmlns' || key.startsWith('xmlns:'));
+        if (declarations.length) {
+          namespaces = { ...namespaces };
+          declarations.forEach(key => { namespaces[key === 'xmlns' ? '' : key.slice(6)] = attributes.get(key); });
+        }
+        
+        const element = new ASVGXMLElement(match[0], namespaces);
+        element._attributes = attributes;
+        element.sourceIndex = start;
+        parent.appendChild(element);
+        if (!end[1]) stack.push(element);
+      }
+    }
+    
+    if (stack.length > 1) fail(`Unclosed <${stack[stack.length - 1].tagName}>`);
+    if (!doc.documentElement) fail('No root element');
+    
+    return doc;
+  }
+  
+  static serialize(node) {
+    const escapeText = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const escapeAttribute = value => escapeText(value).replace(/"/g, '&quot;');
+    
+    // The serialized root declares every prefix used below it, since the
+    // declarations may have lived on an ancestor that isn't written out
+    const declarations = root => {
+      const prefixes = new Map();
+      const collect = el => {
+        const names = [el.tagName, ...el._attributes.keys()];
+        names.forEach(qualified => {
+          const colon = qualified.indexOf(':');
+          const prefix = colon > 0 ? qualified.slice(0, colon) : null;
+          if (prefix && prefix !== 'xmlns' && prefix !== 'xml' && el.namespaces[prefix]) {
+            prefixes.set(prefix, el.namespaces[prefix]);
+          }
+        });
+        el.children.forEach(collect);
+      };
+      collect(root);
+      
+      return Array.from(prefixes)
+        .filter(([prefix]) => !root.hasAttribute(`xmlns:${prefix}`))
+        .map(([prefix, uri]) => ` xmlns:${prefix}="${escapeAttribute(uri)}"`)
+        .join('');
+    };
+    
+    const write = (node, isRoot) => {
+      switch (node.nodeType) {
+        case 1: {
+          let attributes = Array.from(node._attributes, ([name, value]) => ` ${name}="${escapeAttribute(value)}"`).join('');
+          if (isRoot) attributes += declarations(node);
+          const content = node.childNodes.map(child => write(child, false)).join('');
+          return content
+            ? `<${node.tagName}${attributes}>${content}</${node.tagName}>`
+            : `<${node.tagName}${attributes}/>`;
+        }
+        case 3:
+          return escapeText(node.data);
+        case 4:
+          return `<![CDATA[${node.data}]]>`;
+        case 7:
+          return `<?${node.nodeName}${node.data ? ` ${node.data}` : ''}?>`;
+        case 8:
+          return `<!--${node.data}-->`;
+        case 10:
+          return node.data;
+        case 9:
+          return node.childNodes.map(child => write(child, true)).join('');
+        default:
+          return '';
+      }
+    };
+    
+    return write(node, true);
+  }
+  
+  // Selectors are parsed into groups of compound selectors, each recording
+  // the combinator that links it to the previous one
+  static parseSelector(selector) {
+    const cache = ASVGXMLNode.selectorCache;
+    if (cache.has(selector)) return cache.get(selector);
+    
+    const fail = () => {
+      throw new SyntaxError(`Unsupported selector "${selector}"`);
+    };
+    const ident = '-?[_a-zA-Z\\u00a0-\\uffff][-\\w\\u00a0-\\uffff]*';
+    const token = new RegExp(
+      `\\s*([>+~,])\\s*|(\\s+)|(\\*|${ident})|#(-?[-\\w\\u00a0-\\uffff]+)|\\.(${ident})` +
+      `|\\[\\s*(${ident})\\s*(?:([~^$*|]?=)\\s*(?:"([^"]*)"|'([^']*)'|([^\\]\\s]+))\\s*)?\\]` +
+      `|:(${ident})(?:\\(([^)]*)\\))?`,
+      'y'
+    );
+    
+    const text = String(selector).trim();
+    const groups = [];
+    let complex = [];
+    let compound = null;
+    let combinator = null;
+    
+    while (token.lastIndex < text.length) {
+      const match = token.exec(text);
+      if (!match) fail();
+      
+      if (match[1] || match[2]) {
+        if (!compound) fail();
+        complex.push(compound);
+        compound = null;
+        if (match[1] === ',') {
+          groups.push(complex);
+          complex = [];
+          combinator = null;
+        } else {
+          combinator = match[1] || ' ';
+        }
+        continue;
+      }
+      
+      if (!compound) {
+        compound = { combinator, tag: null, ids: [], classes: [], attributes: [], pseudos: [] };
+      } else if (match[3]) {
+        // A type selector has to come first
+        fail();
+      }
+      
+      if (match[3]) {
+        compound.tag = match[3];
+      } else if (match[4]) {
+        compound.ids.push(match[4]);
+      } else if (match[5]) {
+        compound.classes.push(match[5]);
+      } else if (match[6]) {
+        const value = [match[8], match[9], match[10]].find(part => part !== undefined);
+        compound.attributes.push({ name: match[6], operator: match[7] || null, value });
+      } else {
+        const pseudo = match[11];
+        const argument = match[12];
+        if (pseudo === 'not' && argument) {
+          compound.pseudos.push({ name: pseudo, selector: ASVGXMLNode.parseSelector(argument) });
+        } else if (['nth-child', 'nth-last-child', 'nth-of-type', 'nth-last-of-type'].includes(pseudo) && argument) {
+          compound.pseudos.push({ name: pseudo, nth: ASVGXMLNode.parseNth(argument) || fail() });
+        } else if (['first-child', 'last-child', 'only-child', 'first-of-type', 'last-of-type', 'root', 'empty'].includes(pseudo) && argument === undefined) {
+          compound.pseudos.push({ name: pseudo });
+        } else {
+          fail();
+        }
+      }
+    }
+    
+    if (!compound) fail();
+    complex.push(compound);
+    groups.push(complex);
+    
+    if (cache.size > 256) cache.clear();
+    cache.set(selector, groups);
+    
+    return groups;
+  }
+  
+  static parseNth(argument) {
+    const text = argument.replace(/\s+/g, '').toLowerCase();
+    if (text === 'odd') return { a: 2, b: 1 };
+    if (text === 'even') return { a: 2, b: 0 };
+    
+    const match = text.match(/^(?:([+-]?\d*)n)?([+-]?\d+)?$/);
+    if (!match || !text) return null;
+    
+    const a = match[1] === undefined ? 0 : match[1] === '' || match[1] === '+' ? 1 : match[1] === '-' ? -1 : parseInt(match[1], 10);
+    return { a, b: match[2] ? parseInt(match[2], 10) : 0 };
+  }
+  
+  static matchesSelector(el, groups) {
+    const parentOf = node => (node.parentNode && node.parentNode.nodeType === 1 ? node.parentNode : null);
+    const siblingsOf = node => (node.parentNode ? node.parentNode.children : [node]);
+    
+    const matchesNth = ({ a, b }, position) => (
+      a === 0 ? position === b : (position - b) / a >= 0 && (position - b) % a === 0
+    );
+    
+    const matchesCompound = (node, compound) => {
+      if (compound.tag && compound.tag !== '*' && node.localName !== compound.tag) return false;
+      if (compound.ids.some(id => node.getAttribute('id') !== id)) return false;
+      
+      if (compound.classes.length) {
+        const classes = (node.getAttribute('class') || '').split(/\s+/);
+        if (compound.classes.some(name => !classes.includes(name))) return false;
+      }
+      
+      for (const { name, operator, value } of compound.attributes) {
+        const actual = node.getAttribute(name);
+        if (actual === null) return false;
+        
+        switch (operator) {
+          case '=': if (actual !== value) return false; break;
+          case '~=': if (!actual.split(/\s+/).includes(value)) return false; break;
+          case '^=': if (!value || !actual.startsWith(value)) return false; break;
+          case '$=': if (!value || !actual.endsWith(value)) return false; break;
+          case '*=': if (!value || !actual.includes(value)) return false; break;
+          case '|=': if (actual !== value && !actual.startsWith(`${value}-`)) return false; break;
+        }
+      }
+      
+      for (const pseudo of compound.pseudos) {
+        const siblings = siblingsOf(node);
+        const ofType = siblings.filter(sibling => sibling.localName === node.localName);
+        let matched;
+        
+        switch (pseudo.name) {
+          case 'not': matched = !ASVGXMLNode.matchesSelector(node, pseudo.selector); break;
+          case 'root': matched = !parentOf(node); break;
+          case 'empty': matched = !node.childNodes.some(child => child.nodeType === 1 || child.data); break;
+          case 'first-child': matched = siblings[0] === node; break;
+          case 'last-child': matched = siblings[siblings.length - 1] === node; break;
+          case 'only-child': matched = siblings.length === 1; break;
+          case 'first-of-type': matched = ofType[0] === node; break;
+          case 'last-of-type': matched = ofType[ofType.length - 1] === node; break;
+          case 'nth-child': matched = matchesNth(pseudo.nth, siblings.indexOf(node) + 1); break;
+          case 'nth-last-child': matched = matchesNth(pseudo.nth, siblings.length - siblings.indexOf(node)); break;
+          case 'nth-of-type': matched = matchesNth(pseudo.nth, ofType.indexOf(node) + 1); break;
+          case 'nth-last-of-type': matched = matchesNth(pseudo.nth, ofType.length - ofType.indexOf(node)); break;
+        }
+        if (!matched) return false;
+      }
+      
+      return true;
+    };
+    
+    const matchesComplex = (node, complex, index) => {
+      const compound = complex[index];
+      if (!matchesCompound(node, compound)) return false;
+      if (index === 0) return true;
+      
+      switch (compound.combinator) {
+        case '>': {
+          const parent = parentOf(node);
+          return !!parent && matchesComplex(parent, complex, index - 1);
+        }
+        case '+': {
+          const siblings = siblingsOf(node);
+          const previous = siblings[siblings.indexOf(node) - 1];
+          return !!previous && matchesComplex(previous, complex, index - 1);
+        }
+        case '~': {
+          const siblings = siblingsOf(node);
+          return siblings.slice(0, siblings.indexOf(node)).some(sibling => matchesComplex(sibling, complex, index - 1));
+        }
+        default:
+          for (let ancestor = parentOf(node); ancestor; ancestor = parentOf(ancestor)) {
+            if (matchesComplex(ancestor, complex, index - 1)) return true;
+          }
+          return false;
+      }
+    };
+    
+    return groups.some(complex => matchesComplex(el, complex, complex.length - 1));
+  }
+}
+
+ASVGXMLNode.selectorCache = new Map();
+
+class ASVGXMLElement extends ASVGXMLNode {
+  constructor(tagName, namespaces = {}) {
+    super(1, tagName);
+    const colon = tagName.indexOf(':');
+    this.tagName = tagName;
+    this.prefix = colon > 0 ? tagName.slice(0, colon) : null;
+    this.localName = tagName.slice(colon + 1);
+    this.namespaces = namespaces;
+    this.sourceIndex = -1;
+    this._attributes = new Map();
+  }
+  
+  get namespaceURI() {
+    return this.namespaces[this.prefix || ''] || null;
+  }
+  
+  get attributes() {
+    return Array.from(this._attributes, ([name, value]) => ({ name, value }));
+  }
+  
+  get id() {
+    return this.getAttribute('id') || '';
+  }
+  
+  getAttribute(name) {
+    return this._attributes.has(name) ? this._attributes.get(name) : null;
+  }
+  
+  setAttribute(name, value) {
+    this._attributes.set(name, String(value));
+  }
+  
+  hasAttribute(name) {
+    return this._attributes.has(name);
+  }
+  
+  removeAttribute(name) {
+    this._attributes.delete(name);
+  }
+  
+  matches(selector) {
+    return ASVGXMLNode.matchesSelector(this, ASVGXMLNode.parseSelector(selector));
+  }
+  
+  closest(selector) {
+    for (let node = this; node && node.nodeType === 1; node = node.parentNode) {
+      if (node.matches(selector)) return node;
+    }
+    return null;
+  }
+  
+  cloneNode(deep = false) {
+    const clone = new ASVGXMLElement(this.tagName, this.namespaces);
+    clone._attributes = new Map(this._attributes);
+    clone.sourceIndex = this.sourceIndex;
+    if (deep) this.childNodes.forEach(child => clone.appendChild(child.cloneNode(true)));
+    return clone;
+  }
+  
+  addEventListener() {}
+  
+  removeEventListener() {}
+}
+
+// The parsed animations of a <timeline> or <state>. Edits are made to the
+// source element as well, so that toXML() writes them out.
+class ASVGTimeline extends Array {
+  static get [Symbol.species]() {
+    return Array;
+  }
+  
+  constructor(owner, element = null) {
+    super();
+    Object.defineProperty(this, 'owner', { value: owner });
+    Object.defineProperty(this, 'element', { value: element, writable: true });
+    Object.defineProperty(this, 'markers', { value: [] });
+  }
+  
+  // Accepts an element, or a descriptor from OpenASVG.elements
+  add(node, index = this.length) {
+    const owner = this.owner;
+    if (!this.element) this.element = owner.getContainer('timeline');
+    
+    const el = owner.importNode(node, owner.document.namespaceURI);
+    const next = this[index];
+    owner.insertNode(this.element, el, next ? next.element : null);
+    
+    const anim = owner.parseAnimation(el, 0);
+    if (!anim) {
+      owner.removeNode(el);
+      throw new Error(`<${el.tagName}> is not an animation element`);
+    }
+    
+    anim.element = el;
+    this.splice(index, 0, anim);
+    owner.refreshTimeline();
+    
+    return anim;
+  }
+  
+  remove(animOrId) {
+    const index = typeof animOrId === 'string'
+      ? this.findIndex(anim => anim.id === animOrId)
+      : this.indexOf(animOrId);
+    if (index < 0) return false;
+    
+    const [anim] = this.splice(index, 1);
+    this.owner.removeNode(anim.element);
+    this.owner.refreshTimeline();
+    
+    return true;
+  }
+  
+  clear() {
+    while (this.length) this.remove(this[this.length - 1]);
+  }
+  
+  addMarker(name, time) {
+    const owner = this.owner;
+    if (!this.element) this.element = owner.getContainer('timeline');
+    if (typeof time === 'number') time = `${time}s`;
+    
+    const el = owner.importNode({ name: 'marker', attributes: { name, time } }, owner.document.namespaceURI);
+    owner.insertNode(this.element, el);
+    this.markers.push({ name, time: owner.parseTime(time), element: el });
+    this.markers.sort((a, b) => a.time - b.time);
+    owner.refreshTimeline();
+    
+    return el;
+  }
+  
+  removeMarker(name) {
+    const index = this.markers.findIndex(marker => marker.name === name);
+    if (index < 0) return false;
+    
+    const [marker] = this.markers.splice(index, 1);
+    this.owner.removeNode(marker.element);
+    this.owner.refreshTimeline();
+    
+    return true;
+  }
+}
+
 class OpenASVG {
   constructor(source, options = {}) {
     this.source = source;
+    this.hostOptions = options;
     this.options = {
       autoplay: true,
       loop: false,
       fps: 60,
+      renderer: 'auto',
       ...options
     };
     
@@ -16,20 +900,61 @@ class OpenASVG {
       currentTime: 0,
       duration: 0,
       playbackRate: 1,
-      currentState: null
+      currentState: null,
+      previousState: null
     };
     
     this.animations = [];
-    this.timeline = null;
+    this.sourceText = null;
+    this.document = null;
+    this.timeline = new ASVGTimeline(this);
     this.svgContent = null;
+    this.generatedAttributes = new Set();
+    this.generatedElements = new Set();
     this.variables = new Map();
     this.states = new Map();
+    this.stateNodes = new Map();
+    this.stateRegion = null;
+    this.stateTimelines = new Map();
+    this.stateHistory = new Map();
+    this.activeStates = new Map();
+    this.transitions = [];
+    this.transition = null;
+    this.particleLayers = new Map();
+    this.responsiveRules = [];
+    this.responsiveDefaults = new Map();
+    this.responsiveTimeline = null;
+    this.matchedRules = null;
+    this.viewportSize = null;
+    this.playbackRange = null;
     this.triggers = [];
     this.targetCache = new Map();
+    this.baseValues = new WeakMap();
+    this.animatedAttributes = new Map();
+    this.frameValues = null;
+    this.pathCache = new Map();
+    this.geometryCache = new Map();
+    this.measureCache = new Map();
+    this.expressionCache = new Map();
+    this.easingCache = new Map();
+    this.expressionErrors = new Set();
+    this.expressionCount = 0;
+    
+    this.mountContainer = null;
     
     this._animationFrame = null;
+    this._triggerListeners = [];
+    this._canvasListeners = [];
+    this._hovered = [];
+    this.interactiveCanvas = null;
+    this._canvasTabIndex = false;
+    this._resizeObserver = null;
+    this._resizeTarget = null;
     this._lastFrameTime = 0;
-    this._startTime = 0;
+    this._clockOrigin = 0;
+    this._clockStart = 0;
+    this._clockFrames = 0;
+    this._clockIteration = 0;
     
     this.events = new EventTarget();
     
@@ -39,7 +964,7 @@ class OpenASVG {
       } else {
         this.loadFromURL(source);
       }
-    } else if (source instanceof Element) {
+    } else if (source && source.nodeType === 1) {
       this.parseElement(source);
     }
   }
@@ -56,12 +981,31 @@ class OpenASVG {
   }
   
   parseXML(xmlString) {
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(xmlString, 'application/xml');
+    this.sourceText = xmlString;
     
-    if (doc.querySelector('parsererror')) {
-      this.emit('error', { error: new Error('XML parsing error') });
-      return;
+    let doc;
+    if (typeof DOMParser !== 'undefined') {
+      doc = new DOMParser().parseFromString(xmlString, 'application/xml');
+      if (doc.querySelector('parsererror')) {
+        // The built-in parser reports where the error is
+        let error = new Error('XML parsing error');
+        try {
+          ASVGXMLNode.parse(xmlString);
+        } catch (parseError) {
+          if (parseError instanceof ASVGXMLError) error = parseError;
+        }
+        this.emit('error', { error });
+        return;
+      }
+    } else {
+      // No browser DOM, e.g. in Node.js
+      try {
+        doc = ASVGXMLNode.parse(xmlString);
+      } catch (error) {
+        if (!(error instanceof ASVGXMLError)) throw error;
+        this.emit('error', { error });
+        return;
+      }
     }
     
     const asvgRoot = doc.querySelector('asvg');
@@ -74,13 +1018,38 @@ class OpenASVG {
   }
   
   parseElement(element) {
-    // Parse root attributes
-    this.options.width = parseInt(element.getAttribute('width')) || 800;
-    this.options.height = parseInt(element.getAttribute('height')) || 600;
+    if (this.options.strict) {
+      const diagnostics = this.validate(this.sourceText || element);
+      if (diagnostics.some(diagnostic => diagnostic.severity === 'error')) {
+        this.emit('error', { error: new ASVGValidationError(diagnostics) });
+        return;
+      }
+    }
+    
+    this.document = element;
+    
+    // Parse root attributes. A document without a size of its own takes it,
+    // or at least its proportions, from the viewBox
+    const svgEl = element.querySelector('svg');
+    const viewBox = svgEl ? this.parseNumberList(svgEl.getAttribute('viewBox')) : [];
+    const ratio = viewBox[2] > 0 && viewBox[3] > 0 ? viewBox[2] / viewBox[3] : 4 / 3;
+    const width = parseInt(element.getAttribute('width'));
+    const height = parseInt(element.getAttribute('height'));
+    this.options.width = width || (height ? Math.round(height * ratio) : viewBox[2] > 0 && viewBox[3] > 0 ? viewBox[2] : 800);
+    this.options.height = height || Math.round(this.options.width / ratio);
     this.options.duration = this.parseTime(element.getAttribute('duration') || '0s');
-    this.options.fps = parseInt(element.getAttribute('fps') || '60');
-    this.options.loop = element.getAttribute('loop') === 'true';
-    this.options.autoplay = element.getAttribute('autoplay') !== 'false';
+    // Options passed by the host take precedence over the document
+    this.options.fps = 'fps' in this.hostOptions
+      ? this.hostOptions.fps
+      : parseInt(element.getAttribute('fps')) || 60;
+    this.options.loop = 'loop' in this.hostOptions
+      ? !!this.hostOptions.loop
+      : element.getAttribute('loop') === 'true';
+    this.options.autoplay = 'autoplay' in this.hostOptions
+      ? !!this.hostOptions.autoplay
+      : element.getAttribute('autoplay') !== 'false';
+    this.options.seed = element.getAttribute('seed') || '0';
+    this.expressionCount = 0;
     
     // Parse variables
     const variablesEl = element.querySelector('variables');
@@ -89,54 +1058,56 @@ class OpenASVG {
         const name = varEl.getAttribute('name');
         const value = varEl.getAttribute('value');
         if (name && value) {
-          this.variables.set(name, this.evaluateExpression(value));
+          const result = this.parseVariableValue(value);
+          if (result !== undefined) this.variables.set(name, result);
         }
       });
     }
     
     // Parse states
-    const statesEl = element.querySelector('states');
-    if (statesEl) {
-      statesEl.querySelectorAll('state').forEach(stateEl => {
-        const id = stateEl.getAttribute('id');
-        if (id) {
-          this.states.set(id, stateEl);
-        }
-      });
-    }
+    this.parseStateMachine(element.querySelector('states'));
     
     // Parse triggers
     const triggersEl = element.querySelector('triggers');
     if (triggersEl) {
       triggersEl.querySelectorAll('trigger').forEach(triggerEl => {
-        this.triggers.push({
-          event: triggerEl.getAttribute('event'),
-          target: triggerEl.getAttribute('target'),
-          state: triggerEl.getAttribute('state')
-        });
+        this.triggers.push(this.parseTrigger(triggerEl));
       });
     }
     
-    // Parse timeline
-    const timelineEl = element.querySelector('timeline');
-    if (timelineEl) {
-      this.timeline = this.parseTimeline(timelineEl);
-    }
+    // Parse responsive rules
+    this.parseResponsiveRules(element.querySelector('responsive'));
+    
+    // Parse timeline; rules may hold timelines of their own
+    this.timeline = this.createTimeline(Array.from(element.children).find(child => child.localName === 'timeline'));
     
     // Extract SVG content
-    const svgEl = element.querySelector('svg');
     if (svgEl) {
       this.svgContent = svgEl.cloneNode(true);
       // Remove namespace prefix if present
+      if (!this.svgContent.hasAttribute('xmlns')) this.generatedAttributes.add('xmlns');
       this.svgContent.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
     }
     
     // Calculate total duration
     this.state.duration = this.calculateDuration();
     
+    // Enter the initial state, if the document names one
+    if (this.stateRegion && this.stateRegion.initial) {
+      this.setState(this.stateRegion.initial);
+    }
+    
+    // Rules first match the document's own size
+    this.resize(this.options.width, this.options.height);
+    
     // Setup triggers
     this.setupTriggers();
     
+    // Complete a mount() requested before the document finished loading
+    if (this.mountContainer && this.svgContent) {
+      this.mount(this.mountContainer);
+    }
+    
     // Emit ready event
     this.emit('ready');
     
@@ -146,40 +1117,100 @@ class OpenASVG {
     }
   }
   
+  parseTrigger(triggerEl) {
+    const event = triggerEl.getAttribute('event') || '';
+    
+    return {
+      event,
+      type: ASVG_TRIGGER_EVENTS[event] || event,
+      target: triggerEl.getAttribute('target'),
+      key: triggerEl.getAttribute('key'),
+      action: triggerEl.getAttribute('action') || 'state',
+      state: triggerEl.getAttribute('state'),
+      time: triggerEl.getAttribute('time'),
+      variable: triggerEl.getAttribute('variable'),
+      value: triggerEl.getAttribute('value'),
+      marker: triggerEl.getAttribute('marker')
+    };
+  }
+  
   parseTimeline(timelineEl) {
     const animations = [];
     
     for (const child of timelineEl.children) {
       const anim = this.parseAnimation(child, 0);
-      if (anim) animations.push(anim);
+      if (!anim) continue;
+      
+      anim.element = child;
+      animations.push(anim);
     }
     
     return animations;
   }
   
+  createTimeline(element) {
+    const timeline = new ASVGTimeline(this, element);
+    if (element) {
+      timeline.push(...this.parseTimeline(element));
+      timeline.markers.push(...this.parseMarkers(element));
+    }
+    
+    return timeline;
+  }
+  
+  parseMarkers(element) {
+    return Array.from(element.children)
+      .filter(child => child.localName === 'marker' && child.getAttribute('name'))
+      .map(child => ({
+        name: child.getAttribute('name'),
+        time: this.parseTime(child.getAttribute('time') || '0s'),
+        element: child
+      }))
+      .sort((a, b) => a.time - b.time);
+  }
+  
   parseAnimation(el, parentStart = 0) {
     const type = el.tagName.toLowerCase();
+    let anim = null;
     
     switch (type) {
       case 'animate':
-        return this.parseAnimate(el, parentStart);
+        anim = this.parseAnimate(el, parentStart);
+        break;
       case 'animate-transform':
-        return this.parseAnimateTransform(el, parentStart);
+        anim = this.parseAnimateTransform(el, parentStart);
+        break;
       case 'animate-path':
-        return this.parseAnimatePath(el, parentStart);
+        anim = this.parseAnimatePath(el, parentStart);
+        break;
       case 'animate-color':
-        return this.parseAnimateColor(el, parentStart);
+        anim = this.parseAnimateColor(el, parentStart);
+        break;
       case 'morph':
-        return this.parseMorph(el, parentStart);
+        anim = this.parseMorph(el, parentStart);
+        break;
+      case 'keyframes':
+        anim = this.parseKeyframes(el, parentStart);
+        break;
       case 'sequence':
         return this.parseSequence(el, parentStart);
       case 'parallel':
         return this.parseParallel(el, parentStart);
       case 'animate-set':
         return this.parseAnimateSet(el, parentStart);
+      case 'particles':
+        return this.parseParticles(el, parentStart);
       default:
         return null;
     }
+    
+    // A spring settles in its own time when no duration is given
+    if (!el.hasAttribute('duration')) {
+      const easing = this.getEasingFunction(anim.easing);
+      if (easing.duration) anim.duration = easing.duration;
+    }
+    
+    return anim;
   }
   
   parseAnimate(el, parentStart = 0) {
@@ -193,24 +1224,17 @@ class OpenASVG {
       start: parentStart + this.parseTime(el.getAttribute('start') || '0s'),
       duration: this.parseTime(el.getAttribute('duration') || '0s'),
       easing: el.getAttribute('easing') || 'linear',
-      repeat: el.getAttribute('repeat') || '1',
+      repeat: this.parseRepeat(el.getAttribute('repeat')),
       reverse: el.getAttribute('reverse') === 'true',
       fill: el.getAttribute('fill') || 'none',
       id: el.getAttribute('id')
     };
     
-    // Handle repeat
-    if (anim.repeat === 'infinite') {
-      anim.repeat = Infinity;
-    } else {
-      anim.repeat = parseInt(anim.repeat);
-    }
-    
-    return anim;
+    return this.parseExpressions(el, anim, ['from', 'to', 'by', 'start', 'duration'], parentStart);
   }
   
   parseAnimateTransform(el, parentStart = 0) {
-    return {
+    const anim = {
       type: 'animate-transform',
       target: el.getAttribute('target'),
       transformType: el.getAttribute('type'),
@@ -219,29 +1243,38 @@ class OpenASVG {
       start: parentStart + this.parseTime(el.getAttribute('start') || '0s'),
       duration: this.parseTime(el.getAttribute('duration') || '0s'),
       easing: el.getAttribute('easing') || 'linear',
-      repeat: el.getAttribute('repeat') || '1',
+      repeat: this.parseRepeat(el.getAttribute('repeat')),
       reverse: el.getAttribute('reverse') === 'true',
+      fill: el.getAttribute('fill') || 'none',
       additive: el.getAttribute('additive') || 'replace',
       id: el.getAttribute('id')
     };
+    
+    return this.parseExpressions(el, anim, ['from', 'to', 'start', 'duration'], parentStart);
   }
   
   parseAnimatePath(el, parentStart = 0) {
-    return {
+    const anim = {
       type: 'animate-path',
       target: el.getAttribute('target'),
       path: el.getAttribute('path'),
       start: parentStart + this.parseTime(el.getAttribute('start') || '0s'),
       duration: this.parseTime(el.getAttribute('duration') || '0s'),
       easing: el.getAttribute('easing') || 'linear',
+      repeat: this.parseRepeat(el.getAttribute('repeat')),
+      reverse: el.getAttribute('reverse') === 'true',
+      fill: el.getAttribute('fill') || 'none',
       rotate: el.getAttribute('rotate') || 'none',
       anchor: el.getAttribute('anchor') || 'center',
+      keyPoints: this.parseKeys(el, el.getAttribute('keyPoints') || el.getAttribute('key-points')),
       id: el.getAttribute('id')
     };
+    
+    return this.parseExpressions(el, anim, ['start', 'duration'], parentStart);
   }
   
   parseAnimateColor(el, parentStart = 0) {
-    return {
+    const anim = {
       type: 'animate-color',
       target: el.getAttribute('target'),
       attribute: el.getAttribute('attribute'),
@@ -250,88 +1283,247 @@ class OpenASVG {
       start: parentStart + this.parseTime(el.getAttribute('start') || '0s'),
       duration: this.parseTime(el.getAttribute('duration') || '0s'),
       easing: el.getAttribute('easing') || 'linear',
+      repeat: this.parseRepeat(el.getAttribute('repeat')),
+      reverse: el.getAttribute('reverse') === 'true',
+      fill: el.getAttribute('fill') || 'none',
       colorSpace: el.getAttribute('color-space') || 'srgb',
+      hueInterpolation: el.getAttribute('hue-interpolation') || 'shorter',
       id: el.getAttribute('id')
     };
+    
+    return this.parseExpressions(el, anim, ['from', 'to', 'start', 'duration'], parentStart);
   }
   
   parseMorph(el, parentStart = 0) {
-    return {
+    const anim = {
       type: 'morph',
       target: el.getAttribute('target'),
       to: el.getAttribute('to'),
       start: parentStart + this.parseTime(el.getAttribute('start') || '0s'),
       duration: this.parseTime(el.getAttribute('duration') || '0s'),
       easing: el.getAttribute('easing') || 'linear',
+      repeat: this.parseRepeat(el.getAttribute('repeat')),
+      reverse: el.getAttribute('reverse') === 'true',
+      fill: el.getAttribute('fill') || 'none',
       preserveCorners: el.getAttribute('preserve-corners') === 'true',
       id: el.getAttribute('id')
     };
+    
+    return this.parseExpressions(el, anim, ['start', 'duration'], parentStart);
+  }
+  
+  parseKeyframes(el, parentStart = 0) {
+    const anim = {
+      type: 'keyframes',
+      target: el.getAttribute('target'),
+      attribute: el.getAttribute('attribute') || (el.getAttribute('type') ? 'transform' : null),
+      transformType: el.getAttribute('type'),
+      keyframes: this.parseKeys(el),
+      start: parentStart + this.parseTime(el.getAttribute('start') || '0s'),
+      duration: this.parseTime(el.getAttribute('duration') || '0s'),
+      easing: el.getAttribute('easing') || 'linear',
+      repeat: this.parseRepeat(el.getAttribute('repeat')),
+      reverse: el.getAttribute('reverse') === 'true',
+      fill: el.getAttribute('fill') || 'none',
+      colorSpace: el.getAttribute('color-space') || 'srgb',
+      hueInterpolation: el.getAttribute('hue-interpolation') || 'shorter',
+      id: el.getAttribute('id')
+    };
+    
+    anim.dynamicKeys = anim.keyframes.some(key => key.value.includes('{'));
+    
+    return this.parseExpressions(el, anim, ['start', 'duration'], parentStart);
+  }
+  
+  parseKeys(el, valueList = el.getAttribute('values')) {
+    let keys = [];
+    
+    const keyEls = Array.from(el.children).filter(child => child.tagName.toLowerCase() === 'key');
+    if (keyEls.length) {
+      keys = keyEls.map(keyEl => ({
+        offset: this.parseOffset(keyEl.getAttribute('offset')),
+        value: keyEl.getAttribute('value') || '',
+        easing: keyEl.getAttribute('easing') || 'linear'
+      }));
+    } else if (valueList) {
+      // values/keyTimes shorthand, with optional SMIL-style keySplines
+      const split = value => (value ? value.split(';').map(part => part.trim()).filter(Boolean) : []);
+      const values = split(valueList);
+      const times = split(el.getAttribute('keyTimes') || el.getAttribute('key-times'));
+      const splines = split(el.getAttribute('keySplines') || el.getAttribute('key-splines'));
+      
+      keys = values.map((value, i) => ({
+        offset: times.length === values.length ? this.parseOffset(times[i]) : null,
+        value,
+        easing: splines[i] ? `cubic-bezier(${this.parseNumberList(splines[i]).join(', ')})` : 'linear'
+      }));
+    }
+    
+    // Keys without an offset are spread evenly between their neighbours
+    if (keys.length) {
+      if (keys[0].offset === null) keys[0].offset = 0;
+      if (keys.length > 1 && keys[keys.length - 1].offset === null) keys[keys.length - 1].offset = 1;
+    }
+    for (let i = 1; i < keys.length; i++) {
+      if (keys[i].offset !== null) continue;
+      
+      let next = i;
+      while (keys[next].offset === null) next++;
+      const from = keys[i - 1].offset;
+      const step = (keys[next].offset - from) / (next - i + 1);
+      for (let j = i; j < next; j++) {
+        keys[j].offset = from + step * (j - i + 1);
+      }
+    }
+    
+    return keys.sort((a, b) => a.offset - b.offset);
+  }
+  
+  parseOffset(value) {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+    
+    const offset = parseFloat(value);
+    if (isNaN(offset)) return null;
+    
+    return Math.min(1, Math.max(0, String(value).trim().endsWith('%') ? offset / 100 : offset));
   }
   
+  // Groups run their children on a local clock that starts at the group's
+  // own start, so children's start times are relative to the group
   parseSequence(el, parentStart = 0) {
     const animations = [];
-    let currentStart = parentStart;
+    let cursor = 0;
     
     for (const child of el.children) {
-      const anim = this.parseAnimation(child, currentStart);
+      const anim = this.parseAnimation(child, cursor);
       if (anim) {
         animations.push(anim);
-        currentStart += anim.duration;
+        cursor = anim.start + this.getActiveDuration(anim);
       }
     }
     
-    return {
+    return this.parseGroupTiming(el, {
       type: 'sequence',
       animations,
-      repeat: el.getAttribute('repeat') || '1',
       id: el.getAttribute('id'),
-      duration: currentStart - parentStart
-    };
+      duration: cursor,
+      dynamicLayout: animations.some(anim => this.hasDynamicTiming(anim))
+    }, parentStart);
   }
   
   parseParallel(el, parentStart = 0) {
     const animations = [];
-    let maxDuration = 0;
     
     for (const child of el.children) {
-      const anim = this.parseAnimation(child, parentStart);
-      if (anim) {
-        animations.push(anim);
-        maxDuration = Math.max(maxDuration, anim.duration);
-      }
+      const anim = this.parseAnimation(child, 0);
+      if (anim) animations.push(anim);
     }
     
-    return {
+    return this.parseGroupTiming(el, {
       type: 'parallel',
       animations,
       id: el.getAttribute('id'),
-      duration: maxDuration
-    };
+      duration: this.getGroupExtent(animations),
+      dynamicLayout: animations.some(anim => this.hasDynamicTiming(anim))
+    }, parentStart);
   }
   
   parseAnimateSet(el, parentStart = 0) {
     const animations = [];
     const target = el.getAttribute('target');
-    let maxDuration = 0;
     
     for (const child of el.children) {
-      const anim = this.parseAnimation(child, parentStart);
+      const anim = this.parseAnimation(child, 0);
       if (anim) {
         anim.target = target; // Override target
         animations.push(anim);
-        maxDuration = Math.max(maxDuration, anim.duration);
       }
     }
     
-    return {
+    return this.parseGroupTiming(el, {
       type: 'animate-set',
       animations,
       target,
       id: el.getAttribute('id'),
-      duration: maxDuration
+      duration: this.getGroupExtent(animations),
+      dynamicLayout: animations.some(anim => this.hasDynamicTiming(anim))
+    }, parentStart);
+  }
+  
+  parseGroupTiming(el, group, parentStart = 0) {
+    return {
+      ...group,
+      start: parentStart + this.parseTime(el.getAttribute('start') || '0s'),
+      easing: el.getAttribute('easing') || 'linear',
+      repeat: this.parseRepeat(el.getAttribute('repeat')),
+      reverse: el.getAttribute('reverse') === 'true',
+      fill: el.getAttribute('fill') || 'none'
     };
   }
   
+  getGroupExtent(animations) {
+    return animations.reduce((end, anim) => Math.max(end, anim.start + this.getActiveDuration(anim)), 0);
+  }
+  
+  hasDynamicTiming(anim) {
+    return !!anim.dynamicLayout || !!(anim.expressions && (anim.expressions.start || anim.expressions.duration));
+  }
+  
+  // Lays out a group's children with their timing expressions evaluated. The
+  // parsed layout used each expression's value at t=0; in a sequence, every
+  // child after one whose end has moved since then moves with it
+  layoutGroup(group, time) {
+    let shift = 0;
+    
+    return group.animations.map(anim => {
+      const moved = shift ? { ...anim, start: anim.start + shift } : anim;
+      if (shift && moved.startOffset !== undefined) moved.startOffset += shift;
+      
+      const resolved = { ...moved, ...this.resolveTiming(moved, time) };
+      if (group.type === 'sequence') {
+        shift = resolved.start + this.getActiveDuration(resolved) - (anim.start + this.getActiveDuration(anim));
+      }
+      return resolved;
+    });
+  }
+  
+  getActiveDuration(anim) {
+    if (anim.duration <= 0) return 0;
+    return anim.duration * (anim.repeat === undefined ? 1 : anim.repeat);
+  }
+  
+  parseRepeat(value) {
+    if (value === 'infinite' || value === 'indefinite') return Infinity;
+    
+    const repeat = parseFloat(value);
+    return repeat > 0 ? repeat : 1;
+  }
+  
+  parseExpressions(el, anim, attributes, parentStart = 0) {
+    const expressions = {};
+    // Names the animation's random() streams
+    anim.expressionId = this.expressionCount++;
+    
+    attributes.forEach(name => {
+      const value = el.getAttribute(name);
+      if (value && value.includes('{')) {
+        expressions[name] = value;
+      }
+    });
+    
+    if (!Object.keys(expressions).length) return anim;
+    
+    anim.expressions = expressions;
+    anim.startOffset = parentStart;
+    
+    // Seed static timing with the values at t=0 so durations can be computed up front
+    const timing = this.resolveTiming(anim, 0);
+    anim.start = timing.start;
+    anim.duration = timing.duration;
+    
+    return anim;
+  }
+  
   // Time parsing
   parseTime(timeStr) {
     if (!timeStr) return 0;
@@ -351,45 +1543,408 @@ class OpenASVG {
   }
   
   // Expression evaluation
-  evaluateExpression(expr, context = {}) {
-    // Simple expression evaluation
-    // In production, use a proper expression parser
+  evaluateExpression(expr, context = {}, seed = '') {
     try {
-      const vars = { ...Object.fromEntries(this.variables), ...context };
-      const func = new Function(...Object.keys(vars), `return ${expr}`);
-      return func(...Object.values(vars));
-    } catch (e) {
-      return expr;
+      const ast = this.compileExpression(String(expr));
+      return this.evaluateAST(ast, context, seed);
+    } catch (error) {
+      if (!(error instanceof ASVGExpressionError)) throw error;
+      
+      // Expressions re-run every frame; report each distinct failure once
+      const key = `${error.source}|${error.message}`;
+      if (!this.expressionErrors.has(key)) {
+        this.expressionErrors.add(key);
+        this.emit('error', { error });
+      }
+      return undefined;
     }
   }
   
-  // Animation calculation
-  calculateDuration() {
-    let maxEnd = 0;
-    
-    const calcAnimDuration = (anim) => {
-      if (anim.type === 'sequence' || anim.type === 'parallel' || anim.type === 'animate-set') {
-        let seqDuration = 0;
-        anim.animations.forEach(child => {
-          const childDur = calcAnimDuration(child);
-          if (anim.type === 'sequence') {
-            seqDuration += childDur;
-          } else {
-            seqDuration = Math.max(seqDuration, childDur);
+  // Variable values are expressions. One in braces, like any other value,
+  // is undefined when it fails; bare text that doesn't evaluate, such as a
+  // color, is reported but kept as written. The bare names of constants stay
+  // text too, so a value of "E" isn't 2.718
+  parseVariableValue(value) {
+    const text = String(value);
+    if (text.includes('{')) return this.resolveValue(text);
+    if (/^\s*(PI|E)\s*$/.test(text)) return text;
+    
+    const result = this.evaluateExpression(text);
+    return result !== undefined ? result : text;
+  }
+  
+  resolveValue(value, scope = {}, seed = '') {
+    if (typeof value !== 'string' || !value.includes('{')) return value;
+    
+    // "{expr}" keeps the result's type; expressions embedded in text are spliced in as strings
+    const whole = value.match(/^\s*\{([^{}]*)\}\s*$/);
+    if (whole) {
+      return this.evaluateExpression(whole[1], scope, seed);
+    }
+    
+    return value.replace(/\{([^{}]*)\}/g, (match, expr) => this.evaluateExpression(expr, scope, seed));
+  }
+  
+  resolveTime(value, scope = {}, seed = '') {
+    const result = this.resolveValue(value, scope, seed);
+    return typeof result === 'number' ? result : this.parseTime(String(result));
+  }
+  
+  resolveTiming(anim, time) {
+    if (anim.dynamicLayout) {
+      return { start: anim.start, duration: this.getGroupExtent(this.layoutGroup(anim, time)) };
+    }
+    
+    const expressions = anim.expressions;
+    if (!expressions || (!expressions.start && !expressions.duration)) {
+      return { start: anim.start, duration: anim.duration };
+    }
+    
+    const scope = { t: time };
+    return {
+      start: expressions.start
+        ? anim.startOffset + this.resolveTime(expressions.start, scope, `${anim.expressionId}:start`)
+        : anim.start,
+      duration: expressions.duration
+        ? this.resolveTime(expressions.duration, scope, `${anim.expressionId}:duration`)
+        : anim.duration
+    };
+  }
+  
+  resolveAnimation(anim, time, documentTime = time) {
+    if (anim.dynamicLayout) {
+      const animations = this.layoutGroup(anim, documentTime);
+      return { ...anim, animations, duration: this.getGroupExtent(animations) };
+    }
+    if (!anim.expressions && !anim.dynamicKeys) return anim;
+    
+    const resolved = { ...anim, ...this.resolveTiming(anim, documentTime) };
+    const progress = this.calculateProgress(resolved, time);
+    const scope = { t: documentTime, progress: Math.min(Math.max(progress, 0), 1) };
+    
+    ['from', 'to', 'by'].forEach(name => {
+      if (anim.expressions && anim.expressions[name]) {
+        resolved[name] = this.resolveValue(anim.expressions[name], scope, `${anim.expressionId}:${name}`);
+      }
+    });
+    
+    if (anim.dynamicKeys) {
+      resolved.keyframes = anim.keyframes.map((key, i) => ({
+        ...key,
+        value: String(this.resolveValue(key.value, scope, `${anim.expressionId}:${i}`))
+      }));
+    }
+    
+    return resolved;
+  }
+  
+  compileExpression(source) {
+    if (this.expressionCache.has(source)) {
+      return this.expressionCache.get(source);
+    }
+    
+    const ast = this.parseExpression(source);
+    this.expressionCache.set(source, ast);
+    
+    return ast;
+  }
+  
+  tokenizeExpression(source) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_$][\w$]*)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|(\*\*|<=|>=|==|!=|&&|\|\||[-+*\/%^<>!?:(),]))/y;
+    let index = 0;
+    
+    while (index < source.length) {
+      if (/^\s*$/.test(source.slice(index))) break;
+      
+      pattern.lastIndex = index;
+      const match = pattern.exec(source);
+      if (!match) {
+        const offset = index + source.slice(index).search(/\S/);
+        throw new ASVGExpressionError(`Unexpected character '${source[offset]}'`, source, offset);
+      }
+      
+      const start = match.index + match[0].search(/\S/);
+      if (match[1] !== undefined) {
+        tokens.push({ type: 'number', value: parseFloat(match[1]), index: start });
+      } else if (match[2] !== undefined) {
+        tokens.push({ type: 'identifier', value: match[2], index: start });
+      } else if (match[3] !== undefined) {
+        const value = match[3].slice(1, -1).replace(/\\(.)/g, '$1');
+        tokens.push({ type: 'string', value, index: start });
+      } else {
+        tokens.push({ type: 'operator', value: match[4], index: start });
+      }
+      
+      index = pattern.lastIndex;
+    }
+    
+    tokens.push({ type: 'end', value: null, index: source.length });
+    return tokens;
+  }
+  
+  parseExpression(source) {
+    const tokens = this.tokenizeExpression(source);
+    let position = 0;
+    
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const isOperator = (...values) => peek().type === 'operator' && values.includes(peek().value);
+    const fail = (token, message) => {
+      throw new ASVGExpressionError(message, source, token.index);
+    };
+    const describe = token => (token.type === 'end' ? 'end of expression' : `'${token.value}'`);
+    const expect = value => {
+      const token = next();
+      if (token.type !== 'operator' || token.value !== value) {
+        fail(token, `Expected '${value}' but found ${describe(token)}`);
+      }
+      return token;
+    };
+    
+    const binary = (parseOperand, operators) => () => {
+      let left = parseOperand();
+      while (isOperator(...operators)) {
+        const token = next();
+        left = { type: 'binary', operator: token.value, left, right: parseOperand(), index: token.index };
+      }
+      return left;
+    };
+    
+    const parsePrimary = () => {
+      const token = next();
+      
+      if (token.type === 'number' || token.type === 'string') {
+        return { type: 'literal', value: token.value, index: token.index };
+      }
+      
+      if (token.type === 'identifier') {
+        if (token.value === 'true' || token.value === 'false') {
+          return { type: 'literal', value: token.value === 'true', index: token.index };
+        }
+        if (isOperator('(')) {
+          next();
+          const args = [];
+          if (!isOperator(')')) {
+            do {
+              args.push(parseTernary());
+            } while (isOperator(',') && next());
           }
-        });
-        return seqDuration;
+          expect(')');
+          return { type: 'call', name: token.value, args, index: token.index };
+        }
+        return { type: 'identifier', name: token.value, index: token.index };
+      }
+      
+      if (token.type === 'operator' && token.value === '(') {
+        const inner = parseTernary();
+        expect(')');
+        return inner;
       }
       
-      const iterations = (anim.repeat === Infinity || anim.repeat === 'infinite') ? 1 : parseInt(anim.repeat) || 1;
-      const animDuration = anim.duration * iterations;
-      maxEnd = Math.max(maxEnd, anim.start + animDuration);
-      return animDuration;
+      return fail(token, `Unexpected ${describe(token)}`);
+    };
+    
+    // Exponentiation binds tighter than unary minus and is right-associative
+    const parsePower = () => {
+      const base = parsePrimary();
+      if (isOperator('^', '**')) {
+        const token = next();
+        return { type: 'binary', operator: '^', left: base, right: parseUnary(), index: token.index };
+      }
+      return base;
     };
     
-    if (this.timeline) {
-      this.timeline.forEach(anim => calcAnimDuration(anim));
+    const parseUnary = () => {
+      if (isOperator('-', '+', '!')) {
+        const token = next();
+        return { type: 'unary', operator: token.value, argument: parseUnary(), index: token.index };
+      }
+      return parsePower();
+    };
+    
+    const parseMultiplicative = binary(parseUnary, ['*', '/', '%']);
+    const parseAdditive = binary(parseMultiplicative, ['+', '-']);
+    const parseComparison = binary(parseAdditive, ['<', '<=', '>', '>=']);
+    const parseEquality = binary(parseComparison, ['==', '!=']);
+    const parseAnd = binary(parseEquality, ['&&']);
+    const parseOr = binary(parseAnd, ['||']);
+    
+    const parseTernary = () => {
+      const test = parseOr();
+      if (isOperator('?')) {
+        const token = next();
+        const consequent = parseTernary();
+        expect(':');
+        const alternate = parseTernary();
+        return { type: 'conditional', test, consequent, alternate, index: token.index };
+      }
+      return test;
+    };
+    
+    if (peek().type === 'end') {
+      fail(peek(), 'Empty expression');
+    }
+    
+    const ast = parseTernary();
+    if (peek().type !== 'end') {
+      fail(peek(), `Unexpected ${describe(peek())}`);
+    }
+    
+    ast.source = source;
+    return ast;
+  }
+  
+  // random() starts the same sequence on every evaluation, seeded by the
+  // document's seed, the caller's seed and the expression, so a frame's
+  // values never depend on which frames were drawn before it
+  evaluateAST(node, scope = {}, seed = '') {
+    const source = node.source;
+    const functions = this.getExpressionFunctions();
+    const has = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+    let random = null;
+    
+    const evaluate = n => {
+      switch (n.type) {
+        case 'literal':
+          return n.value;
+        case 'identifier':
+          if (has(scope, n.name)) return scope[n.name];
+          if (this.variables.has(n.name)) return this.variables.get(n.name);
+          if (n.name === 'PI') return Math.PI;
+          if (n.name === 'E') return Math.E;
+          throw new ASVGExpressionError(`Unknown variable '${n.name}'`, source, n.index);
+        case 'call': {
+          if (!has(functions, n.name)) {
+            throw new ASVGExpressionError(`Unknown function '${n.name}'`, source, n.index);
+          }
+          if (n.name === 'random' && !n.args.length) {
+            if (!random) random = this.createRandom(`${this.options.seed}:${seed}:${source}`);
+            return random();
+          }
+          return functions[n.name](...n.args.map(evaluate));
+        }
+        case 'unary': {
+          const value = evaluate(n.argument);
+          if (n.operator === '!') return !value;
+          return n.operator === '-' ? -value : +value;
+        }
+        case 'conditional':
+          return evaluate(n.test) ? evaluate(n.consequent) : evaluate(n.alternate);
+        case 'binary': {
+          if (n.operator === '&&') return evaluate(n.left) && evaluate(n.right);
+          if (n.operator === '||') return evaluate(n.left) || evaluate(n.right);
+          
+          const left = evaluate(n.left);
+          const right = evaluate(n.right);
+          switch (n.operator) {
+            case '+': return left + right;
+            case '-': return left - right;
+            case '*': return left * right;
+            case '/': return left / right;
+            case '%': return left % right;
+            case '^': return Math.pow(left, right);
+            case '<': return left < right;
+            case '<=': return left <= right;
+            case '>': return left > right;
+            case '>=': return left >= right;
+            case '==': return left === right;
+            case '!=': return left !== right;
+          }
+        }
+      }
+      throw new ASVGExpressionError(`Cannot evaluate '${n.type}'`, source, n.index);
+    };
+    
+    return evaluate(node);
+  }
+  
+  getExpressionFunctions() {
+    if (this._expressionFunctions) return this._expressionFunctions;
+    
+    const clamp = (value, min = 0, max = 1) => Math.min(Math.max(value, min), max);
+    
+    this._expressionFunctions = {
+      abs: Math.abs,
+      sign: Math.sign,
+      floor: Math.floor,
+      ceil: Math.ceil,
+      round: Math.round,
+      trunc: Math.trunc,
+      sqrt: Math.sqrt,
+      pow: Math.pow,
+      exp: Math.exp,
+      log: Math.log,
+      sin: Math.sin,
+      cos: Math.cos,
+      tan: Math.tan,
+      asin: Math.asin,
+      acos: Math.acos,
+      atan: Math.atan,
+      atan2: Math.atan2,
+      hypot: Math.hypot,
+      min: Math.min,
+      max: Math.max,
+      clamp,
+      lerp: (a, b, t) => a + (b - a) * t,
+      smoothstep: (edge0, edge1, x) => {
+        const t = clamp((x - edge0) / (edge1 - edge0));
+        return t * t * (3 - 2 * t);
+      },
+      radians: degrees => degrees * Math.PI / 180,
+      degrees: radians => radians * 180 / Math.PI,
+      // random(seed) always returns the same value for the same seed;
+      // random() is seeded in evaluateAST
+      random: seed => this.createRandom(seed)()
+    };
+    
+    return this._expressionFunctions;
+  }
+  
+  createRandom(seed) {
+    // mulberry32, seeded from a number or a string hash
+    let state = 0;
+    const text = String(seed);
+    for (let i = 0; i < text.length; i++) {
+      state = Math.imul(state ^ text.charCodeAt(i), 2654435761);
     }
+    state = (state ^ (state >>> 16)) >>> 0;
+    
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+  
+  // Animation calculation
+  calculateDuration() {
+    // Infinite repeats count as a single iteration toward the document's
+    // length, which is how far a looping document plays before wrapping
+    const nominalEnd = anim => {
+      const { start, duration } = this.resolveTiming(anim, this.state.currentTime);
+      if (!isFinite(start)) return 0;
+      
+      const iteration = anim.animations
+        ? this.layoutGroup(anim, this.state.currentTime).reduce((end, child) => Math.max(end, nominalEnd(child)), 0)
+        : duration;
+      const iterations = isFinite(anim.repeat) ? anim.repeat : 1;
+      // The last particles live on after the emitter stops
+      const tail = anim.type === 'particles' ? anim.lifetime[1] : 0;
+      
+      return start + Math.max(0, iteration) * iterations + tail;
+    };
+    
+    // Active states run on their own clocks, offset by when they were entered
+    let maxEnd = this.transition ? this.transition.duration : 0;
+    this.getTimelineLayers().forEach(({ timeline, entered }) => {
+      maxEnd = timeline.reduce((end, anim) => Math.max(end, entered + nominalEnd(anim)), maxEnd);
+      if (timeline.markers) {
+        maxEnd = timeline.markers.reduce((end, marker) => Math.max(end, entered + marker.time), maxEnd);
+      }
+    });
     
     return this.options.duration || maxEnd;
   }
@@ -398,11 +1953,21 @@ class OpenASVG {
   play() {
     if (this.state.playing) return;
     
+    // As with a media element, playing from the end starts over
+    const { currentTime, duration, playbackRate } = this.state;
+    if (!this.playbackRange && !this.options.loop) {
+      if (playbackRate > 0 && currentTime >= duration) {
+        this.state.currentTime = 0;
+      } else if (playbackRate < 0 && currentTime <= 0) {
+        this.state.currentTime = duration;
+      }
+    }
+    
     this.state.playing = true;
-    this._startTime = performance.now() - (this.state.currentTime * 1000);
-    this._lastFrameTime = performance.now();
+    this.rebaseClock();
     this.emit('play');
-    this.animate();
+    this.updateClock();
+    this.scheduleFrame();
   }
   
   pause() {
@@ -410,7 +1975,7 @@ class OpenASVG {
     
     this.state.playing = false;
     if (this._animationFrame) {
-      cancelAnimationFrame(this._animationFrame);
+      this.cancelFrame(this._animationFrame);
       this._animationFrame = null;
     }
     this.emit('pause');
@@ -418,94 +1983,381 @@ class OpenASVG {
   
   stop() {
     this.pause();
+    this.playbackRange = null;
     this.state.currentTime = 0;
     this.updateAnimations(0);
     this.emit('stop');
   }
   
+  // Takes seconds, or the name of a marker or label. Seeking ends a
+  // looping range, which would otherwise never let go of the playhead
   seek(time) {
+    time = this.resolvePlaybackTime(time);
+    if (this.playbackRange && this.playbackRange.loop) this.playbackRange = null;
     this.state.currentTime = Math.max(0, Math.min(time, this.state.duration));
-    this._startTime = performance.now() - (this.state.currentTime * 1000);
+    this.rebaseClock();
     this.updateAnimations(this.state.currentTime);
     this.emit('seek', { time: this.state.currentTime });
   }
   
-  // Animation loop
-  animate() {
-    if (!this.state.playing) return;
-    
-    const now = performance.now();
-    const elapsed = (now - this._startTime) / 1000 * this.state.playbackRate;
-    
-    this.state.currentTime = elapsed;
-    
-    if (this.state.currentTime >= this.state.duration) {
-      if (this.options.loop) {
-        this.state.currentTime = 0;
-        this._startTime = now;
-      } else {
-        this.state.currentTime = this.state.duration;
-        this.pause();
-        this.emit('end');
-        return;
-      }
-    }
+  // Moves playback on by a number of frames at the document's fps, scaled
+  // by the playback rate. This is what drives the 'manual' clock
+  step(frames = 1) {
+    this._clockFrames += frames;
+    this.updateClock();
     
-    this.updateAnimations(this.state.currentTime);
-    this.emit('update', { time: this.state.currentTime });
-    
-    this._animationFrame = requestAnimationFrame(() => this.animate());
+    // The wall clock carries on from the stepped frame
+    if (this.getClockMode() === 'realtime') this.rebaseClock();
   }
   
-  // Update animations
-  updateAnimations(time) {
-    if (!this.timeline || !this.svgContent) return;
+  // Plays from one time, marker or label to another, backwards if the first
+  // comes later, whatever the sign of playbackRate. With loop: true the
+  // range repeats until playback changes
+  playRange(from, to, options = {}) {
+    const start = this.resolvePlaybackTime(from);
+    const end = this.resolvePlaybackTime(to);
     
-    const updateAnim = (anim, parentTime = 0) => {
-      const localTime = time - parentTime;
-      
-      switch (anim.type) {
-        case 'animate':
-          this.updateAnimate(anim, localTime);
-          break;
-        case 'animate-transform':
-          this.updateAnimateTransform(anim, localTime);
-          break;
-        case 'animate-path':
-          this.updateAnimatePath(anim, localTime);
-          break;
-        case 'animate-color':
-          this.updateAnimateColor(anim, localTime);
-          break;
-        case 'morph':
-          this.updateMorph(anim, localTime);
-          break;
-        case 'sequence':
-        case 'parallel':
-        case 'animate-set':
-          anim.animations.forEach(child => updateAnim(child, parentTime));
-          break;
-      }
+    this.pause();
+    this.seek(start);
+    this.playbackRange = {
+      start: Math.min(start, end),
+      end: Math.max(start, end),
+      loop: !!options.loop,
+      direction: end < start ? -1 : 1
     };
+    this.play();
+  }
+  
+  // Plays on from the current time until a time, marker or label,
+  // backwards if it has already passed
+  playTo(to) {
+    const time = this.resolvePlaybackTime(to);
+    const current = this.state.currentTime;
+    if (time === current) return;
     
-    this.timeline.forEach(anim => updateAnim(anim, 0));
+    this.pause();
+    this.playbackRange = {
+      start: Math.min(current, time),
+      end: Math.max(current, time),
+      loop: false,
+      direction: time < current ? -1 : 1
+    };
+    this.play();
   }
   
-  updateAnimate(anim, time) {
-    const targets = this.getTargets(anim.target);
-    if (!targets.length) return;
+  resolvePlaybackTime(value) {
+    if (typeof value === 'number') return value;
     
-    const progress = this.calculateProgress(anim, time);
-    if (progress < 0 || progress > 1) return;
+    const time = this.getMarkerTime(value);
+    if (time !== null) return time;
+    if (/^[\d.]+(ms|s|m)?$/.test(value)) return this.parseTime(value);
     
-    const easedProgress = this.applyEasing(progress, anim.easing);
+    throw new Error(`Unknown marker "${value}"`);
+  }
+  
+  // Playback clock
+  // Time moves in whole frames of the document's fps, counted from the last
+  // play, seek or rate change, so frame N falls at the same time whatever
+  // drives it. The 'realtime' clock follows the wall clock, 'fixed' moves
+  // one frame per frame interval without ever skipping one, and 'manual'
+  // moves only on step()
+  getClockMode() {
+    const clock = this.options.clock;
+    if (clock && typeof clock === 'object') return clock.mode || 'realtime';
     
-    targets.forEach(target => {
-      const from = parseFloat(anim.from || target.getAttribute(anim.attribute) || 0);
-      const to = parseFloat(anim.to || from);
-      const value = from + (to - from) * easedProgress;
+    return clock === 'fixed' || clock === 'manual' ? clock : 'realtime';
+  }
+  
+  rebaseClock() {
+    this._clockOrigin = this.state.currentTime;
+    this._clockStart = this.now();
+    this._clockFrames = 0;
+    this._clockIteration = 0;
+    this._lastFrameTime = this._clockStart;
+  }
+  
+  // Shows the clock's current frame. Looping wraps around without losing
+  // the overshoot, in either direction. Returns false once a document that
+  // doesn't loop has played to its end
+  updateClock() {
+    const { duration } = this.state;
+    const range = this.playbackRange;
+    // A range has a direction of its own; playbackRate only sets the speed
+    const playbackRate = range ? range.direction * Math.abs(this.state.playbackRate) : this.state.playbackRate;
+    const start = range ? range.start : 0;
+    const end = range ? range.end : duration;
+    const previous = this.state.currentTime;
+    let time = this._clockOrigin + this._clockFrames * playbackRate / this.options.fps;
+    let ended = false;
+    let wrapped = false;
+    
+    if ((range ? range.loop : this.options.loop) && end > start) {
+      const iteration = Math.floor((time - start) / (end - start));
+      time -= iteration * (end - start);
+      if (iteration !== this._clockIteration) {
+        // Each pass starts afresh
+        this._clockIteration = iteration;
+        this.transition = null;
+        this.activeStates.forEach(active => { active.entered = 0; });
+        wrapped = true;
+      }
+    } else {
+      ended = playbackRate > 0 ? time >= end : playbackRate < 0 && time <= start;
+      time = Math.max(start, Math.min(time, end));
+    }
+    
+    this.state.currentTime = time;
+    this.updateAnimations(time);
+    this.emit('update', { time });
+    
+    if (!wrapped) {
+      this.emitMarkers(previous, time);
+    } else if (playbackRate > 0) {
+      this.emitMarkers(previous, end);
+      this.emitMarkers(start, time, true);
+    } else {
+      this.emitMarkers(previous, start);
+      this.emitMarkers(end, time, true);
+    }
+    
+    if (ended && this.state.playing) {
+      this.playbackRange = null;
+      this.pause();
+      this.emit(range ? 'rangeend' : 'end', range ? { start, end } : {});
+    }
+    return !ended;
+  }
+  
+  // Markers fire as the playhead crosses them in either direction. Inclusive
+  // also counts one right at the start, where a loop comes back round
+  emitMarkers(from, to, inclusive = false) {
+    if (from === to && !inclusive) return;
+    
+    const crossed = this.getMarkers().filter(({ time }) => (
+      from <= to
+        ? (time > from || (inclusive && time === from)) && time <= to
+        : (time < from || (inclusive && time === from)) && time >= to
+    ));
+    if (from > to) crossed.reverse();
+    
+    crossed.forEach(marker => this.emit('marker', { name: marker.name, time: marker.time }));
+  }
+  
+  scheduleFrame() {
+    if (this.state.playing && this.getClockMode() !== 'manual') {
+      this._animationFrame = this.requestFrame(() => this.animate());
+    }
+  }
+  
+  // Animation loop
+  animate() {
+    this._animationFrame = null;
+    if (!this.state.playing) return;
+    
+    const now = this.now();
+    const frameLength = 1000 / this.options.fps;
+    let frames = this._clockFrames;
+    if (this.getClockMode() === 'fixed') {
+      // Slow frames slow playback down rather than being dropped
+      if (now - this._lastFrameTime >= frameLength - 1) {
+        frames++;
+        this._lastFrameTime = now;
+      }
+    } else {
+      frames = Math.floor((now - this._clockStart) / frameLength + 1e-6);
+    }
+    
+    if (frames !== this._clockFrames) {
+      this._clockFrames = frames;
+      if (!this.updateClock()) return;
+    }
+    
+    this.scheduleFrame();
+  }
+  
+  // Outside the browser there is no requestAnimationFrame; timers stand in.
+  // A clock object passed as the clock option can replace any of these
+  now() {
+    const clock = this.options.clock;
+    if (clock && typeof clock.now === 'function') return clock.now();
+    
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+  }
+  
+  requestFrame(callback) {
+    const clock = this.options.clock;
+    if (clock && typeof clock.requestFrame === 'function') return clock.requestFrame(callback);
+    if (typeof requestAnimationFrame !== 'undefined') return requestAnimationFrame(callback);
+    
+    // Playback alone shouldn't keep a Node.js process alive
+    const id = setTimeout(callback, 1000 / this.options.fps);
+    if (id && id.unref) id.unref();
+    return id;
+  }
+  
+  cancelFrame(id) {
+    const clock = this.options.clock;
+    if (clock && typeof clock.cancelFrame === 'function') clock.cancelFrame(id);
+    else if (typeof cancelAnimationFrame !== 'undefined') cancelAnimationFrame(id);
+    else clearTimeout(id);
+  }
+  
+  // Frame times come from the frame index rather than a wall clock, so
+  // exported frames are identical from run to run
+  getFrameTimes(fps = this.options.fps, start = 0, end = this.state.duration) {
+    const times = [];
+    const first = Math.max(0, Math.ceil(start * fps - 1e-9));
+    const last = Math.floor(end * fps + 1e-9);
+    for (let frame = first; frame <= last; frame++) {
+      times.push(frame / fps);
+    }
+    
+    return times;
+  }
+  
+  // Update animations
+  updateAnimations(time) {
+    if (!this.timeline || !this.svgContent) return;
+    
+    this.beginFrame();
+    
+    // Each animation sees time on its parent's clock: the document clock at
+    // the top level, or the group's local (repeated, eased) time inside one
+    const updateAnim = (anim, parentTime) => {
+      anim = this.resolveAnimation(anim, parentTime, time);
+      
+      switch (anim.type) {
+        case 'animate':
+          this.updateAnimate(anim, parentTime);
+          break;
+        case 'animate-transform':
+          this.updateAnimateTransform(anim, parentTime);
+          break;
+        case 'animate-path':
+          this.updateAnimatePath(anim, parentTime);
+          break;
+        case 'animate-color':
+          this.updateAnimateColor(anim, parentTime);
+          break;
+        case 'morph':
+          this.updateMorph(anim, parentTime);
+          break;
+        case 'keyframes':
+          this.updateKeyframes(anim, parentTime);
+          break;
+        case 'particles':
+          this.updateParticles(anim, parentTime);
+          break;
+        case 'sequence':
+        case 'parallel':
+        case 'animate-set': {
+          const timing = this.getTiming(anim, parentTime);
+          if (!timing) break;
+          
+          const localTime = isFinite(anim.duration)
+            ? this.applyEasing(timing.progress, anim.easing) * anim.duration
+            : timing.localTime;
+          anim.animations.forEach(child => updateAnim(child, localTime));
+          break;
+        }
+      }
+    };
+    
+    this.particleLayers.forEach(layer => { layer.active = false; });
+    this.getTimelineLayers().forEach(({ timeline, entered }) => {
+      timeline.forEach(anim => updateAnim(anim, time - entered));
+    });
+    
+    // Particle systems that are no longer playing leave nothing behind
+    this.particleLayers.forEach(layer => {
+      if (!layer.active) this.setParticleCount(layer, 0);
+    });
+    
+    if (this.transition) this.blendTransition(time);
+    
+    this.commitFrame();
+  }
+  
+  // Animated values are composed for the whole frame before touching the
+  // DOM: every frame starts from the authored (base) values, animations apply
+  // in document order, and attributes nothing animates any more are restored
+  beginFrame() {
+    this.frameValues = new Map();
+  }
+  
+  getAnimatedValue(target, attribute) {
+    const values = this.frameValues && this.frameValues.get(target);
+    if (values && values.has(attribute)) {
+      return values.get(attribute);
+    }
+    
+    return this.getBaseValue(target, attribute);
+  }
+  
+  setAnimatedValue(target, attribute, value) {
+    this.getBaseValue(target, attribute);
+    
+    let attributes = this.animatedAttributes.get(target);
+    if (!attributes) {
+      attributes = new Set();
+      this.animatedAttributes.set(target, attributes);
+    }
+    attributes.add(attribute);
+    
+    if (!this.frameValues) {
+      target.setAttribute(attribute, value);
+      return;
+    }
+    
+    let values = this.frameValues.get(target);
+    if (!values) {
+      values = new Map();
+      this.frameValues.set(target, values);
+    }
+    values.set(attribute, String(value));
+  }
+  
+  commitFrame() {
+    const frameValues = this.frameValues;
+    this.frameValues = null;
+    
+    this.animatedAttributes.forEach((attributes, target) => {
+      const values = frameValues.get(target);
+      
+      attributes.forEach(attribute => {
+        const value = values && values.has(attribute)
+          ? values.get(attribute)
+          : this.getBaseValue(target, attribute);
+        
+        if (value === null) {
+          target.removeAttribute(attribute);
+        } else if (target.getAttribute(attribute) !== value) {
+          target.setAttribute(attribute, value);
+        }
+      });
+    });
+  }
+  
+  updateAnimate(anim, time) {
+    const targets = this.getTargets(anim.target);
+    if (!targets.length) return;
+    
+    const progress = this.calculateProgress(anim, time);
+    if (progress < 0 || progress > 1) return;
+    
+    const easedProgress = this.applyEasing(progress, anim.easing);
+    
+    targets.forEach(target => {
+      const from = anim.from != null ? anim.from : this.getAnimatedValue(target, anim.attribute) || '0';
+      let to = from;
+      if (anim.to != null) {
+        to = anim.to;
+      } else if (anim.by != null) {
+        to = this.addValues(anim.attribute, from, anim.by);
+      }
+      const value = this.interpolateValue(anim.attribute, from, to, easedProgress);
       
-      target.setAttribute(anim.attribute, value);
+      this.setAnimatedValue(target, anim.attribute, value);
     });
   }
   
@@ -519,18 +2371,18 @@ class OpenASVG {
     const easedProgress = this.applyEasing(progress, anim.easing);
     
     targets.forEach(target => {
-      const transform = this.interpolateTransform(
-        anim.transformType,
-        anim.from,
-        anim.to,
-        easedProgress
-      );
+      const transform = anim.transformType
+        ? this.interpolateTransform(anim.transformType, anim.from, anim.to, easedProgress)
+        : this.interpolateTransformLists(anim.from, anim.to, easedProgress);
       
+      // Sums compose with this frame's underlying value, which starts out as
+      // the element's own transform, so repeated frames don't pile up
+      const attribute = this.getTransformAttribute(target);
       if (anim.additive === 'sum') {
-        const existing = target.getAttribute('transform') || '';
-        target.setAttribute('transform', existing + ' ' + transform);
+        const existing = this.getAnimatedValue(target, attribute);
+        this.setAnimatedValue(target, attribute, existing ? `${existing} ${transform}` : transform);
       } else {
-        target.setAttribute('transform', transform);
+        this.setAnimatedValue(target, attribute, transform);
       }
     });
   }
@@ -545,28 +2397,78 @@ class OpenASVG {
     const easedProgress = this.applyEasing(progress, anim.easing);
     
     // Get path element or parse path data
-    const pathEl = anim.path.startsWith('#') 
+    const pathEl = anim.path && anim.path.startsWith('#')
       ? this.svgContent.querySelector(anim.path)
       : null;
     
-    const pathData = pathEl 
-      ? pathEl.getAttribute('d')
+    const pathData = pathEl
+      ? (this.isShape(pathEl) ? this.shapeToPathData(pathEl) : '')
       : anim.path;
+    if (!pathData) return;
+    
+    const point = this.getPointOnPath(pathData, this.getKeyPoint(anim.keyPoints, easedProgress));
+    if (!point) return;
     
-    const point = this.getPointOnPath(pathData, easedProgress);
+    let angle = parseFloat(anim.rotate) || 0;
+    if (anim.rotate === 'auto' || anim.rotate === 'auto-reverse') {
+      angle = point.angle + (anim.rotate === 'auto-reverse' ? 180 : 0);
+    }
     
     targets.forEach(target => {
-      let transform = `translate(${point.x}, ${point.y})`;
+      // The anchor point of the target is placed on the path and rotated about
+      const [anchorX, anchorY] = this.getMotionAnchor(target, anim.anchor);
       
-      if (anim.rotate === 'auto' || anim.rotate === 'auto-reverse') {
-        const angle = point.angle + (anim.rotate === 'auto-reverse' ? 180 : 0);
-        transform += ` rotate(${angle})`;
-      }
+      let transform = `translate(${point.x} ${point.y})`;
+      if (angle) transform += ` rotate(${angle})`;
+      if (anchorX || anchorY) transform += ` translate(${-anchorX} ${-anchorY})`;
       
-      target.setAttribute('transform', transform);
+      this.setAnimatedValue(target, this.getTransformAttribute(target), transform);
     });
   }
   
+  // Maps progress through keyPoints/keyTimes to a fraction of the path length,
+  // which also allows traversing only part of the path
+  getKeyPoint(keys, progress) {
+    if (!keys || !keys.length) return progress;
+    if (keys.length === 1) return this.parseOffset(keys[0].value) || 0;
+    
+    let index = 0;
+    while (index < keys.length - 2 && progress > keys[index + 1].offset) {
+      index++;
+    }
+    
+    const from = keys[index];
+    const to = keys[index + 1];
+    const span = to.offset - from.offset;
+    const local = span > 0 ? Math.min(1, Math.max(0, (progress - from.offset) / span)) : 1;
+    const fromPoint = this.parseOffset(from.value) || 0;
+    const toPoint = this.parseOffset(to.value) || 0;
+    
+    return fromPoint + (toPoint - fromPoint) * this.applyEasing(local, from.easing);
+  }
+  
+  getMotionAnchor(target, anchor) {
+    if (anchor === 'origin') return [0, 0];
+    
+    const parts = String(anchor).trim().split(/[\s,]+/);
+    const relative = anchor === 'center' || parts.some(part => part.endsWith('%'));
+    const bounds = relative ? this.getElementBounds(target) : null;
+    if (anchor === 'center') {
+      return bounds ? [bounds.x + bounds.width / 2, bounds.y + bounds.height / 2] : [0, 0];
+    }
+    
+    // "x y" in user units, or percentages of the target's bounding box
+    const resolve = (part, start, size) => {
+      if (!part) return 0;
+      if (!part.endsWith('%')) return parseFloat(part) || 0;
+      return bounds ? start + size * parseFloat(part) / 100 : 0;
+    };
+    
+    return bounds
+      ? [resolve(parts[0], bounds.x, bounds.width), resolve(parts[1], bounds.y, bounds.height)]
+      : [resolve(parts[0]), resolve(parts[1])];
+  }
+  
   updateAnimateColor(anim, time) {
     const targets = this.getTargets(anim.target);
     if (!targets.length) return;
@@ -576,15 +2478,15 @@ class OpenASVG {
     
     const easedProgress = this.applyEasing(progress, anim.easing);
     
-    const color = this.interpolateColor(
-      anim.from,
-      anim.to,
-      easedProgress,
-      anim.colorSpace
-    );
-    
     targets.forEach(target => {
-      target.setAttribute(anim.attribute, color);
+      // As with <animate>, a missing end is the target's own value
+      const base = this.getAnimatedValue(target, anim.attribute);
+      const from = anim.from != null ? anim.from : base;
+      const to = anim.to != null ? anim.to : from;
+      const color = this.interpolateColor(from, to, easedProgress, anim.colorSpace, anim.hueInterpolation);
+      
+      // With nothing to start from, the attribute is left alone until the halfway switch
+      if (color != null) this.setAnimatedValue(target, anim.attribute, color);
     });
   }
   
@@ -601,31 +2503,297 @@ class OpenASVG {
     if (!toEl) return;
     
     targets.forEach(target => {
-      const fromPath = target.getAttribute('d');
+      // Morph from the underlying shape, not from the previous frame's output
+      const fromPath = this.getAnimatedValue(target, 'd');
       const toPath = toEl.getAttribute('d');
       
       if (fromPath && toPath) {
-        const morphed = this.interpolatePath(fromPath, toPath, easedProgress);
-        target.setAttribute('d', morphed);
+        const morphed = this.interpolatePath(fromPath, toPath, easedProgress, {
+          preserveCorners: anim.preserveCorners
+        });
+        this.setAnimatedValue(target, 'd', morphed);
+      }
+    });
+  }
+  
+  updateKeyframes(anim, time) {
+    const targets = this.getTargets(anim.target);
+    if (!targets.length || !anim.attribute || !anim.keyframes.length) return;
+    
+    const progress = this.calculateProgress(anim, time);
+    if (progress < 0 || progress > 1) return;
+    
+    const easedProgress = this.applyEasing(progress, anim.easing);
+    
+    targets.forEach(target => {
+      const attribute = anim.attribute === 'transform' ? this.getTransformAttribute(target) : anim.attribute;
+      
+      // Like CSS, missing 0% and 100% keys animate from and to the underlying value
+      const keys = anim.keyframes.slice();
+      const underlying = () => (
+        anim.transformType ? '' : this.getAnimatedValue(target, attribute) || ''
+      );
+      if (keys[0].offset > 0) {
+        keys.unshift({ offset: 0, value: underlying(), easing: 'linear' });
+      }
+      if (keys[keys.length - 1].offset < 1) {
+        keys.push({ offset: 1, value: underlying(), easing: 'linear' });
+      }
+      
+      let index = 0;
+      while (index < keys.length - 2 && easedProgress > keys[index + 1].offset) {
+        index++;
+      }
+      
+      const from = keys[index];
+      const to = keys[Math.min(index + 1, keys.length - 1)];
+      const span = to.offset - from.offset;
+      const local = span > 0 ? (easedProgress - from.offset) / span : 1;
+      
+      const value = this.interpolateValue(attribute, from.value, to.value, this.applyEasing(local, from.easing), {
+        transformType: anim.transformType,
+        colorSpace: anim.colorSpace,
+        hueInterpolation: anim.hueInterpolation
+      });
+      this.setAnimatedValue(target, attribute, value);
+    });
+  }
+  
+  // Particles
+  parseParticles(el, parentStart = 0) {
+    const list = (name, fallback) => (el.getAttribute(name) || fallback).trim().split(/[\s,;]+/);
+    const range = (name, fallback, parse = Number) => {
+      const [min, max = min] = list(name, fallback).map(parse);
+      return [min, max];
+    };
+    const curve = (name, parse = Number) => {
+      const value = el.getAttribute(name);
+      return value ? value.split(';').map(part => parse(part.trim())) : null;
+    };
+    const number = (name, fallback = 0) => {
+      const value = parseFloat(el.getAttribute(name));
+      return isFinite(value) ? value : fallback;
+    };
+    
+    // A single gravity value pulls downward
+    const gravity = list('gravity', '0').map(Number);
+    
+    const anim = {
+      type: 'particles',
+      template: el.getAttribute('template'),
+      target: el.getAttribute('target'),
+      emitter: el.getAttribute('emitter') || 'point',
+      x: number('x'),
+      y: number('y'),
+      width: number('width'),
+      height: number('height'),
+      radius: number('radius'),
+      rate: number('rate'),
+      burst: parseInt(el.getAttribute('burst'), 10) || 0,
+      max: parseInt(el.getAttribute('max'), 10) || 1000,
+      lifetime: range('lifetime', '1s', part => this.parseTime(part)),
+      speed: range('speed', '0'),
+      direction: number('direction'),
+      spread: number('spread', 360),
+      gravity: gravity.length > 1 ? gravity : [0, gravity[0] || 0],
+      drag: number('drag'),
+      turbulence: number('turbulence'),
+      turbulenceScale: number('turbulence-scale', 0.02),
+      size: curve('size'),
+      opacity: curve('opacity'),
+      color: curve('color', String),
+      seed: el.getAttribute('seed'),
+      start: parentStart + this.parseTime(el.getAttribute('start') || '0s'),
+      duration: this.parseTime(el.getAttribute('duration') || '1s'),
+      repeat: 1,
+      element: el,
+      id: el.getAttribute('id')
+    };
+    
+    return this.parseExpressions(el, anim, ['start', 'duration'], parentStart);
+  }
+  
+  // Particles are simulated from their birth on every frame rather than
+  // stepped along with playback, so seeking to or exporting any time gives
+  // the same picture as playing up to it
+  updateParticles(anim, time) {
+    const layer = this.getParticleLayer(anim);
+    if (!layer) return;
+    
+    layer.active = true;
+    const particles = this.simulateParticles(anim, time - anim.start);
+    this.setParticleCount(layer, particles.length);
+    
+    const round = value => Math.round(value * 1000) / 1000;
+    const transform = layer.template.getAttribute('transform');
+    particles.forEach((particle, i) => {
+      const node = layer.container.children[i];
+      const scale = particle.size !== 1 ? ` scale(${round(particle.size)})` : '';
+      node.setAttribute('transform', `translate(${round(particle.x)} ${round(particle.y)})${scale}${transform ? ` ${transform}` : ''}`);
+      if (particle.opacity !== null) node.setAttribute('opacity', round(particle.opacity));
+      if (particle.color !== null) node.setAttribute('fill', particle.color);
+    });
+  }
+  
+  // Particles are drawn from copies of the template, kept in a generated
+  // group at the end of the target (by default the SVG itself)
+  getParticleLayer(anim) {
+    const layer = this.particleLayers.get(anim.element);
+    if (layer && layer.container.parentNode) return layer;
+    
+    const template = this.getTargets(anim.template)[0];
+    const parent = anim.target ? this.getTargets(anim.target)[0] : this.svgContent;
+    if (!template || !parent) return null;
+    
+    const container = this.importNode({ name: 'g' }, this.svgContent.namespaceURI, this.svgContent.prefix);
+    parent.appendChild(container);
+    this.generatedElements.add(container);
+    
+    const created = { container, template, active: false };
+    this.particleLayers.set(anim.element, created);
+    
+    return created;
+  }
+  
+  setParticleCount(layer, count) {
+    const { container, template } = layer;
+    while (container.children.length > count) {
+      container.removeChild(container.children[container.children.length - 1]);
+    }
+    while (container.children.length < count) {
+      // Copies drop ids so that they don't clash with the template's
+      const copy = template.cloneNode(true);
+      [copy, ...copy.querySelectorAll('[id]')].forEach(el => el.removeAttribute('id'));
+      container.appendChild(copy);
+    }
+  }
+  
+  // Each particle draws from its own random stream, seeded by its index,
+  // so it is the same particle whichever frame is shown
+  simulateParticles(anim, time) {
+    if (time < 0) return [];
+    
+    const { rate, burst, lifetime } = anim;
+    const { duration } = this.resolveTiming(anim, time);
+    const births = [];
+    for (let i = 0; i < burst; i++) births.push([i, 0]);
+    if (rate > 0) {
+      const first = Math.max(0, Math.ceil((time - lifetime[1]) * rate));
+      const last = Math.floor(Math.min(time, duration) * rate);
+      for (let k = first; k <= last; k++) births.push([burst + k, k / rate]);
+    }
+    
+    const seed = `${anim.seed !== null ? anim.seed : this.options.seed}:${anim.id || anim.template}`;
+    const particles = [];
+    births.forEach(([index, birth]) => {
+      const random = this.createRandom(`${seed}:${index}`);
+      const age = time - birth;
+      const life = lifetime[0] + (lifetime[1] - lifetime[0]) * random();
+      if (age > life || life <= 0) return;
+      
+      let [x, y] = this.getEmitterPoint(anim, random);
+      const angle = (anim.direction + (random() - 0.5) * anim.spread) * Math.PI / 180;
+      const speed = anim.speed[0] + (anim.speed[1] - anim.speed[0]) * random();
+      const phase = random() * 2 * Math.PI;
+      let vx = Math.cos(angle) * speed;
+      let vy = Math.sin(angle) * speed;
+      
+      // Fixed steps of at most 1/60s, counted from the particle's birth
+      const steps = Math.ceil(age * 60);
+      const dt = steps ? age / steps : 0;
+      const damping = Math.exp(-anim.drag * dt);
+      for (let step = 0; step < steps; step++) {
+        let ax = anim.gravity[0];
+        let ay = anim.gravity[1];
+        if (anim.turbulence) {
+          const t = birth + step * dt;
+          ax += anim.turbulence * Math.sin(y * anim.turbulenceScale + t * 1.3 + phase);
+          ay += anim.turbulence * Math.cos(x * anim.turbulenceScale + t * 1.7 + phase);
+        }
+        vx = (vx + ax * dt) * damping;
+        vy = (vy + ay * dt) * damping;
+        x += vx * dt;
+        y += vy * dt;
       }
+      
+      const progress = age / life;
+      particles.push({
+        x,
+        y,
+        size: anim.size ? this.sampleCurve(anim.size, progress, (a, b, t) => a + (b - a) * t) : 1,
+        opacity: anim.opacity ? this.sampleCurve(anim.opacity, progress, (a, b, t) => a + (b - a) * t) : null,
+        color: anim.color ? this.sampleCurve(anim.color, progress, (a, b, t) => this.interpolateValue('fill', a, b, t)) : null
+      });
     });
+    
+    // Past the limit the newest particles are kept
+    return particles.slice(-anim.max);
+  }
+  
+  getEmitterPoint(anim, random) {
+    const u = random();
+    const v = random();
+    
+    switch (anim.emitter) {
+      case 'line':
+        return [anim.x + anim.width * u, anim.y + anim.height * u];
+      case 'rect':
+        return [anim.x + anim.width * u, anim.y + anim.height * v];
+      case 'circle': {
+        const r = anim.radius * Math.sqrt(u);
+        const a = v * 2 * Math.PI;
+        return [anim.x + r * Math.cos(a), anim.y + r * Math.sin(a)];
+      }
+      default:
+        return [anim.x, anim.y];
+    }
+  }
+  
+  // Over-life curves are evenly spaced values, e.g. size="1;0.5;0"
+  sampleCurve(values, progress, mix) {
+    if (values.length === 1) return values[0];
+    
+    const position = Math.min(Math.max(progress, 0), 1) * (values.length - 1);
+    const i = Math.min(Math.floor(position), values.length - 2);
+    return mix(values[i], values[i + 1], position - i);
   }
   
   // Helper methods
   calculateProgress(anim, time) {
-    const relativeTime = time - anim.start;
-    if (relativeTime < 0) return -1;
+    const timing = this.getTiming(anim, time);
+    return timing ? timing.progress : -1;
+  }
+  
+  getTiming(anim, time) {
+    const elapsed = time - anim.start;
+    if (elapsed < 0) return null;
+    
+    const duration = anim.duration;
+    const repeat = anim.repeat === undefined ? 1 : anim.repeat;
+    const active = this.getActiveDuration(anim);
     
-    const iterations = Math.floor(relativeTime / anim.duration);
-    if (iterations >= anim.repeat) return 2; // Finished
+    // The end of the active duration is inclusive, so the final value shows
+    // at exactly the end time; after that only fill="freeze" holds it
+    if (elapsed > active && anim.fill !== 'freeze') return null;
     
-    let progress = (relativeTime % anim.duration) / anim.duration;
+    const t = Math.min(elapsed, active);
+    if (!isFinite(duration)) return { progress: 0, iteration: 0, localTime: t };
+    if (duration <= 0) return { progress: 1, iteration: 0, localTime: 0 };
     
-    if (anim.reverse && iterations % 2 === 1) {
+    let iteration = Math.floor(t / duration);
+    let progress = (t - iteration * duration) / duration;
+    
+    if (t >= active && progress === 0 && iteration > 0) {
+      iteration -= 1;
+      progress = 1;
+    }
+    iteration = Math.min(iteration, Math.ceil(repeat) - 1);
+    
+    if (anim.reverse && iteration % 2 === 1) {
       progress = 1 - progress;
     }
     
-    return progress;
+    return { progress, iteration, localTime: progress * duration };
   }
   
   getTargets(selector) {
@@ -636,13 +2804,66 @@ class OpenASVG {
       return this.targetCache.get(selector);
     }
     
-    const targets = Array.from(this.svgContent.querySelectorAll(selector));
+    let targets = [];
+    const reference = this.resolveReference(selector);
+    if (reference) {
+      // Paint servers and filters can be targeted the way they are referenced
+      targets = [reference];
+    } else {
+      try {
+        targets = Array.from(this.svgContent.querySelectorAll(selector));
+        if (this.svgContent.matches(selector)) targets.unshift(this.svgContent);
+      } catch (error) {
+        this.emit('error', { error: new Error(`Invalid target selector "${selector}"`) });
+      }
+    }
     this.targetCache.set(selector, targets);
     
     return targets;
   }
   
+  getTransformAttribute(target) {
+    // Gradients and patterns carry their transform in their own attribute
+    switch (target.localName) {
+      case 'linearGradient':
+      case 'radialGradient':
+        return 'gradientTransform';
+      case 'pattern':
+        return 'patternTransform';
+      default:
+        return 'transform';
+    }
+  }
+  
+  getBaseValue(target, attribute) {
+    let values = this.baseValues.get(target);
+    if (!values) {
+      values = new Map();
+      this.baseValues.set(target, values);
+    }
+    
+    if (!values.has(attribute)) {
+      values.set(attribute, target.getAttribute(attribute));
+    }
+    
+    return values.get(attribute);
+  }
+  
   applyEasing(t, easing) {
+    return this.getEasingFunction(easing)(t);
+  }
+  
+  getEasingFunction(easing) {
+    const key = easing || 'linear';
+    if (!this.easingCache.has(key)) {
+      // Unknown easings fall back to linear
+      this.easingCache.set(key, this.parseEasing(key) || (t => t));
+    }
+    
+    return this.easingCache.get(key);
+  }
+  
+  parseEasing(easing) {
     // Built-in easing functions
     const easings = {
       linear: t => t,
@@ -650,6 +2871,8 @@ class OpenASVG {
       'ease-in': t => this.cubicBezier(0.42, 0, 1, 1, t),
       'ease-out': t => this.cubicBezier(0, 0, 0.58, 1, t),
       'ease-in-out': t => this.cubicBezier(0.42, 0, 0.58, 1, t),
+      'step-start': this.createSteps(1, 'jump-start'),
+      'step-end': this.createSteps(1, 'jump-end'),
       bounce: t => {
         const n1 = 7.5625;
         const d1 = 2.75;
@@ -665,218 +2888,4172 @@ class OpenASVG {
       }
     };
     
-    if (easings[easing]) {
-      return easings[easing](t);
+    const name = easing.trim();
+    if (easings[name]) {
+      return easings[name];
     }
     
-    // Parse cubic-bezier
-    const bezierMatch = easing.match(/cubic-bezier\(([\d.]+),\s*([\d.]+),\s*([\d.]+),\s*([\d.]+)\)/);
-    if (bezierMatch) {
-      return this.cubicBezier(
-        parseFloat(bezierMatch[1]),
-        parseFloat(bezierMatch[2]),
-        parseFloat(bezierMatch[3]),
-        parseFloat(bezierMatch[4]),
-        t
-      );
-    }
+    const fn = name.match(/^([a-z-]+)\((.*)\)$/);
+    if (!fn) return null;
     
-    return t; // Default to linear
+    const args = fn[2].split(',').map(arg => arg.trim());
+    const numbers = args.map(Number);
+    
+    switch (fn[1]) {
+      case 'cubic-bezier': {
+        // Y may overshoot; X must stay within [0, 1] for the curve to be a function of time
+        if (numbers.length !== 4 || numbers.some(isNaN)) return null;
+        const [x1, y1, x2, y2] = numbers;
+        if (x1 < 0 || x1 > 1 || x2 < 0 || x2 > 1) return null;
+        return t => this.cubicBezier(x1, y1, x2, y2, t);
+      }
+      case 'steps': {
+        const count = parseInt(args[0], 10);
+        return this.createSteps(count, args[1] || 'jump-end');
+      }
+      case 'linear':
+        return this.createLinearEasing(args);
+      case 'spring': {
+        const [mass = 1, stiffness = 100, damping = 10, velocity = 0] = fn[2].trim() ? numbers : [];
+        if ([mass, stiffness, damping, velocity].some(isNaN) || mass <= 0 || stiffness <= 0 || damping < 0) {
+          return null;
+        }
+        return this.createSpring(mass, stiffness, damping, velocity);
+      }
+      default:
+        return null;
+    }
   }
   
-  cubicBezier(x1, y1, x2, y2, t) {
-    // Simplified cubic bezier calculation
-    const cx = 3 * x1;
-    const bx = 3 * (x2 - x1) - cx;
-    const ax = 1 - cx - bx;
+  createSteps(count, position) {
+    const positions = ['jump-start', 'jump-end', 'jump-none', 'jump-both', 'start', 'end'];
+    if (!positions.includes(position) || !(count >= 1) || (position === 'jump-none' && count < 2)) {
+      return null;
+    }
     
-    const cy = 3 * y1;
-    const by = 3 * (y2 - y1) - cy;
-    const ay = 1 - cy - by;
+    const jumpsAtStart = position === 'jump-start' || position === 'start' || position === 'jump-both';
+    const jumps = position === 'jump-both' ? count + 1 : position === 'jump-none' ? count - 1 : count;
     
-    const sampleCurveX = t => ((ax * t + bx) * t + cx) * t;
-    const sampleCurveY = t => ((ay * t + by) * t + cy) * t;
+    // CSS Easing Level 2, section 3.1.1
+    return t => {
+      let step = Math.floor(t * count);
+      if (jumpsAtStart) step += 1;
+      if (t >= 0 && step < 0) step = 0;
+      if (t <= 1 && step > jumps) step = jumps;
+      return step / jumps;
+    };
+  }
+  
+  createLinearEasing(args) {
+    // linear(0, 0.25 75%, 1): each stop is an output with up to two input percentages
+    const points = [];
     
-    // Newton-Raphson iteration
-    let x = t;
-    for (let i = 0; i < 4; i++) {
-      const currentX = sampleCurveX(x) - t;
-      if (Math.abs(currentX) < 0.001) break;
+    for (const arg of args) {
+      const parts = arg.split(/\s+/).filter(Boolean);
+      const output = parseFloat(parts[0]);
+      if (!parts.length || isNaN(output) || parts.length > 3) return null;
+      
+      const inputs = parts.slice(1).map(part => {
+        if (!part.endsWith('%')) return NaN;
+        return parseFloat(part) / 100;
+      });
+      if (inputs.some(isNaN)) return null;
+      
+      if (inputs.length) {
+        inputs.forEach(input => points.push({ output, input }));
+      } else {
+        points.push({ output, input: null });
+      }
+    }
+    if (points.length < 2) return null;
+    
+    if (points[0].input === null) points[0].input = 0;
+    if (points[points.length - 1].input === null) points[points.length - 1].input = 1;
+    
+    // Inputs never decrease; missing inputs are spread evenly between known ones
+    let largest = -Infinity;
+    points.forEach(point => {
+      if (point.input !== null) {
+        point.input = Math.max(point.input, largest);
+        largest = point.input;
+      }
+    });
+    for (let i = 1; i < points.length; i++) {
+      if (points[i].input !== null) continue;
+      
+      let next = i;
+      while (points[next].input === null) next++;
+      const from = points[i - 1].input;
+      const step = (points[next].input - from) / (next - i + 1);
+      for (let j = i; j < next; j++) {
+        points[j].input = from + step * (j - i + 1);
+      }
+    }
+    
+    // CSS Easing Level 2, section 2.1.1: the last point with a matching input
+    // wins; outside the points the first or last segment is extended
+    return t => {
+      for (let i = points.length - 1; i >= 0; i--) {
+        if (points[i].input === t) return points[i].output;
+      }
+      
+      let index = 0;
+      points.forEach((point, i) => {
+        if (point.input < t) index = i;
+      });
+      if (index === points.length - 1) index--;
+      
+      const a = points[index];
+      const b = points[index + 1];
+      if (b.input === a.input) return b.output;
+      
+      return a.output + (b.output - a.output) * (t - a.input) / (b.input - a.input);
+    };
+  }
+  
+  createSpring(mass, stiffness, damping, velocity) {
+    // Damped harmonic oscillator released at 0 and pulled toward 1;
+    // `velocity` is the initial velocity in progress units per second
+    const w0 = Math.sqrt(stiffness / mass);
+    const zeta = damping / (2 * Math.sqrt(stiffness * mass));
+    let displacement;
+    
+    if (zeta < 1) {
+      const wd = w0 * Math.sqrt(1 - zeta * zeta);
+      const b = (velocity - zeta * w0) / wd;
+      displacement = t => Math.exp(-zeta * w0 * t) * (-Math.cos(wd * t) + b * Math.sin(wd * t));
+    } else if (zeta === 1) {
+      const b = velocity - w0;
+      displacement = t => (-1 + b * t) * Math.exp(-w0 * t);
+    } else {
+      const root = Math.sqrt(zeta * zeta - 1);
+      const r1 = -w0 * (zeta - root);
+      const r2 = -w0 * (zeta + root);
+      const c1 = (velocity + r2) / (r1 - r2);
+      displacement = t => c1 * Math.exp(r1 * t) + (-1 - c1) * Math.exp(r2 * t);
+    }
+    
+    // Settled once the motion stays within 0.1% of the target
+    const step = 1 / 120;
+    let duration = 0;
+    for (let t = 0; t <= 60; t += step) {
+      if (Math.abs(displacement(t)) > 0.001) duration = t + step;
+    }
+    duration = Math.max(duration, step);
+    
+    const spring = t => (t >= 1 ? 1 : 1 + displacement(t * duration));
+    spring.duration = duration;
+    
+    return spring;
+  }
+  
+  cubicBezier(x1, y1, x2, y2, t) {
+    const cx = 3 * x1;
+    const bx = 3 * (x2 - x1) - cx;
+    const ax = 1 - cx - bx;
+    
+    const cy = 3 * y1;
+    const by = 3 * (y2 - y1) - cy;
+    const ay = 1 - cy - by;
+    
+    const sampleCurveX = t => ((ax * t + bx) * t + cx) * t;
+    const sampleCurveY = t => ((ay * t + by) * t + cy) * t;
+    
+    if (t <= 0 || t >= 1) {
+      // Extend the curve linearly outside [0, 1], using the end tangents
+      if (t <= 0) {
+        const slope = x1 > 0 ? y1 / x1 : (x2 > 0 ? y2 / x2 : 0);
+        return slope * t;
+      }
+      const slope = x2 < 1 ? (y2 - 1) / (x2 - 1) : (x1 < 1 ? (y1 - 1) / (x1 - 1) : 0);
+      return 1 + slope * (t - 1);
+    }
+    
+    // Newton-Raphson iteration
+    let x = t;
+    for (let i = 0; i < 8; i++) {
+      const currentX = sampleCurveX(x) - t;
+      if (Math.abs(currentX) < 1e-7) return sampleCurveY(x);
       
       const currentSlope = (3 * ax * x + 2 * bx) * x + cx;
-      if (Math.abs(currentSlope) < 0.00001) break;
+      if (Math.abs(currentSlope) < 1e-6) break;
       
       x -= currentX / currentSlope;
     }
     
-    return sampleCurveY(x);
+    // Fall back to bisection where Newton's method stalls
+    let lower = 0;
+    let upper = 1;
+    x = t;
+    for (let i = 0; i < 40; i++) {
+      const currentX = sampleCurveX(x);
+      if (Math.abs(currentX - t) < 1e-7) break;
+      if (currentX < t) {
+        lower = x;
+      } else {
+        upper = x;
+      }
+      x = (lower + upper) / 2;
+    }
+    
+    return sampleCurveY(x);
+  }
+  
+  // Transforms
+  parseNumberList(value) {
+    if (!value) return [];
+    
+    const numbers = String(value).match(/[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/g);
+    return numbers ? numbers.map(parseFloat) : [];
+  }
+  
+  parseTransformList(transform) {
+    const list = [];
+    if (!transform) return list;
+    
+    const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+    let match;
+    while ((match = pattern.exec(transform))) {
+      list.push({ type: match[1], values: this.parseNumberList(match[2]) });
+    }
+    
+    return list;
+  }
+  
+  transformToMatrix(list) {
+    return list.reduce(
+      (matrix, fn) => this.multiplyMatrices(matrix, this.transformFunctionMatrix(fn)),
+      [1, 0, 0, 1, 0, 0]
+    );
+  }
+  
+  transformFunctionMatrix({ type, values }) {
+    const [a = 0, b, c] = values;
+    const rad = degrees => degrees * Math.PI / 180;
+    
+    switch (type) {
+      case 'matrix':
+        return values.length === 6 ? values.slice() : [1, 0, 0, 1, 0, 0];
+      case 'translate':
+        return [1, 0, 0, 1, a, b || 0];
+      case 'scale':
+        return [values.length ? a : 1, 0, 0, b === undefined ? (values.length ? a : 1) : b, 0, 0];
+      case 'rotate': {
+        const cos = Math.cos(rad(a));
+        const sin = Math.sin(rad(a));
+        const cx = b || 0;
+        const cy = c || 0;
+        // rotate(a cx cy) = translate(cx cy) rotate(a) translate(-cx -cy)
+        return [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+      }
+      case 'skewX':
+        return [1, 0, Math.tan(rad(a)), 1, 0, 0];
+      case 'skewY':
+        return [1, Math.tan(rad(a)), 0, 1, 0, 0];
+      default:
+        return [1, 0, 0, 1, 0, 0];
+    }
+  }
+  
+  multiplyMatrices(m1, m2) {
+    return [
+      m1[0] * m2[0] + m1[2] * m2[1],
+      m1[1] * m2[0] + m1[3] * m2[1],
+      m1[0] * m2[2] + m1[2] * m2[3],
+      m1[1] * m2[2] + m1[3] * m2[3],
+      m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+      m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+    ];
+  }
+  
+  invertMatrix([a, b, c, d, e, f]) {
+    const det = a * d - b * c;
+    if (!det) return null;
+    
+    return [d / det, -b / det, -c / det, a / det, (c * f - d * e) / det, (b * e - a * f) / det];
+  }
+  
+  transformPoint(m, x, y) {
+    return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+  }
+  
+  interpolateValue(attribute, from, to, progress, options = {}) {
+    if (attribute === 'd') {
+      return this.interpolatePath(from, to, progress, options);
+    }
+    
+    if (options.transformType) {
+      return this.interpolateTransform(options.transformType, from, to, progress);
+    }
+    
+    if (['transform', 'gradientTransform', 'patternTransform'].includes(attribute)) {
+      return this.interpolateTransformLists(from, to, progress);
+    }
+    
+    if (this.isColorValue(attribute, from) && this.isColorValue(attribute, to)) {
+      return this.interpolateColor(from, to, progress, options.colorSpace, options.hueInterpolation);
+    }
+    
+    const numeric = this.combineNumericValues(attribute, from, to, (a, b) => a + (b - a) * progress);
+    if (numeric !== null) return numeric;
+    
+    // Values that cannot be interpolated flip halfway, as in CSS
+    return progress < 0.5 ? from : to;
+  }
+  
+  addValues(attribute, value, by) {
+    const sum = this.combineNumericValues(attribute, value, by, (a, b) => a + b);
+    return sum !== null ? sum : by;
+  }
+  
+  // Numbers, number lists such as baseFrequency="0.02 0.05" or feColorMatrix
+  // values, and single numbers with a unit such as "50%" or "4px"
+  parseNumericValue(value) {
+    if (value == null) return null;
+    
+    const text = String(value).trim();
+    const number = '[+-]?(?:\\d+\\.?\\d*|\\.\\d+)(?:[eE][+-]?\\d+)?';
+    const single = text.match(new RegExp(`^(${number})([a-z%]*)$`, 'i'));
+    if (single) return { numbers: [parseFloat(single[1])], unit: single[2] };
+    
+    if (new RegExp(`^${number}(?:(?:\\s*,\\s*|\\s+)${number})+$`).test(text)) {
+      return { numbers: this.parseNumberList(text), unit: '' };
+    }
+    
+    return null;
+  }
+  
+  combineNumericValues(attribute, a, b, combine) {
+    const fractionAttributes = ['offset', 'opacity', 'fill-opacity', 'stroke-opacity', 'stop-opacity', 'flood-opacity'];
+    const first = this.parseNumericValue(a);
+    const second = this.parseNumericValue(b);
+    if (!first || !second) return null;
+    
+    let unit = second.unit || first.unit;
+    if (first.unit && second.unit && first.unit !== second.unit) return null;
+    if (first.unit !== second.unit && fractionAttributes.includes(attribute) && unit === '%') {
+      // 0.5 and 50% are the same stop offset or opacity
+      [first, second].forEach(value => {
+        if (value.unit === '%') value.numbers = value.numbers.map(n => n / 100);
+      });
+      unit = '';
+    }
+    
+    // A single number stands for every entry, as in stdDeviation="2"
+    const length = Math.max(first.numbers.length, second.numbers.length);
+    if (first.numbers.length !== length && first.numbers.length !== 1) return null;
+    if (second.numbers.length !== length && second.numbers.length !== 1) return null;
+    
+    const result = [];
+    for (let i = 0; i < length; i++) {
+      const x = first.numbers[first.numbers.length === 1 ? 0 : i];
+      const y = second.numbers[second.numbers.length === 1 ? 0 : i];
+      result.push(combine(x, y));
+    }
+    
+    return length === 1 ? `${result[0]}${unit}` : result.join(' ');
+  }
+  
+  isColorValue(attribute, value) {
+    const colorAttributes = ['fill', 'stroke', 'color', 'stop-color', 'flood-color', 'lighting-color'];
+    if (!value) return false;
+    
+    const text = String(value).trim();
+    if (/^(#|rgba?\(|hsla?\(|oklab\(|oklch\(|color\()/i.test(text)) return true;
+    
+    return colorAttributes.includes(attribute) && this.parseColor(text) !== null;
+  }
+  
+  interpolateTransform(type, from, to, progress) {
+    const fromValues = this.normalizeTransformValues(type, this.parseNumberList(from));
+    const toValues = this.normalizeTransformValues(type, this.parseNumberList(to));
+    if (!fromValues || !toValues) return '';
+    
+    if (type === 'matrix') {
+      return this.interpolateMatrices(fromValues, toValues, progress);
+    }
+    
+    const values = fromValues.map((value, i) => value + (toValues[i] - value) * progress);
+    if (type === 'rotate' && !values[1] && !values[2]) values.length = 1;
+    
+    return `${type}(${values.join(' ')})`;
+  }
+  
+  // Fills in omitted arguments so that e.g. scale(2) and scale(1 3) line up
+  normalizeTransformValues(type, values) {
+    const [a, b, c] = values;
+    
+    switch (type) {
+      case 'translate':
+        return [a || 0, b || 0];
+      case 'scale':
+        return [a === undefined ? 1 : a, b === undefined ? (a === undefined ? 1 : a) : b];
+      case 'rotate':
+        return [a || 0, b || 0, c || 0];
+      case 'skewX':
+      case 'skewY':
+        return [a || 0];
+      case 'matrix':
+        return values.length === 6 ? values : [1, 0, 0, 1, 0, 0];
+      default:
+        return null;
+    }
+  }
+  
+  interpolateTransformLists(from, to, progress) {
+    let fromList = this.parseTransformList(from);
+    let toList = this.parseTransformList(to);
+    
+    // An empty list animates like identity versions of the other list's functions
+    const identity = ({ type, values }) => ({
+      type,
+      values: type === 'rotate' ? [0, values[1] || 0, values[2] || 0] : this.normalizeTransformValues(type, type === 'scale' ? [1] : [])
+    });
+    if (!fromList.length) fromList = toList.map(identity);
+    if (!toList.length) toList = fromList.map(identity);
+    if (!fromList.length) return '';
+    
+    const matching = fromList.length === toList.length &&
+      fromList.every((fn, i) => fn.type === toList[i].type);
+    if (matching) {
+      return fromList.map((fn, i) => (
+        this.interpolateTransform(fn.type, fn.values, toList[i].values, progress)
+      )).join(' ');
+    }
+    
+    return this.interpolateMatrices(
+      this.transformToMatrix(fromList),
+      this.transformToMatrix(toList),
+      progress
+    );
+  }
+  
+  // Splits a matrix into translate · rotate · skewX · scale, which can be
+  // interpolated component by component
+  decomposeMatrix([a, b, c, d, e, f]) {
+    const scaleX = Math.hypot(a, b);
+    const angle = scaleX ? Math.atan2(b, a) : 0;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const shear = cos * c + sin * d;
+    const scaleY = cos * d - sin * c;
+    
+    return {
+      translateX: e,
+      translateY: f,
+      rotate: angle * 180 / Math.PI,
+      skew: scaleY ? Math.atan(shear / scaleY) * 180 / Math.PI : 0,
+      scaleX,
+      scaleY
+    };
+  }
+  
+  interpolateMatrices(fromMatrix, toMatrix, progress) {
+    const from = this.decomposeMatrix(fromMatrix);
+    const to = this.decomposeMatrix(toMatrix);
+    
+    // Rotate the short way round
+    if (to.rotate - from.rotate > 180) to.rotate -= 360;
+    else if (to.rotate - from.rotate < -180) to.rotate += 360;
+    
+    const mix = key => from[key] + (to[key] - from[key]) * progress;
+    const matrix = this.transformToMatrix([
+      { type: 'translate', values: [mix('translateX'), mix('translateY')] },
+      { type: 'rotate', values: [mix('rotate')] },
+      { type: 'skewX', values: [mix('skew')] },
+      { type: 'scale', values: [mix('scaleX'), mix('scaleY')] }
+    ]);
+    
+    return `matrix(${matrix.map(value => Math.round(value * 1e6) / 1e6).join(' ')})`;
+  }
+  
+  // Color
+  interpolateColor(from, to, progress, colorSpace = 'srgb', hueInterpolation = 'shorter') {
+    const fromColor = this.parseColor(from);
+    const toColor = this.parseColor(to);
+    if (!fromColor || !toColor) {
+      return progress < 0.5 ? from : to;
+    }
+    
+    const space = colorSpace === 'srgb-linear' ? 'linear-srgb' : colorSpace;
+    const hueIndex = space === 'hsl' ? 0 : space === 'oklch' ? 2 : -1;
+    const a = this.convertColor(fromColor, space);
+    const b = this.convertColor(toColor, space);
+    
+    if (hueIndex >= 0) {
+      // A grey has no meaningful hue; borrow the other color's
+      if (a[1] < 1e-4 && b[1] >= 1e-4) a[hueIndex] = b[hueIndex];
+      if (b[1] < 1e-4 && a[1] >= 1e-4) b[hueIndex] = a[hueIndex];
+      this.fixHues(a, b, hueIndex, hueInterpolation);
+    }
+    
+    // Interpolate with premultiplied alpha so transparent ends don't tint the result
+    const alpha = fromColor.a + (toColor.a - fromColor.a) * progress;
+    const mixed = a.map((value, i) => {
+      if (i === hueIndex) return value + (b[i] - value) * progress;
+      const premultiplied = value * fromColor.a + (b[i] * toColor.a - value * fromColor.a) * progress;
+      return alpha > 0 ? premultiplied / alpha : 0;
+    });
+    
+    return this.formatColor({ ...this.convertColorToSRGB(mixed, space), a: alpha });
+  }
+  
+  fixHues(a, b, index, method) {
+    let from = ((a[index] % 360) + 360) % 360;
+    let to = ((b[index] % 360) + 360) % 360;
+    const delta = to - from;
+    
+    switch (method) {
+      case 'longer':
+        if (delta > 0 && delta < 180) from += 360;
+        else if (delta > -180 && delta <= 0) to += 360;
+        break;
+      case 'increasing':
+        if (to < from) to += 360;
+        break;
+      case 'decreasing':
+        if (from < to) from += 360;
+        break;
+      default:
+        if (delta > 180) from += 360;
+        else if (delta < -180) to += 360;
+    }
+    
+    a[index] = from;
+    b[index] = to;
+  }
+  
+  formatColor({ r, g, b, a = 1 }) {
+    const channel = value => Math.round(Math.min(255, Math.max(0, value)));
+    if (a >= 1) {
+      return `rgb(${channel(r)}, ${channel(g)}, ${channel(b)})`;
+    }
+    
+    return `rgba(${channel(r)}, ${channel(g)}, ${channel(b)}, ${Math.round(Math.max(0, a) * 1000) / 1000})`;
+  }
+  
+  // Colors are parsed to gamma-encoded sRGB channels in 0-255 (unclamped, so
+  // wide-gamut colors survive conversions) plus alpha in 0-1
+  parseColor(color) {
+    if (typeof color !== 'string') return null;
+    
+    const text = color.trim().toLowerCase();
+    if (text === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+    
+    const named = this.getNamedColors()[text];
+    const hex = (named ? '#' + named : text).match(/^#([0-9a-f]{3,8})$/);
+    if (hex) {
+      let digits = hex[1];
+      if (digits.length === 3 || digits.length === 4) {
+        digits = digits.split('').map(d => d + d).join('');
+      }
+      if (digits.length !== 6 && digits.length !== 8) return null;
+      
+      return {
+        r: parseInt(digits.substr(0, 2), 16),
+        g: parseInt(digits.substr(2, 2), 16),
+        b: parseInt(digits.substr(4, 2), 16),
+        a: digits.length === 8 ? parseInt(digits.substr(6, 2), 16) / 255 : 1
+      };
+    }
+    
+    const fn = text.match(/^([a-z-]+)\((.*)\)$/);
+    if (!fn) return null;
+    
+    // Both legacy "r, g, b, a" and modern "r g b / a" syntax
+    const [channelText, alphaText] = fn[2].split('/');
+    const parts = channelText.split(/[\s,]+/).filter(Boolean);
+    if (alphaText !== undefined) parts.push(alphaText.trim());
+    if (parts.length < (fn[1] === 'color' ? 4 : 3)) return null;
+    
+    const number = (part, percentScale = 1) => {
+      if (part === 'none') return 0;
+      const value = parseFloat(part);
+      return part.endsWith('%') ? value / 100 * percentScale : value;
+    };
+    const angle = part => {
+      const value = parseFloat(part);
+      if (part.endsWith('turn')) return value * 360;
+      if (part.endsWith('grad')) return value * 0.9;
+      if (part.endsWith('rad')) return value * 180 / Math.PI;
+      return value;
+    };
+    const alpha = parts.length > 3 ? Math.min(1, Math.max(0, number(parts[3], 1))) : 1;
+    
+    let result = null;
+    switch (fn[1]) {
+      case 'rgb':
+      case 'rgba':
+        result = { r: number(parts[0], 255), g: number(parts[1], 255), b: number(parts[2], 255) };
+        break;
+      case 'hsl':
+      case 'hsla':
+        result = this.convertColorToSRGB([angle(parts[0]), number(parts[1], 100), number(parts[2], 100)], 'hsl');
+        break;
+      case 'oklab':
+        result = this.convertColorToSRGB([number(parts[0], 1), number(parts[1], 0.4), number(parts[2], 0.4)], 'oklab');
+        break;
+      case 'oklch':
+        result = this.convertColorToSRGB([number(parts[0], 1), number(parts[1], 0.4), angle(parts[2])], 'oklch');
+        break;
+      case 'color': {
+        const space = parts.shift();
+        const values = parts.slice(0, 3).map(part => number(part, 1));
+        const colorAlpha = parts.length > 3 ? Math.min(1, Math.max(0, number(parts[3], 1))) : 1;
+        const converted = this.convertColorSpaceToSRGB(space, values);
+        return converted && !Object.values(converted).some(isNaN) ? { ...converted, a: colorAlpha } : null;
+      }
+      default:
+        return null;
+    }
+    
+    if (Object.values(result).some(isNaN) || isNaN(alpha)) return null;
+    
+    return { ...result, a: alpha };
+  }
+  
+  convertColorSpaceToSRGB(space, [c1, c2, c3]) {
+    const fromLinear = ([r, g, b]) => this.convertColorToSRGB([r, g, b], 'linear-srgb');
+    const xyzToLinear = ([x, y, z]) => [
+      3.2409699419045226 * x - 1.537383177570094 * y - 0.4986107602930034 * z,
+      -0.9692436362808796 * x + 1.8759675015077202 * y + 0.04155505740717559 * z,
+      0.05563007969699366 * x - 0.20397695888897652 * y + 1.0569715142428786 * z
+    ];
+    
+    switch (space) {
+      case 'srgb':
+        return { r: c1 * 255, g: c2 * 255, b: c3 * 255 };
+      case 'srgb-linear':
+        return fromLinear([c1, c2, c3]);
+      case 'xyz':
+      case 'xyz-d65':
+        return fromLinear(xyzToLinear([c1, c2, c3]));
+      case 'display-p3': {
+        const [r, g, b] = [c1, c2, c3].map(value => this.srgbToLinear(value));
+        return fromLinear(xyzToLinear([
+          0.4865709486482162 * r + 0.26566769316909306 * g + 0.1982172852343625 * b,
+          0.2289745640697488 * r + 0.6917385218365064 * g + 0.079286914093745 * b,
+          0.04511338185890264 * g + 1.043944368900976 * b
+        ]));
+      }
+      default:
+        return null;
+    }
+  }
+  
+  srgbToLinear(value) {
+    const abs = Math.abs(value);
+    const linear = abs <= 0.04045 ? abs / 12.92 : Math.pow((abs + 0.055) / 1.055, 2.4);
+    return Math.sign(value) * linear;
+  }
+  
+  linearToSrgb(value) {
+    const abs = Math.abs(value);
+    const encoded = abs <= 0.0031308 ? abs * 12.92 : 1.055 * Math.pow(abs, 1 / 2.4) - 0.055;
+    return Math.sign(value) * encoded;
+  }
+  
+  // Converts a parsed color to [c1, c2, c3] in the given interpolation space
+  convertColor({ r, g, b }, space) {
+    const linear = () => [r, g, b].map(value => this.srgbToLinear(value / 255));
+    
+    switch (space) {
+      case 'linear-srgb':
+        return linear();
+      case 'hsl': {
+        const [rn, gn, bn] = [r / 255, g / 255, b / 255];
+        const max = Math.max(rn, gn, bn);
+        const min = Math.min(rn, gn, bn);
+        const l = (max + min) / 2;
+        const d = max - min;
+        if (d === 0) return [0, 0, l * 100];
+        
+        const s = d / (1 - Math.abs(2 * l - 1));
+        let h;
+        if (max === rn) h = ((gn - bn) / d) % 6;
+        else if (max === gn) h = (bn - rn) / d + 2;
+        else h = (rn - gn) / d + 4;
+        
+        return [(h * 60 + 360) % 360, s * 100, l * 100];
+      }
+      case 'oklab':
+      case 'oklch': {
+        // Björn Ottosson's OKLab, from linear sRGB
+        const [lr, lg, lb] = linear();
+        const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+        const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+        const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+        const lab = [
+          0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+          1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+          0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+        ];
+        if (space === 'oklab') return lab;
+        
+        const hue = Math.atan2(lab[2], lab[1]) * 180 / Math.PI;
+        return [lab[0], Math.hypot(lab[1], lab[2]), (hue + 360) % 360];
+      }
+      default:
+        return [r, g, b];
+    }
+  }
+  
+  convertColorToSRGB(values, space) {
+    const fromLinear = linear => {
+      const [r, g, b] = linear.map(value => this.linearToSrgb(value) * 255);
+      return { r, g, b };
+    };
+    
+    switch (space) {
+      case 'linear-srgb':
+        return fromLinear(values);
+      case 'hsl': {
+        const h = ((values[0] % 360) + 360) % 360;
+        const s = values[1] / 100;
+        const l = values[2] / 100;
+        const f = n => {
+          const k = (n + h / 30) % 12;
+          return (l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(k - 3, 9 - k, 1))) * 255;
+        };
+        return { r: f(0), g: f(8), b: f(4) };
+      }
+      case 'oklab':
+      case 'oklch': {
+        let [L, a, b] = values;
+        if (space === 'oklch') {
+          const hue = values[2] * Math.PI / 180;
+          a = values[1] * Math.cos(hue);
+          b = values[1] * Math.sin(hue);
+        }
+        const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+        const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+        const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+        return fromLinear([
+          4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+          -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+          -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+        ]);
+      }
+      default:
+        return { r: values[0], g: values[1], b: values[2] };
+    }
+  }
+  
+  getNamedColors() {
+    if (this._namedColors) return this._namedColors;
+    
+    // CSS Color Module Level 4 named colors
+    this._namedColors = {};
+    (
+      'aliceblue:f0f8ff antiquewhite:faebd7 aqua:00ffff aquamarine:7fffd4 azure:f0ffff beige:f5f5dc ' +
+      'bisque:ffe4c4 black:000000 blanchedalmond:ffebcd blue:0000ff blueviolet:8a2be2 brown:a52a2a ' +
+      'burlywood:deb887 cadetblue:5f9ea0 chartreuse:7fff00 chocolate:d2691e coral:ff7f50 ' +
+      'cornflowerblue:6495ed cornsilk:fff8dc crimson:dc143c cyan:00ffff darkblue:00008b darkcyan:008b8b ' +
+      'darkgoldenrod:b8860b darkgray:a9a9a9 darkgreen:006400 darkgrey:a9a9a9 darkkhaki:bdb76b ' +
+      'darkmagenta:8b008b darkolivegreen:556b2f darkorange:ff8c00 darkorchid:9932cc darkred:8b0000 ' +
+      'darksalmon:e9967a darkseagreen:8fbc8f darkslateblue:483d8b darkslategray:2f4f4f ' +
+      'darkslategrey:2f4f4f darkturquoise:00ced1 darkviolet:9400d3 deeppink:ff1493 deepskyblue:00bfff ' +
+      'dimgray:696969 dimgrey:696969 dodgerblue:1e90ff firebrick:b22222 floralwhite:fffaf0 ' +
+      'forestgreen:228b22 fuchsia:ff00ff gainsboro:dcdcdc ghostwhite:f8f8ff gold:ffd700 ' +
+      'goldenrod:daa520 gray:808080 green:008000 greenyellow:adff2f grey:808080 honeydew:f0fff0 ' +
+      'hotpink:ff69b4 indianred:cd5c5c indigo:4b0082 ivory:fffff0 khaki:f0e68c lavender:e6e6fa ' +
+      'lavenderblush:fff0f5 lawngreen:7cfc00 lemonchiffon:fffacd lightblue:add8e6 lightcoral:f08080 ' +
+      'lightcyan:e0ffff lightgoldenrodyellow:fafad2 lightgray:d3d3d3 lightgreen:90ee90 lightgrey:d3d3d3 ' +
+      'lightpink:ffb6c1 lightsalmon:ffa07a lightseagreen:20b2aa lightskyblue:87cefa ' +
+      'lightslategray:778899 lightslategrey:778899 lightsteelblue:b0c4de lightyellow:ffffe0 lime:00ff00 ' +
+      'limegreen:32cd32 linen:faf0e6 magenta:ff00ff maroon:800000 mediumaquamarine:66cdaa ' +
+      'mediumblue:0000cd mediumorchid:ba55d3 mediumpurple:9370db mediumseagreen:3cb371 ' +
+      'mediumslateblue:7b68ee mediumspringgreen:00fa9a mediumturquoise:48d1cc mediumvioletred:c71585 ' +
+      'midnightblue:191970 mintcream:f5fffa mistyrose:ffe4e1 moccasin:ffe4b5 navajowhite:ffdead ' +
+      'navy:000080 oldlace:fdf5e6 olive:808000 olivedrab:6b8e23 orange:ffa500 orangered:ff4500 ' +
+      'orchid:da70d6 palegoldenrod:eee8aa palegreen:98fb98 paleturquoise:afeeee palevioletred:db7093 ' +
+      'papayawhip:ffefd5 peachpuff:ffdab9 peru:cd853f pink:ffc0cb plum:dda0dd powderblue:b0e0e6 ' +
+      'purple:800080 rebeccapurple:663399 red:ff0000 rosybrown:bc8f8f royalblue:4169e1 ' +
+      'saddlebrown:8b4513 salmon:fa8072 sandybrown:f4a460 seagreen:2e8b57 seashell:fff5ee sienna:a0522d ' +
+      'silver:c0c0c0 skyblue:87ceeb slateblue:6a5acd slategray:708090 slategrey:708090 snow:fffafa ' +
+      'springgreen:00ff7f steelblue:4682b4 tan:d2b48c teal:008080 thistle:d8bfd8 tomato:ff6347 ' +
+      'turquoise:40e0d0 violet:ee82ee wheat:f5deb3 white:ffffff whitesmoke:f5f5f5 yellow:ffff00 ' +
+      'yellowgreen:9acd32'
+    ).split(' ').forEach(entry => {
+      const [name, hex] = entry.split(':');
+      this._namedColors[name] = hex;
+    });
+    
+    return this._namedColors;
+  }
+  
+  // Motion path geometry
+  getPointOnPath(pathData, progress) {
+    const { curves, lengths, samples, length } = this.getPathMeasure(pathData);
+    if (!curves.length) {
+      // A path that only moves stays at its first point; one with no points
+      // gives none, and the target stays where it is
+      const move = this.parsePathData(pathData).find(({ command }) => command === 'M' || command === 'm');
+      return move ? { x: move.values[0], y: move.values[1], angle: 0 } : null;
+    }
+    
+    // Last sample at or before the requested distance
+    const distance = Math.min(1, Math.max(0, progress)) * length;
+    let low = 0;
+    let high = lengths.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lengths[mid] <= distance) low = mid;
+      else high = mid - 1;
+    }
+    
+    const curve = curves[samples[low * 2]];
+    let t = samples[low * 2 + 1];
+    if (low + 1 < lengths.length && samples[low * 2 + 2] === samples[low * 2]) {
+      const span = lengths[low + 1] - lengths[low];
+      if (span > 0) t += (samples[low * 2 + 3] - t) * (distance - lengths[low]) / span;
+    }
+    
+    const [x, y] = this.cubicPoint(curve, t);
+    let [dx, dy] = this.cubicDerivative(curve, t);
+    if (Math.hypot(dx, dy) < 1e-9) {
+      // Control points on an end point leave no derivative there; use the
+      // direction the curve heads off in instead
+      const [x1, y1] = this.cubicPoint(curve, Math.max(0, t - 1e-3));
+      const [x2, y2] = this.cubicPoint(curve, Math.min(1, t + 1e-3));
+      dx = x2 - x1;
+      dy = y2 - y1;
+    }
+    
+    return { x, y, angle: Math.atan2(dy, dx) * 180 / Math.PI };
+  }
+  
+  // Paths are measured once: each cubic is sampled into a table of cumulative
+  // arc lengths, so a distance maps back to a curve and its parameter
+  getPathMeasure(pathData) {
+    if (this.measureCache.has(pathData)) return this.measureCache.get(pathData);
+    
+    const curves = [];
+    const lengths = [];
+    const samples = [];
+    let length = 0;
+    
+    // Moves between subpaths don't add to the length
+    this.getCubics(pathData).forEach(({ points }) => {
+      for (let i = 0; i + 7 < points.length; i += 6) {
+        const curve = points.slice(i, i + 8);
+        const index = curves.push(curve) - 1;
+        const steps = Math.min(64, Math.max(8, Math.ceil(this.curveLength(points, i / 6) / 2)));
+        
+        let [x, y] = curve;
+        lengths.push(length);
+        samples.push(index, 0);
+        for (let step = 1; step <= steps; step++) {
+          const [nextX, nextY] = this.cubicPoint(curve, step / steps);
+          length += Math.hypot(nextX - x, nextY - y);
+          lengths.push(length);
+          samples.push(index, step / steps);
+          x = nextX;
+          y = nextY;
+        }
+      }
+    });
+    
+    if (this.measureCache.size > 64) this.measureCache.clear();
+    const measure = { curves, lengths, samples, length };
+    this.measureCache.set(pathData, measure);
+    
+    return measure;
+  }
+  
+  cubicPoint(p, t) {
+    const mt = 1 - t;
+    const a = mt * mt * mt;
+    const b = 3 * mt * mt * t;
+    const c = 3 * mt * t * t;
+    const d = t * t * t;
+    
+    return [
+      a * p[0] + b * p[2] + c * p[4] + d * p[6],
+      a * p[1] + b * p[3] + c * p[5] + d * p[7]
+    ];
+  }
+  
+  cubicDerivative(p, t) {
+    const mt = 1 - t;
+    const a = 3 * mt * mt;
+    const b = 6 * mt * t;
+    const c = 3 * t * t;
+    
+    return [
+      a * (p[2] - p[0]) + b * (p[4] - p[2]) + c * (p[6] - p[4]),
+      a * (p[3] - p[1]) + b * (p[5] - p[3]) + c * (p[7] - p[5])
+    ];
+  }
+  
+  interpolatePath(fromPath, toPath, progress, options = {}) {
+    if (progress <= 0) return fromPath;
+    if (progress >= 1) return toPath;
+    
+    const preserveCorners = !!options.preserveCorners;
+    const key = `${preserveCorners ? 1 : 0}|${fromPath}|${toPath}`;
+    let pairs = this.pathCache.get(key);
+    
+    if (!pairs) {
+      pairs = this.preparePathMorph(fromPath, toPath, preserveCorners);
+      // Expression-driven paths can produce an unbounded number of keys
+      if (this.pathCache.size > 64) this.pathCache.clear();
+      this.pathCache.set(key, pairs);
+    }
+    
+    if (!pairs) {
+      return progress < 0.5 ? fromPath : toPath;
+    }
+    
+    const subpaths = pairs.map(([from, to]) => ({
+      points: from.points.map((value, i) => value + (to.points[i] - value) * progress),
+      closed: from.closed || to.closed
+    }));
+    
+    return this.serializeSubpaths(subpaths);
+  }
+  
+  // Path data
+  parsePathData(d) {
+    const paramCounts = { m: 2, l: 2, h: 1, v: 1, c: 6, s: 4, q: 4, t: 2, a: 7, z: 0 };
+    const numberPattern = /[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y;
+    const commands = [];
+    let current = null;
+    let i = 0;
+    
+    while (i < d.length) {
+      const ch = d[i];
+      
+      if (ch === ' ' || ch === ',' || ch === '\t' || ch === '\n' || ch === '\r') {
+        i++;
+        continue;
+      }
+      
+      if (/[a-zA-Z]/.test(ch)) {
+        if (!(ch.toLowerCase() in paramCounts)) break;
+        current = { command: ch, values: [] };
+        commands.push(current);
+        i++;
+        continue;
+      }
+      
+      if (!current) break;
+      
+      const count = paramCounts[current.command.toLowerCase()];
+      if (count === 0) break;
+      
+      // Extra parameters repeat the command; after a moveto they become linetos
+      if (current.values.length === count) {
+        const command = current.command === 'M' ? 'L' : current.command === 'm' ? 'l' : current.command;
+        current = { command, values: [] };
+        commands.push(current);
+      }
+      
+      // Arc flags may be written without separators ("a1 1 0 0110 10")
+      const isFlag = current.command.toLowerCase() === 'a' &&
+        (current.values.length === 3 || current.values.length === 4);
+      if (isFlag) {
+        if (ch !== '0' && ch !== '1') break;
+        current.values.push(ch === '1' ? 1 : 0);
+        i++;
+        continue;
+      }
+      
+      numberPattern.lastIndex = i;
+      const match = numberPattern.exec(d);
+      if (!match) break;
+      
+      current.values.push(parseFloat(match[0]));
+      i += match[0].length;
+    }
+    
+    // Drop a trailing command that ran out of parameters
+    return commands.filter(cmd => cmd.values.length === paramCounts[cmd.command.toLowerCase()]);
+  }
+  
+  pathToCubics(d) {
+    const subpaths = [];
+    let subpath = null;
+    let x = 0;
+    let y = 0;
+    let startX = 0;
+    let startY = 0;
+    let lastControl = null;
+    let lastQuadControl = null;
+    
+    const ensureSubpath = () => {
+      if (!subpath) {
+        subpath = { points: [x, y], closed: false };
+        subpaths.push(subpath);
+      }
+    };
+    
+    const addCurve = (x1, y1, x2, y2, ex, ey) => {
+      ensureSubpath();
+      subpath.points.push(x1, y1, x2, y2, ex, ey);
+      x = ex;
+      y = ey;
+    };
+    
+    const addLine = (ex, ey) => {
+      addCurve(x + (ex - x) / 3, y + (ey - y) / 3, x + (ex - x) * 2 / 3, y + (ey - y) * 2 / 3, ex, ey);
+    };
+    
+    for (const { command, values } of this.parsePathData(d)) {
+      const relative = command === command.toLowerCase();
+      const ox = relative ? x : 0;
+      const oy = relative ? y : 0;
+      const type = command.toUpperCase();
+      let control = null;
+      let quadControl = null;
+      
+      switch (type) {
+        case 'M':
+          x = values[0] + ox;
+          y = values[1] + oy;
+          startX = x;
+          startY = y;
+          subpath = null;
+          ensureSubpath();
+          break;
+        case 'L':
+          addLine(values[0] + ox, values[1] + oy);
+          break;
+        case 'H':
+          addLine(values[0] + ox, y);
+          break;
+        case 'V':
+          addLine(x, values[0] + oy);
+          break;
+        case 'C':
+          control = [values[2] + ox, values[3] + oy];
+          addCurve(values[0] + ox, values[1] + oy, control[0], control[1], values[4] + ox, values[5] + oy);
+          break;
+        case 'S': {
+          const x1 = lastControl ? 2 * x - lastControl[0] : x;
+          const y1 = lastControl ? 2 * y - lastControl[1] : y;
+          control = [values[0] + ox, values[1] + oy];
+          addCurve(x1, y1, control[0], control[1], values[2] + ox, values[3] + oy);
+          break;
+        }
+        case 'Q':
+        case 'T': {
+          if (type === 'Q') {
+            quadControl = [values[0] + ox, values[1] + oy];
+          } else {
+            quadControl = lastQuadControl
+              ? [2 * x - lastQuadControl[0], 2 * y - lastQuadControl[1]]
+              : [x, y];
+          }
+          const ex = values[type === 'Q' ? 2 : 0] + ox;
+          const ey = values[type === 'Q' ? 3 : 1] + oy;
+          addCurve(
+            x + (quadControl[0] - x) * 2 / 3, y + (quadControl[1] - y) * 2 / 3,
+            ex + (quadControl[0] - ex) * 2 / 3, ey + (quadControl[1] - ey) * 2 / 3,
+            ex, ey
+          );
+          break;
+        }
+        case 'A': {
+          const curves = this.arcToCubics(
+            x, y, values[0], values[1], values[2], values[3], values[4], values[5] + ox, values[6] + oy
+          );
+          curves.forEach(curve => addCurve(...curve));
+          break;
+        }
+        case 'Z':
+          if (subpath) {
+            if (x !== startX || y !== startY) addLine(startX, startY);
+            subpath.closed = true;
+          }
+          x = startX;
+          y = startY;
+          subpath = null;
+          break;
+      }
+      
+      lastControl = control;
+      lastQuadControl = quadControl;
+    }
+    
+    // A bare moveto draws nothing and has nothing to morph
+    return subpaths.filter(sp => sp.points.length > 2);
+  }
+  
+  arcToCubics(x1, y1, rx, ry, angle, largeArc, sweep, x2, y2) {
+    if (x1 === x2 && y1 === y2) return [];
+    
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (!rx || !ry) {
+      return [[x1 + (x2 - x1) / 3, y1 + (y2 - y1) / 3, x1 + (x2 - x1) * 2 / 3, y1 + (y2 - y1) * 2 / 3, x2, y2]];
+    }
+    
+    // Endpoint to center parameterization (SVG 1.1, appendix F.6.5)
+    const phi = angle * Math.PI / 180;
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+    const dx = (x1 - x2) / 2;
+    const dy = (y1 - y2) / 2;
+    const x1p = cos * dx + sin * dy;
+    const y1p = -sin * dx + cos * dy;
+    
+    const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+    if (lambda > 1) {
+      rx *= Math.sqrt(lambda);
+      ry *= Math.sqrt(lambda);
+    }
+    
+    const rx2 = rx * rx;
+    const ry2 = ry * ry;
+    const numerator = rx2 * ry2 - rx2 * y1p * y1p - ry2 * x1p * x1p;
+    const denominator = rx2 * y1p * y1p + ry2 * x1p * x1p;
+    let coef = Math.sqrt(Math.max(0, numerator / denominator));
+    if (!!largeArc === !!sweep) coef = -coef;
+    
+    const cxp = coef * rx * y1p / ry;
+    const cyp = -coef * ry * x1p / rx;
+    const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+    const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+    
+    const vectorAngle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const ux = (x1p - cxp) / rx;
+    const uy = (y1p - cyp) / ry;
+    const theta1 = vectorAngle(1, 0, ux, uy);
+    let delta = vectorAngle(ux, uy, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+    if (!sweep && delta > 0) delta -= 2 * Math.PI;
+    if (sweep && delta < 0) delta += 2 * Math.PI;
+    
+    // One cubic per quarter turn keeps the approximation error negligible
+    const segments = Math.max(1, Math.ceil(Math.abs(delta) / (Math.PI / 2) - 1e-9));
+    const step = delta / segments;
+    const k = 4 / 3 * Math.tan(step / 4);
+    const curves = [];
+    
+    for (let i = 0; i < segments; i++) {
+      const a1 = theta1 + step * i;
+      const a2 = a1 + step;
+      const unit = [
+        Math.cos(a1) - k * Math.sin(a1), Math.sin(a1) + k * Math.cos(a1),
+        Math.cos(a2) + k * Math.sin(a2), Math.sin(a2) - k * Math.cos(a2),
+        Math.cos(a2), Math.sin(a2)
+      ];
+      
+      const curve = [];
+      for (let j = 0; j < 6; j += 2) {
+        const px = unit[j] * rx;
+        const py = unit[j + 1] * ry;
+        curve.push(cos * px - sin * py + cx, sin * px + cos * py + cy);
+      }
+      curves.push(curve);
+    }
+    
+    // Land exactly on the requested endpoint
+    curves[curves.length - 1][4] = x2;
+    curves[curves.length - 1][5] = y2;
+    
+    return curves;
+  }
+  
+  preparePathMorph(fromPath, toPath, preserveCorners) {
+    const fromSubpaths = this.pathToCubics(fromPath);
+    const toSubpaths = this.pathToCubics(toPath);
+    if (!fromSubpaths.length || !toSubpaths.length) return null;
+    
+    return this.matchSubpaths(fromSubpaths, toSubpaths).map(([from, to]) => {
+      const count = Math.max(this.curveCount(from), this.curveCount(to));
+      // Without corner preservation both outlines are redistributed evenly by
+      // length, with a floor on the resolution so dissimilar shapes morph smoothly
+      const resolution = preserveCorners ? count : Math.max(count, 24);
+      
+      from = this.subdivideSubpath(from, resolution, preserveCorners);
+      to = this.subdivideSubpath(to, resolution, preserveCorners);
+      
+      if (from.closed && to.closed) {
+        from = this.alignSubpath(from, to);
+      }
+      
+      return [from, to];
+    });
+  }
+  
+  matchSubpaths(fromSubpaths, toSubpaths) {
+    if (fromSubpaths.length === toSubpaths.length) {
+      return fromSubpaths.map((from, i) => [from, toSubpaths[i]]);
+    }
+    
+    // Pair the largest shapes with each other; leftovers grow from or
+    // shrink to a point at their own centroid
+    const byArea = list => list
+      .map(subpath => ({ subpath, area: this.subpathBoundsArea(subpath) }))
+      .sort((a, b) => b.area - a.area)
+      .map(entry => entry.subpath);
+    
+    const from = byArea(fromSubpaths);
+    const to = byArea(toSubpaths);
+    const pairs = [];
+    
+    for (let i = 0; i < Math.max(from.length, to.length); i++) {
+      if (from[i] && to[i]) {
+        pairs.push([from[i], to[i]]);
+      } else if (from[i]) {
+        pairs.push([from[i], this.collapseSubpath(from[i])]);
+      } else {
+        pairs.push([this.collapseSubpath(to[i]), to[i]]);
+      }
+    }
+    
+    return pairs;
+  }
+  
+  curveCount(subpath) {
+    return (subpath.points.length - 2) / 6;
+  }
+  
+  curveLength(points, index) {
+    // Average of chord and control polygon length approximates arc length
+    const o = index * 6;
+    const chord = Math.hypot(points[o + 6] - points[o], points[o + 7] - points[o + 1]);
+    const net = Math.hypot(points[o + 2] - points[o], points[o + 3] - points[o + 1]) +
+      Math.hypot(points[o + 4] - points[o + 2], points[o + 5] - points[o + 3]) +
+      Math.hypot(points[o + 6] - points[o + 4], points[o + 7] - points[o + 5]);
+    return (chord + net) / 2;
+  }
+  
+  splitCubic(p, t) {
+    // de Casteljau subdivision of [x0, y0, x1, y1, x2, y2, x3, y3]
+    const lerp = (a, b) => a + (b - a) * t;
+    const x01 = lerp(p[0], p[2]);
+    const y01 = lerp(p[1], p[3]);
+    const x12 = lerp(p[2], p[4]);
+    const y12 = lerp(p[3], p[5]);
+    const x23 = lerp(p[4], p[6]);
+    const y23 = lerp(p[5], p[7]);
+    const x012 = lerp(x01, x12);
+    const y012 = lerp(y01, y12);
+    const x123 = lerp(x12, x23);
+    const y123 = lerp(y12, y23);
+    const x = lerp(x012, x123);
+    const y = lerp(y012, y123);
+    
+    return [
+      [p[0], p[1], x01, y01, x012, y012, x, y],
+      [x, y, x123, y123, x23, y23, p[6], p[7]]
+    ];
+  }
+  
+  subdivideSubpath(subpath, count, preserveCorners) {
+    const n = this.curveCount(subpath);
+    if (n >= count) return subpath;
+    
+    const curves = [];
+    for (let i = 0; i < n; i++) {
+      curves.push(subpath.points.slice(i * 6, i * 6 + 8));
+    }
+    const lengths = curves.map((curve, i) => this.curveLength(subpath.points, i));
+    const pieces = new Array(n).fill(1);
+    
+    if (preserveCorners) {
+      // Halve the longest remaining piece until the counts match
+      for (let extra = count - n; extra > 0; extra--) {
+        let longest = 0;
+        for (let i = 1; i < n; i++) {
+          if (lengths[i] / pieces[i] > lengths[longest] / pieces[longest]) longest = i;
+        }
+        pieces[longest]++;
+      }
+    } else {
+      // Hand out pieces in proportion to length (largest remainder method)
+      const total = lengths.reduce((sum, len) => sum + len, 0) || 1;
+      const shares = lengths.map(len => len / total * (count - n));
+      shares.forEach((share, i) => { pieces[i] += Math.floor(share); });
+      let remaining = count - pieces.reduce((sum, p) => sum + p, 0);
+      const order = shares
+        .map((share, i) => ({ i, remainder: share - Math.floor(share) }))
+        .sort((a, b) => b.remainder - a.remainder);
+      for (let j = 0; remaining > 0; j = (j + 1) % n, remaining--) {
+        pieces[order[j].i]++;
+      }
+    }
+    
+    const points = subpath.points.slice(0, 2);
+    curves.forEach((curve, i) => {
+      let rest = curve;
+      for (let k = pieces[i]; k > 1; k--) {
+        const [head, tail] = this.splitCubic(rest, 1 / k);
+        points.push(...head.slice(2));
+        rest = tail;
+      }
+      points.push(...rest.slice(2));
+    });
+    
+    return { points, closed: subpath.closed };
+  }
+  
+  alignSubpath(subpath, reference) {
+    // Rotate a closed outline's starting vertex so that its vertices travel
+    // the shortest total distance to the reference's vertices
+    const n = this.curveCount(subpath);
+    const vertex = (points, i) => [points[i * 6], points[i * 6 + 1]];
+    let best = 0;
+    let bestCost = Infinity;
+    
+    for (let shift = 0; shift < n; shift++) {
+      let cost = 0;
+      for (let i = 0; i < n && cost < bestCost; i++) {
+        const [ax, ay] = vertex(subpath.points, (i + shift) % n);
+        const [bx, by] = vertex(reference.points, i);
+        cost += (ax - bx) * (ax - bx) + (ay - by) * (ay - by);
+      }
+      if (cost < bestCost) {
+        bestCost = cost;
+        best = shift;
+      }
+    }
+    
+    if (best === 0) return subpath;
+    
+    const curves = subpath.points.slice(2);
+    const rotated = curves.slice(best * 6).concat(curves.slice(0, best * 6));
+    const start = subpath.points.slice(best * 6, best * 6 + 2);
+    
+    return { points: start.concat(rotated), closed: true };
+  }
+  
+  collapseSubpath(subpath) {
+    let cx = 0;
+    let cy = 0;
+    const count = subpath.points.length / 2;
+    
+    for (let i = 0; i < subpath.points.length; i += 2) {
+      cx += subpath.points[i];
+      cy += subpath.points[i + 1];
+    }
+    cx /= count;
+    cy /= count;
+    
+    return {
+      points: subpath.points.map((value, i) => (i % 2 === 0 ? cx : cy)),
+      closed: subpath.closed
+    };
+  }
+  
+  subpathBoundsArea(subpath) {
+    const xs = subpath.points.filter((value, i) => i % 2 === 0);
+    const ys = subpath.points.filter((value, i) => i % 2 === 1);
+    return (Math.max(...xs) - Math.min(...xs)) * (Math.max(...ys) - Math.min(...ys));
+  }
+  
+  serializeSubpaths(subpaths) {
+    const format = value => String(Math.round(value * 1000) / 1000);
+    
+    return subpaths.map(subpath => {
+      const points = subpath.points.map(format);
+      let d = `M${points[0]} ${points[1]}`;
+      for (let i = 2; i < points.length; i += 6) {
+        d += `C${points.slice(i, i + 6).join(' ')}`;
+      }
+      return subpath.closed ? d + 'Z' : d;
+    }).join('');
+  }
+  
+  getCubics(d) {
+    if (!this.geometryCache.has(d)) {
+      if (this.geometryCache.size > 256) this.geometryCache.clear();
+      this.geometryCache.set(d, this.pathToCubics(d));
+    }
+    
+    return this.geometryCache.get(d);
+  }
+  
+  isShape(el) {
+    return ['path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon'].includes(el.localName);
+  }
+  
+  getShapeCubics(el) {
+    return this.getCubics(this.shapeToPathData(el));
+  }
+  
+  shapeToPathData(el) {
+    const num = name => parseFloat(el.getAttribute(name)) || 0;
+    
+    switch (el.localName) {
+      case 'path':
+        return el.getAttribute('d') || '';
+      case 'rect': {
+        const x = num('x');
+        const y = num('y');
+        const w = num('width');
+        const h = num('height');
+        if (w <= 0 || h <= 0) return '';
+        
+        // A missing radius takes the value of the other one
+        let rx = el.hasAttribute('rx') ? num('rx') : null;
+        let ry = el.hasAttribute('ry') ? num('ry') : null;
+        if (rx === null) rx = ry || 0;
+        if (ry === null) ry = rx;
+        rx = Math.min(Math.max(rx, 0), w / 2);
+        ry = Math.min(Math.max(ry, 0), h / 2);
+        
+        if (!rx || !ry) {
+          return `M${x} ${y}H${x + w}V${y + h}H${x}Z`;
+        }
+        return `M${x + rx} ${y}H${x + w - rx}A${rx} ${ry} 0 0 1 ${x + w} ${y + ry}` +
+          `V${y + h - ry}A${rx} ${ry} 0 0 1 ${x + w - rx} ${y + h}` +
+          `H${x + rx}A${rx} ${ry} 0 0 1 ${x} ${y + h - ry}` +
+          `V${y + ry}A${rx} ${ry} 0 0 1 ${x + rx} ${y}Z`;
+      }
+      case 'circle':
+      case 'ellipse': {
+        const cx = num('cx');
+        const cy = num('cy');
+        const rx = el.localName === 'circle' ? num('r') : num('rx');
+        const ry = el.localName === 'circle' ? num('r') : num('ry');
+        if (rx <= 0 || ry <= 0) return '';
+        
+        // Clockwise from the rightmost point, as SVG 2 specifies
+        return `M${cx + rx} ${cy}A${rx} ${ry} 0 0 1 ${cx} ${cy + ry}` +
+          `A${rx} ${ry} 0 0 1 ${cx - rx} ${cy}A${rx} ${ry} 0 0 1 ${cx} ${cy - ry}` +
+          `A${rx} ${ry} 0 0 1 ${cx + rx} ${cy}Z`;
+      }
+      case 'line':
+        return `M${num('x1')} ${num('y1')}L${num('x2')} ${num('y2')}`;
+      case 'polyline':
+      case 'polygon': {
+        const points = this.parseNumberList(el.getAttribute('points'));
+        if (points.length < 4) return '';
+        
+        let d = `M${points[0]} ${points[1]}`;
+        for (let i = 2; i + 1 < points.length; i += 2) {
+          d += `L${points[i]} ${points[i + 1]}`;
+        }
+        return el.localName === 'polygon' ? d + 'Z' : d;
+      }
+      default:
+        return '';
+    }
+  }
+  
+  getSubpathsBounds(subpaths) {
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    
+    const include = (x, y) => {
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x);
+      maxY = Math.max(maxY, y);
+    };
+    
+    // Roots of the derivative of one coordinate of a cubic
+    const extrema = (p0, p1, p2, p3) => {
+      const a = -p0 + 3 * p1 - 3 * p2 + p3;
+      const b = 2 * (p0 - 2 * p1 + p2);
+      const c = p1 - p0;
+      if (Math.abs(a) < 1e-12) {
+        return Math.abs(b) < 1e-12 ? [] : [-c / b];
+      }
+      const discriminant = b * b - 4 * a * c;
+      if (discriminant < 0) return [];
+      const root = Math.sqrt(discriminant);
+      return [(-b + root) / (2 * a), (-b - root) / (2 * a)];
+    };
+    
+    const evaluate = (p0, p1, p2, p3, t) => {
+      const mt = 1 - t;
+      return mt * mt * mt * p0 + 3 * mt * mt * t * p1 + 3 * mt * t * t * p2 + t * t * t * p3;
+    };
+    
+    subpaths.forEach(({ points }) => {
+      include(points[0], points[1]);
+      for (let i = 2; i < points.length; i += 6) {
+        const xs = [points[i - 2], points[i], points[i + 2], points[i + 4]];
+        const ys = [points[i - 1], points[i + 1], points[i + 3], points[i + 5]];
+        include(xs[3], ys[3]);
+        
+        extrema(...xs).concat(extrema(...ys)).forEach(t => {
+          if (t > 0 && t < 1) include(evaluate(...xs, t), evaluate(...ys, t));
+        });
+      }
+    });
+    
+    if (minX === Infinity) return { x: 0, y: 0, width: 0, height: 0 };
+    
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+  }
+  
+  // Variables
+  getVariable(name) {
+    return this.variables.get(name);
+  }
+  
+  setVariable(name, value) {
+    this.variables.set(name, value);
+    this.expressionErrors.clear();
+    this.state.duration = this.calculateDuration();
+    this.updateAnimations(this.state.currentTime);
+    this.emit('variablechange', { name, value });
+    this.checkAutomaticTransitions();
+  }
+  
+  // State management
+  //
+  // States form a tree: a <state> may hold nested states, which are
+  // exclusive, or <region> elements whose states are all active at once.
+  // Each active state's animations run on a clock started when it was entered
+  parseStateMachine(statesEl) {
+    this.states = new Map();
+    this.stateNodes = new Map();
+    this.transitions = [];
+    this.stateRegion = statesEl ? this.parseStateRegion(statesEl, null, '') : null;
+    if (!statesEl) return;
+    
+    statesEl.querySelectorAll('transition').forEach(transitionEl => {
+      const to = transitionEl.getAttribute('to');
+      if (!to) return;
+      
+      this.transitions.push({
+        from: transitionEl.getAttribute('from') || '*',
+        to,
+        duration: this.parseTime(transitionEl.getAttribute('duration') || '0s'),
+        easing: transitionEl.getAttribute('easing') || 'linear',
+        guard: transitionEl.getAttribute('guard'),
+        auto: transitionEl.getAttribute('auto') === 'true'
+      });
+    });
+  }
+  
+  parseStateRegion(element, parent, key) {
+    const region = { key, parent, initial: element.getAttribute('initial'), states: [] };
+    
+    Array.from(element.children).forEach(stateEl => {
+      const id = stateEl.localName === 'state' && stateEl.getAttribute('id');
+      if (!id) return;
+      
+      const node = { id, element: stateEl, parent, region, regions: [], history: stateEl.getAttribute('history') };
+      this.states.set(id, stateEl);
+      this.stateNodes.set(id, node);
+      region.states.push(id);
+      
+      const children = Array.from(stateEl.children);
+      if (children.some(child => child.localName === 'state')) {
+        node.regions.push(this.parseStateRegion(stateEl, id, id));
+      }
+      children.filter(child => child.localName === 'region').forEach((regionEl, i) => {
+        node.regions.push(this.parseStateRegion(regionEl, id, `${id}/${regionEl.getAttribute('id') || i}`));
+      });
+    });
+    
+    // Nested regions always have an active state; the top level only when
+    // the document names one, otherwise the main timeline plays
+    if (!region.states.includes(region.initial)) {
+      region.initial = parent !== null ? region.states[0] || null : null;
+    }
+    
+    return region;
+  }
+  
+  // The states left active by entering targetId: its ancestors, the states
+  // of untouched regions, and the remembered or initial states of regions
+  // entered on the way. Entered lists those whose clocks restart
+  resolveStateConfiguration(targetId) {
+    const path = [];
+    for (let id = targetId; id !== null; id = this.stateNodes.get(id).parent) {
+      path.unshift(id);
+    }
+    
+    const active = [];
+    const entered = [];
+    const visit = (region, fresh, history) => {
+      let id = region.states.find(stateId => path.includes(stateId));
+      if (!id && !fresh) id = region.states.find(stateId => this.activeStates.has(stateId));
+      if (!id && history) id = this.stateHistory.get(region.key);
+      if (!id) id = region.initial;
+      if (!id) return;
+      
+      const node = this.stateNodes.get(id);
+      const isEntered = fresh || id === targetId || !this.activeStates.has(id);
+      active.push(id);
+      if (isEntered) entered.push(id);
+      
+      const childHistory = history === 'deep' ? 'deep' : node.history;
+      node.regions.forEach(child => visit(child, isEntered, isEntered ? childHistory : null));
+    };
+    visit(this.stateRegion, false, null);
+    
+    return { active, entered };
+  }
+  
+  // Transitions from a specific state win over wildcards, which match any
+  // active state. Returns null when none applies and false when every one
+  // that does is guarded off
+  findTransition(stateId) {
+    const candidates = this.transitions.filter(transition => (
+      transition.to === stateId &&
+      (transition.from === '*' ? this.activeStates.size : this.activeStates.has(transition.from))
+    ));
+    if (!candidates.length) return null;
+    
+    candidates.sort((a, b) => (a.from === '*') - (b.from === '*'));
+    return candidates.find(transition => !transition.guard || this.evaluateExpression(transition.guard)) || false;
+  }
+  
+  setState(stateId) {
+    if (!this.stateNodes.has(stateId)) return false;
+    
+    const transition = this.findTransition(stateId);
+    if (transition === false) return false;
+    
+    const time = this.state.currentTime;
+    const { active, entered } = this.resolveStateConfiguration(stateId);
+    const exited = Array.from(this.activeStates.keys()).filter(id => !active.includes(id) || entered.includes(id));
+    
+    // Remember each region's last state for history
+    exited.forEach(id => this.stateHistory.set(this.stateNodes.get(id).region.key, id));
+    
+    // Blend from whatever is on screen now, including attributes that only
+    // the incoming states animate
+    const timelines = active.map(id => this.getStateTimeline(id));
+    this.transition = transition && transition.duration > 0
+      ? { ...transition, values: this.captureAnimatedValues(timelines) }
+      : null;
+    
+    // The clock restarts; states that stay active keep their own time
+    const previousStates = this.activeStates;
+    this.activeStates = new Map(active.map((id, i) => [id, {
+      timeline: timelines[i],
+      entered: entered.includes(id) ? 0 : previousStates.get(id).entered - time
+    }]));
+    
+    const previous = this.state.currentState;
+    this.state.previousState = previous;
+    this.state.currentState = stateId;
+    this.state.currentTime = 0;
+    this.state.duration = this.calculateDuration();
+    this.rebaseClock();
+    this.updateAnimations(0);
+    
+    this.emit('statechange', {
+      state: stateId,
+      previous,
+      active,
+      entered,
+      exited,
+      transition: transition ? { from: transition.from, to: transition.to, duration: transition.duration } : null
+    });
+    this.checkAutomaticTransitions();
+    
+    return true;
+  }
+  
+  getState() {
+    return {
+      state: this.state.currentState,
+      previous: this.state.previousState,
+      active: Array.from(this.activeStates.keys()),
+      transitioning: !!this.transition
+    };
+  }
+  
+  // Auto transitions fire as soon as their guard holds, checked on entering
+  // a state and on variable changes. The limit stops guards that never
+  // settle from bouncing between states forever
+  checkAutomaticTransitions() {
+    if (this._checkingTransitions) return;
+    
+    this._checkingTransitions = true;
+    try {
+      for (let changes = 0; changes < 32; changes++) {
+        const next = this.transitions.find(transition => (
+          transition.auto &&
+          !this.activeStates.has(transition.to) &&
+          (transition.from === '*' ? this.activeStates.size : this.activeStates.has(transition.from)) &&
+          (!transition.guard || this.evaluateExpression(transition.guard))
+        ));
+        if (!next || !this.setState(next.to)) break;
+      }
+    } finally {
+      this._checkingTransitions = false;
+    }
+  }
+  
+  // The main timeline, or the one a responsive rule switched to, plays until
+  // a state is entered; from then on the active states' timelines play in its place
+  getTimelineLayers() {
+    if (!this.activeStates.size) {
+      const timeline = this.responsiveTimeline || this.timeline;
+      return timeline ? [{ timeline, entered: 0 }] : [];
+    }
+    return Array.from(this.activeStates.values());
+  }
+  
+  captureAnimatedValues(timelines = []) {
+    const values = new Map();
+    const capture = (target, attribute) => {
+      if (!values.has(target)) values.set(target, new Map());
+      const attributes = values.get(target);
+      if (attributes.has(attribute)) return;
+      
+      const value = target.getAttribute(attribute);
+      attributes.set(attribute, value !== null ? value : this.getBaseValue(target, attribute));
+    };
+    
+    this.animatedAttributes.forEach((attributes, target) => {
+      attributes.forEach(attribute => capture(target, attribute));
+    });
+    
+    // Particles are drawn afresh, so have nothing to blend
+    const visit = anim => {
+      if (anim.animations) {
+        anim.animations.forEach(visit);
+        return;
+      }
+      if (anim.type === 'particles') return;
+      
+      this.getTargets(anim.target).forEach(target => {
+        let attribute = anim.attribute;
+        if (anim.type === 'morph') {
+          attribute = 'd';
+        } else if (anim.type === 'animate-transform' || anim.type === 'animate-path' || attribute === 'transform') {
+          attribute = this.getTransformAttribute(target);
+        }
+        if (attribute) capture(target, attribute);
+      });
+    };
+    timelines.forEach(timeline => timeline.forEach(visit));
+    
+    return values;
+  }
+  
+  // Mixes the values captured when the state changed into the new frame
+  blendTransition(time) {
+    const { values, duration, easing } = this.transition;
+    if (time >= duration) {
+      this.transition = null;
+      return;
+    }
+    
+    const progress = this.applyEasing(Math.max(0, time) / duration, easing);
+    values.forEach((attributes, target) => {
+      attributes.forEach((from, attribute) => {
+        const to = this.getAnimatedValue(target, attribute);
+        if (from === null || to === null || from === to) return;
+        
+        this.setAnimatedValue(target, attribute, this.interpolateValue(attribute, from, to, progress));
+      });
+    });
+  }
+  
+  // Trigger events are delegated from the SVG root, so elements added later
+  // are covered too. On a canvas the same events come from attachCanvas()
+  setupTriggers() {
+    this.teardownTriggers();
+    if (!this.svgContent) return;
+    
+    this._triggerListeners = this.listenForTriggers(this.svgContent, event => event.target);
+    
+    // Keyboard triggers need the SVG to be focusable
+    if (this.triggers.some(trigger => this.isKeyboardTrigger(trigger)) && !this.svgContent.hasAttribute('tabindex')) {
+      this.svgContent.setAttribute('tabindex', '0');
+      this.generatedAttributes.add('tabindex');
+    }
+    
+    // An attached canvas may need listeners for new event types
+    const canvas = this.interactiveCanvas;
+    if (canvas) {
+      this.detachCanvas();
+      this.attachCanvas(canvas);
+    }
+  }
+  
+  teardownTriggers() {
+    this._triggerListeners.forEach(({ target, event, listener }) => {
+      target.removeEventListener(event, listener);
+    });
+    this._triggerListeners = [];
+    this._hovered = [];
+  }
+  
+  // locate() maps an event to the SVG element it happened on
+  listenForTriggers(source, locate) {
+    const handlers = {
+      click: event => this.dispatchTrigger('click', locate(event), event),
+      pointerdown: event => this.dispatchTrigger('pointerdown', locate(event), event),
+      pointerup: event => this.dispatchTrigger('pointerup', locate(event), event),
+      pointermove: event => this.updateHover(locate(event), event),
+      pointerleave: event => this.updateHover(null, event),
+      keydown: event => this.dispatchTrigger('keydown', locate(event), event),
+      keyup: event => this.dispatchTrigger('keyup', locate(event), event)
+    };
+    
+    // Any other DOM event, such as dblclick, is passed through as it is
+    this.triggers.forEach(({ type }) => {
+      if (type && !handlers[type] && type !== 'pointerenter') {
+        handlers[type] = event => this.dispatchTrigger(type, locate(event), event);
+      }
+    });
+    
+    return Object.keys(handlers).map(event => {
+      const listener = handlers[event];
+      source.addEventListener(event, listener);
+      return { target: source, event, listener };
+    });
+  }
+  
+  isKeyboardTrigger(trigger) {
+    return trigger.type === 'keydown' || trigger.type === 'keyup';
+  }
+  
+  // Finds the element the trigger's target selector matches, from the given
+  // element up to the SVG root
+  findTriggerTarget(element, selector) {
+    for (let node = element; node && node.nodeType === 1; node = node.parentNode) {
+      if (!selector ? node === this.svgContent : node.matches(selector)) return node;
+      if (node === this.svgContent) break;
+    }
+    return null;
+  }
+  
+  dispatchTrigger(type, element, event = null) {
+    if (!element) return;
+    
+    this.triggers.forEach(trigger => {
+      if (trigger.type !== type || !this.findTriggerTarget(element, trigger.target)) return;
+      if (trigger.key && (!event || event.key !== trigger.key)) return;
+      
+      this.runTrigger(trigger, element, event);
+    });
+  }
+  
+  // Like pointerenter and pointerleave in the DOM, entering an element also
+  // enters its ancestors, and these events fire on each element itself
+  updateHover(element, event = null) {
+    const path = [];
+    if (element && this.findTriggerTarget(element, null)) {
+      for (let node = element; node && node.nodeType === 1; node = node.parentNode) {
+        path.push(node);
+        if (node === this.svgContent) break;
+      }
+    }
+    
+    const previous = this._hovered;
+    this._hovered = path;
+    
+    const fire = (type, nodes) => nodes.forEach(node => {
+      this.triggers.forEach(trigger => {
+        if (trigger.type !== type) return;
+        if (trigger.target ? !node.matches(trigger.target) : node !== this.svgContent) return;
+        
+        this.runTrigger(trigger, node, event);
+      });
+    });
+    fire('pointerleave', previous.filter(node => !path.includes(node)));
+    fire('pointerenter', path.filter(node => !previous.includes(node)).reverse());
+  }
+  
+  runTrigger(trigger, element, event = null) {
+    switch (trigger.action) {
+      case 'play':
+        this.play();
+        break;
+      case 'pause':
+        this.pause();
+        break;
+      case 'toggle':
+        if (this.state.playing) {
+          this.pause();
+        } else {
+          this.play();
+        }
+        break;
+      case 'seek':
+        this.seek(this.parseTime(trigger.time));
+        break;
+      case 'set-variable': {
+        const value = trigger.value != null ? this.parseVariableValue(trigger.value) : undefined;
+        if (value !== undefined) this.setVariable(trigger.variable, value);
+        break;
+      }
+      case 'goto-marker': {
+        const time = this.getMarkerTime(trigger.marker);
+        if (time !== null) this.seek(time);
+        break;
+      }
+      default:
+        this.setState(trigger.state);
+    }
+    
+    this.emit('trigger', { trigger, element, event });
+  }
+  
+  // The markers of the timelines now playing, in document time
+  getMarkers() {
+    const markers = [];
+    this.getTimelineLayers().forEach(({ timeline, entered }) => {
+      (timeline.markers || []).forEach(({ name, time }) => markers.push({ name, time: entered + time }));
+    });
+    
+    return markers.sort((a, b) => a.time - b.time);
+  }
+  
+  // Besides <marker>s, the id of any timeline element labels its start
+  getMarkerTime(name) {
+    const marker = this.getMarkers().find(candidate => candidate.name === name);
+    if (marker) return marker.time;
+    
+    const find = (animations, offset) => {
+      for (const anim of animations) {
+        const { start } = this.resolveTiming(anim, this.state.currentTime);
+        if (anim.id === name) return offset + start;
+        if (anim.animations) {
+          const time = find(this.layoutGroup(anim, this.state.currentTime), offset + start);
+          if (time !== null) return time;
+        }
+      }
+      return null;
+    };
+    
+    for (const { timeline, entered } of this.getTimelineLayers()) {
+      const time = find(timeline, entered);
+      if (time !== null) return time;
+    }
+    return null;
+  }
+  
+  // Hit testing
+  // Finds the topmost element painted at a point on a canvas of the given
+  // size, the way pointer-events="visiblePainted" does in a browser
+  hitTest(x, y, width = this.options.width, height = this.options.height) {
+    if (!this.svgContent) return null;
+    
+    const inverse = this.invertMatrix(this.getViewportMatrix(width, height));
+    if (!inverse) return null;
+    
+    const point = this.transformPoint(inverse, x, y);
+    return this.hitTestChildren(this.svgContent, point, this.computeStyle(this.svgContent, this.getDefaultStyle()));
+  }
+  
+  hitTestChildren(parent, point, style) {
+    const children = parent.children;
+    for (let i = children.length - 1; i >= 0; i--) {
+      const hit = this.hitTestElement(children[i], point, style);
+      if (hit) return hit;
+    }
+    
+    return null;
+  }
+  
+  hitTestElement(el, point, inherited) {
+    const tag = el.localName;
+    const isGroup = tag === 'g' || tag === 'a' || tag === 'use';
+    if (!isGroup && !this.isShape(el)) return null;
+    if (this.getStyleValue(el, 'display') === 'none') return null;
+    
+    const style = this.computeStyle(el, inherited);
+    if (style['pointer-events'] === 'none') return null;
+    
+    // The point is carried into the element's own user space
+    let [x, y] = point;
+    const transform = el.getAttribute('transform');
+    if (transform) {
+      const inverse = this.invertMatrix(this.transformToMatrix(this.parseTransformList(transform)));
+      if (!inverse) return null;
+      [x, y] = this.transformPoint(inverse, x, y);
+    }
+    
+    const clipEl = this.resolveReference(this.getStyleValue(el, 'clip-path'));
+    if (clipEl && !this.isPointInClipPath(clipEl, el, x, y)) return null;
+    
+    if (tag === 'use') {
+      const ref = this.resolveReference(this.getHref(el));
+      const offset = [x - (parseFloat(el.getAttribute('x')) || 0), y - (parseFloat(el.getAttribute('y')) || 0)];
+      return ref && this.hitTestElement(ref, offset, style) ? el : null;
+    }
+    if (isGroup) {
+      return this.hitTestChildren(el, [x, y], style);
+    }
+    
+    return this.hitTestShape(el, x, y, style) ? el : null;
+  }
+  
+  hitTestShape(el, x, y, style) {
+    const visible = style.visibility !== 'hidden' && style.visibility !== 'collapse';
+    const painted = {
+      fill: style.fill !== 'none' && el.localName !== 'line',
+      stroke: style.stroke !== 'none' && parseFloat(style['stroke-width']) > 0
+    };
+    
+    let fill;
+    let stroke;
+    switch (style['pointer-events']) {
+      case 'visibleFill': [fill, stroke] = [visible, false]; break;
+      case 'visibleStroke': [fill, stroke] = [false, visible]; break;
+      case 'visible': [fill, stroke] = [visible, visible]; break;
+      case 'painted': [fill, stroke] = [painted.fill, painted.stroke]; break;
+      case 'fill': [fill, stroke] = [true, false]; break;
+      case 'stroke': [fill, stroke] = [false, true]; break;
+      case 'all': [fill, stroke] = [true, true]; break;
+      default: [fill, stroke] = [visible && painted.fill, visible && painted.stroke];
+    }
+    if (!fill && !stroke) return false;
+    
+    const polylines = this.getShapeCubics(el).map(subpath => this.flattenSubpath(subpath));
+    if (fill && this.isPointInPolylines(polylines, x, y, style['fill-rule'])) return true;
+    
+    return stroke && this.isPointNearPolylines(polylines, x, y, (parseFloat(style['stroke-width']) || 1) / 2);
+  }
+  
+  isPointInClipPath(clipEl, el, x, y) {
+    let matrix = [1, 0, 0, 1, 0, 0];
+    if (clipEl.getAttribute('clipPathUnits') === 'objectBoundingBox') {
+      const bounds = this.getElementBounds(el);
+      if (!bounds) return false;
+      matrix = [bounds.width, 0, 0, bounds.height, bounds.x, bounds.y];
+    }
+    const clipTransform = clipEl.getAttribute('transform');
+    if (clipTransform) {
+      matrix = this.multiplyMatrices(matrix, this.transformToMatrix(this.parseTransformList(clipTransform)));
+    }
+    
+    const test = (child, base, px, py) => {
+      let m = base;
+      const transform = child.getAttribute('transform');
+      if (transform) m = this.multiplyMatrices(m, this.transformToMatrix(this.parseTransformList(transform)));
+      
+      if (child.localName === 'use') {
+        const ref = this.resolveReference(this.getHref(child));
+        const offset = [parseFloat(child.getAttribute('x')) || 0, parseFloat(child.getAttribute('y')) || 0];
+        return !!ref && test(ref, this.multiplyMatrices(m, [1, 0, 0, 1, ...offset]), px, py);
+      }
+      if (!this.isShape(child) || this.getStyleValue(child, 'display') === 'none') return false;
+      
+      const inverse = this.invertMatrix(m);
+      if (!inverse) return false;
+      const [cx, cy] = this.transformPoint(inverse, px, py);
+      const polylines = this.getShapeCubics(child).map(subpath => this.flattenSubpath(subpath));
+      return this.isPointInPolylines(polylines, cx, cy, this.getStyleValue(child, 'clip-rule'));
+    };
+    
+    return Array.from(clipEl.children).some(child => test(child, matrix, x, y));
+  }
+  
+  flattenSubpath({ points, closed }, segments = 16) {
+    const polyline = [points[0], points[1]];
+    for (let i = 2; i < points.length; i += 6) {
+      const curve = points.slice(i - 2, i + 6);
+      for (let s = 1; s <= segments; s++) {
+        polyline.push(...this.cubicPoint(curve, s / segments));
+      }
+    }
+    
+    return { points: polyline, closed };
+  }
+  
+  // Winding number for nonzero, crossing count for evenodd; every subpath
+  // is implicitly closed for filling
+  isPointInPolylines(polylines, x, y, rule = 'nonzero') {
+    let winding = 0;
+    let crossings = 0;
+    
+    polylines.forEach(({ points }) => {
+      const count = points.length / 2;
+      for (let i = 0; i < count; i++) {
+        const x1 = points[i * 2];
+        const y1 = points[i * 2 + 1];
+        const x2 = points[((i + 1) % count) * 2];
+        const y2 = points[((i + 1) % count) * 2 + 1];
+        if ((y1 <= y) === (y2 <= y)) continue;
+        
+        const cross = (x2 - x1) * (y - y1) - (x - x1) * (y2 - y1);
+        if (y2 > y1 ? cross > 0 : cross < 0) {
+          winding += y2 > y1 ? 1 : -1;
+          crossings++;
+        }
+      }
+    });
+    
+    return rule === 'evenodd' ? crossings % 2 === 1 : winding !== 0;
+  }
+  
+  isPointNearPolylines(polylines, x, y, distance) {
+    const limit = distance * distance;
+    
+    return polylines.some(({ points, closed }) => {
+      const count = points.length / 2;
+      const segments = closed ? count : count - 1;
+      for (let i = 0; i < segments; i++) {
+        const x1 = points[i * 2];
+        const y1 = points[i * 2 + 1];
+        const x2 = points[((i + 1) % count) * 2];
+        const y2 = points[((i + 1) % count) * 2 + 1];
+        
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const length = dx * dx + dy * dy;
+        const t = length ? Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / length)) : 0;
+        const ex = x1 + t * dx - x;
+        const ey = y1 + t * dy - y;
+        if (ex * ex + ey * ey <= limit) return true;
+      }
+      return false;
+    });
+  }
+  
+  // Canvas interaction
+  // A canvas has no elements of its own, so pointer events on it are mapped
+  // back to SVG elements by hit testing. render() attaches the canvas it
+  // draws to unless the interactive option is false
+  attachCanvas(canvas) {
+    if (canvas === this.interactiveCanvas) return;
+    
+    this.detachCanvas();
+    if (!canvas || typeof canvas.addEventListener !== 'function') return;
+    
+    this.interactiveCanvas = canvas;
+    this._canvasListeners = this.listenForTriggers(canvas, event => {
+      if (!this.svgContent || event.clientX === undefined) return this.svgContent;
+      
+      const rect = canvas.getBoundingClientRect();
+      const x = (event.clientX - rect.left) * canvas.width / (rect.width || canvas.width);
+      const y = (event.clientY - rect.top) * canvas.height / (rect.height || canvas.height);
+      
+      // Events anywhere on the canvas count as events on the SVG root
+      return this.hitTest(x, y, canvas.width, canvas.height) || this.svgContent;
+    });
+    
+    // An OffscreenCanvas has no attributes, and no focus to give
+    const isElement = typeof Element !== 'undefined' && canvas instanceof Element;
+    if (isElement && this.triggers.some(trigger => this.isKeyboardTrigger(trigger)) && !canvas.hasAttribute('tabindex')) {
+      canvas.setAttribute('tabindex', '0');
+      this._canvasTabIndex = true;
+    }
+  }
+  
+  detachCanvas() {
+    const canvas = this.interactiveCanvas;
+    if (!canvas) return;
+    
+    this._canvasListeners.forEach(({ event, listener }) => {
+      canvas.removeEventListener(event, listener);
+    });
+    this._canvasListeners = [];
+    if (this._canvasTabIndex) canvas.removeAttribute('tabindex');
+    this._canvasTabIndex = false;
+    this.interactiveCanvas = null;
+    this._hovered = [];
+  }
+  
+  // Authoring
+  // Edits are made to the parsed document as well as the runtime state, so
+  // toXML() always reflects the current document
+  refreshTimeline() {
+    this.targetCache.clear();
+    this.state.duration = this.calculateDuration();
+    this.updateAnimations(this.state.currentTime);
+  }
+  
+  // Descriptors are { name, attributes, children }, where children may also
+  // be a string of text content
+  importNode(node, namespace, prefix = null) {
+    const doc = this.document.ownerDocument || this.document;
+    if (node.nodeType) {
+      return doc.importNode ? doc.importNode(node, true) : node.cloneNode(true);
+    }
+    
+    const el = doc.createElementNS(namespace, prefix ? `${prefix}:${node.name}` : node.name);
+    Object.entries(node.attributes || {}).forEach(([name, value]) => {
+      if (value !== null && value !== undefined) el.setAttribute(name, value);
+    });
+    
+    if (typeof node.children === 'string') {
+      el.textContent = node.children;
+    } else {
+      (node.children || []).forEach(child => el.appendChild(this.importNode(child, namespace, prefix)));
+    }
+    
+    return el;
+  }
+  
+  // New nodes copy the indentation of their siblings, so hand-formatted
+  // documents stay readable after editing
+  insertNode(parent, node, reference = null) {
+    const doc = parent.ownerDocument || this.document.ownerDocument || this.document;
+    const isWhitespace = child => child && child.nodeType === 3 && !child.data.trim();
+    const first = parent.children[0];
+    // svgContent is a detached copy of the document's <svg>
+    const outer = (parent === this.svgContent ? this.document.querySelector('svg') : parent).previousSibling;
+    
+    if (reference && reference.parentNode !== parent) reference = null;
+    
+    let indent = null;
+    if (first) {
+      if (isWhitespace(first.previousSibling)) indent = first.previousSibling.data;
+    } else if (isWhitespace(outer) && outer.data.includes('\n') && !parent.textContent.trim()) {
+      // The first child goes one level deeper than its parent
+      const outerIndent = outer.data.slice(outer.data.lastIndexOf('\n'));
+      indent = outerIndent + this.getIndentUnit();
+      Array.from(parent.childNodes).forEach(child => parent.removeChild(child));
+      parent.appendChild(doc.createTextNode(outerIndent));
+    }
+    if (indent === null) return parent.insertBefore(node, reference);
+    
+    if (!reference) {
+      const last = parent.childNodes[parent.childNodes.length - 1];
+      reference = isWhitespace(last) ? last : null;
+      parent.insertBefore(doc.createTextNode(indent), reference);
+      parent.insertBefore(node, reference);
+    } else {
+      parent.insertBefore(node, reference);
+      parent.insertBefore(doc.createTextNode(indent), reference);
+    }
+    this.indentChildren(node, indent, doc);
+    
+    return node;
+  }
+  
+  // Indents a new subtree that has no text of its own
+  indentChildren(node, indent, doc) {
+    const children = Array.from(node.childNodes);
+    if (!children.length || children.some(child => child.nodeType !== 1)) return;
+    
+    const childIndent = indent + this.getIndentUnit();
+    children.forEach(child => {
+      node.insertBefore(doc.createTextNode(childIndent), child);
+      this.indentChildren(child, childIndent, doc);
+    });
+    node.appendChild(doc.createTextNode(indent));
+  }
+  
+  getIndentUnit() {
+    const first = this.document.children[0];
+    const whitespace = first && first.previousSibling;
+    if (!whitespace || whitespace.nodeType !== 3 || !whitespace.data.includes('\n')) return '  ';
+    
+    return whitespace.data.slice(whitespace.data.lastIndexOf('\n') + 1) || '  ';
+  }
+  
+  removeNode(node) {
+    const parent = node && node.parentNode;
+    if (!parent) return;
+    
+    const previous = node.previousSibling;
+    if (previous && previous.nodeType === 3 && !previous.data.trim()) parent.removeChild(previous);
+    parent.removeChild(node);
+  }
+  
+  // Top-level containers are kept in the order the format describes
+  getContainer(name) {
+    const order = ['variables', 'states', 'triggers', 'responsive', 'timeline', 'svg'];
+    const find = containerName => Array.from(this.document.children)
+      .find(child => child.localName === containerName);
+    
+    let container = find(name);
+    if (!container) {
+      container = this.importNode({ name }, this.document.namespaceURI);
+      const next = order.slice(order.indexOf(name) + 1).map(find).find(Boolean);
+      this.insertNode(this.document, container, next || null);
+    }
+    
+    return container;
+  }
+  
+  addElement(node, parent = this.svgContent, reference = null) {
+    if (!this.svgContent) throw new Error('The document has no SVG content');
+    
+    const el = this.importNode(node, 'http://www.w3.org/2000/svg', this.svgContent.prefix);
+    this.insertNode(parent, el, reference);
+    this.refreshTimeline();
+    
+    return el;
+  }
+  
+  addVariable(name, value) {
+    const container = this.getContainer('variables');
+    let varEl = Array.from(container.children)
+      .find(child => child.localName === 'var' && child.getAttribute('name') === name);
+    if (!varEl) {
+      varEl = this.importNode({ name: 'var', attributes: { name } }, this.document.namespaceURI);
+      this.insertNode(container, varEl);
+    }
+    varEl.setAttribute('value', value);
+    
+    const result = this.evaluateExpression(String(value));
+    if (result !== undefined) this.setVariable(name, result);
+    
+    return varEl;
+  }
+  
+  removeVariable(name) {
+    const variablesEl = this.document.querySelector('variables');
+    if (variablesEl) {
+      Array.from(variablesEl.querySelectorAll('var'))
+        .filter(varEl => varEl.getAttribute('name') === name)
+        .forEach(varEl => this.removeNode(varEl));
+    }
+    
+    this.variables.delete(name);
+    this.expressionErrors.clear();
+    this.refreshTimeline();
+  }
+  
+  // Returns the state's timeline, which can be edited like the main one.
+  // Pass a parent state id to nest the new state inside it
+  addState(id, animations = [], parent = null) {
+    if (this.states.has(id)) throw new Error(`State "${id}" already exists`);
+    if (parent !== null && !this.states.has(parent)) throw new Error(`State "${parent}" does not exist`);
+    
+    const stateEl = this.importNode({ name: 'state', attributes: { id } }, this.document.namespaceURI);
+    this.insertNode(parent !== null ? this.states.get(parent) : this.getContainer('states'), stateEl);
+    this.parseStateMachine(this.getContainer('states'));
+    
+    const timeline = this.getStateTimeline(id);
+    animations.forEach(anim => timeline.add(anim));
+    
+    return timeline;
+  }
+  
+  getStateTimeline(id) {
+    const stateEl = this.states.get(id);
+    if (!stateEl) return null;
+    
+    if (!this.stateTimelines.has(stateEl)) {
+      this.stateTimelines.set(stateEl, this.createTimeline(stateEl));
+    }
+    return this.stateTimelines.get(stateEl);
+  }
+  
+  addTransition(attributes) {
+    const transitionEl = this.importNode({ name: 'transition', attributes }, this.document.namespaceURI);
+    this.insertNode(this.getContainer('states'), transitionEl);
+    this.parseStateMachine(this.getContainer('states'));
+    
+    return transitionEl;
+  }
+  
+  removeState(id) {
+    const stateEl = this.states.get(id);
+    if (!stateEl) return false;
+    
+    this.removeNode(stateEl);
+    this.parseStateMachine(this.document.querySelector('states'));
+    
+    // Drop the state, and any nested in it, from the active configuration
+    this.activeStates.forEach((active, activeId) => {
+      if (!this.states.has(activeId)) this.activeStates.delete(activeId);
+    });
+    if (!this.states.has(this.state.currentState)) this.state.currentState = null;
+    this.refreshTimeline();
+    
+    return true;
+  }
+  
+  // e.g. { event: 'click', target: '#button', action: 'seek', time: '2s' }
+  addTrigger(attributes) {
+    const triggerEl = this.importNode({ name: 'trigger', attributes }, this.document.namespaceURI);
+    this.insertNode(this.getContainer('triggers'), triggerEl);
+    
+    this.triggers.push(this.parseTrigger(triggerEl));
+    this.setupTriggers();
+    
+    return triggerEl;
+  }
+  
+  // Serializes the document as authored: animated attributes are written
+  // with their base values, and attributes added for display are left out.
+  // Comments, processing instructions and the doctype around the root are
+  // kept, along with the source's XML declaration, which isn't a node
+  toXML() {
+    if (!this.document) return '';
+    
+    const root = this.document.cloneNode(true);
+    const svgEl = root.querySelector('svg');
+    if (svgEl && this.svgContent) {
+      const svg = this.svgContent.cloneNode(true);
+      this.restoreBaseValues(this.svgContent, svg);
+      this.generatedAttributes.forEach(name => svg.removeAttribute(name));
+      
+      svgEl.parentNode.insertBefore(svg, svgEl);
+      svgEl.parentNode.removeChild(svgEl);
+    }
+    
+    const owner = this.document.parentNode;
+    const nodes = owner && owner.nodeType === 9
+      ? Array.from(owner.childNodes).filter(node => node.nodeType !== 3)
+      : [this.document];
+    const declaration = (this.sourceText || '').match(/^\uFEFF?(<\?xml\s[\s\S]*?\?>)/);
+    const content = nodes.map(node => this.serializeSVG(node === this.document ? root : node));
+    
+    return `${declaration ? declaration[1] : '<?xml version="1.0" encoding="UTF-8"?>'}\n${content.join('\n')}\n`;
+  }
+  
+  restoreBaseValues(source, copy) {
+    const attributes = this.animatedAttributes.get(source);
+    if (attributes) {
+      attributes.forEach(attribute => {
+        const value = this.getBaseValue(source, attribute);
+        if (value === null) {
+          copy.removeAttribute(attribute);
+        } else {
+          copy.setAttribute(attribute, value);
+        }
+      });
+    }
+    
+    // Elements the player generated, such as particles, are left out
+    const children = source.children;
+    const copies = copy.children;
+    for (let i = children.length - 1; i >= 0; i--) {
+      if (this.generatedElements.has(children[i])) {
+        copy.removeChild(copies[i]);
+      } else {
+        this.restoreBaseValues(children[i], copies[i]);
+      }
+    }
+  }
+  
+  // Validation
+  // Checks a document (the loaded one by default) against OpenASVG.schema.
+  // Source text is parsed with the built-in parser, so that diagnostics can
+  // give a line and column
+  validate(source = this.sourceText || this.document) {
+    const context = { text: null, diagnostics: [], svg: null, states: new Set() };
+    let root = source;
+    
+    if (typeof source === 'string') {
+      context.text = source;
+      try {
+        root = ASVGXMLNode.parse(source).documentElement;
+      } catch (error) {
+        if (!(error instanceof ASVGXMLError)) throw error;
+        return [{
+          severity: 'error',
+          code: 'xml-syntax',
+          message: error.message,
+          path: null,
+          attribute: null,
+          line: error.line,
+          column: error.column
+        }];
+      }
+    }
+    
+    if (!root || root.localName !== 'asvg') {
+      this.reportDiagnostic(context, 'error', 'missing-element', 'No ASVG root element found', null);
+      return context.diagnostics;
+    }
+    
+    context.svg = Array.from(root.children).find(child => child.localName === 'svg') || null;
+    if (!context.svg) {
+      this.reportDiagnostic(context, 'error', 'missing-element', 'The document has no <svg> content', root);
+    }
+    
+    const version = root.getAttribute('version');
+    if (version && version !== ASVG_SCHEMA.version) {
+      this.reportDiagnostic(context, 'warning', 'unsupported-version',
+        `Version ${version} documents may not play as intended; this library implements ${ASVG_SCHEMA.version}`, root, 'version');
+    }
+    
+    // State ids are collected up front, since triggers may come first
+    root.querySelectorAll('states state').forEach(stateEl => {
+      const id = stateEl.getAttribute('id');
+      if (context.states.has(id)) {
+        this.reportDiagnostic(context, 'error', 'duplicate-id', `State "${id}" is defined more than once`, stateEl, 'id');
+      }
+      context.states.add(id);
+    });
+    
+    this.validateElement(root, context);
+    
+    return context.diagnostics;
+  }
+  
+  validateElement(el, context) {
+    const name = el.localName;
+    const schema = ASVG_SCHEMA.elements[name];
+    const attributes = schema.attributes || {};
+    
+    Array.from(el.attributes).forEach(({ name: attribute, value }) => {
+      // Namespace declarations and attributes from other vocabularies
+      if (attribute === 'xmlns' || attribute.includes(':')) return;
+      
+      const type = attributes[attribute];
+      if (type) {
+        this.validateValue(el, attribute, value, type, context);
+      } else {
+        this.reportDiagnostic(context, 'warning', 'unknown-attribute', `<${name}> has no "${attribute}" attribute`, el, attribute);
+      }
+    });
+    
+    // Animations inside an <animate-set> take the set's target
+    const inSet = el.parentNode && el.parentNode.localName === 'animate-set';
+    (schema.required || [])
+      .filter(attribute => !el.hasAttribute(attribute) && !(attribute === 'target' && inSet))
+      .forEach(attribute => {
+        this.reportDiagnostic(context, 'error', 'missing-attribute', `<${name}> needs a "${attribute}" attribute`, el);
+      });
+    
+    if (name === 'trigger') {
+      const action = el.getAttribute('action') || 'state';
+      (ASVG_TRIGGER_ACTION_ATTRIBUTES[action] || [])
+        .filter(attribute => !el.hasAttribute(attribute))
+        .forEach(attribute => {
+          this.reportDiagnostic(context, 'error', 'missing-attribute', `The ${action} action needs a "${attribute}" attribute`, el);
+        });
+    }
+    
+    if (name === 'keyframes') {
+      const hasKeys = Array.from(el.children).some(child => child.localName === 'key');
+      if (!el.hasAttribute('attribute') && !el.hasAttribute('type')) {
+        this.reportDiagnostic(context, 'error', 'missing-attribute', '<keyframes> needs an "attribute" or "type" attribute', el);
+      }
+      if (!hasKeys && !el.hasAttribute('values')) {
+        this.reportDiagnostic(context, 'error', 'missing-element', '<keyframes> needs <key> children or a "values" attribute', el);
+      }
+    }
+    
+    for (const child of el.children) {
+      const childName = child.localName;
+      // Elements from other vocabularies are left alone
+      if (child.namespaceURI !== el.namespaceURI && childName !== 'svg') continue;
+      
+      if (!ASVG_SCHEMA.elements[childName] && childName !== 'svg') {
+        this.reportDiagnostic(context, 'error', 'unknown-element', `Unknown element <${child.tagName}>`, child);
+      } else if (!(schema.children || []).includes(childName)) {
+        this.reportDiagnostic(context, 'error', 'unexpected-element', `<${child.tagName}> is not allowed in <${name}>`, child);
+      } else if (childName !== 'svg') {
+        this.validateElement(child, context);
+      }
+    }
+  }
+  
+  validateValue(el, attribute, value, type, context) {
+    const report = (code, message) => this.reportDiagnostic(context, 'error', code, message, el, attribute);
+    
+    // Expressions are checked for syntax; their results are only known at run time
+    if (value.includes('{') && (type === 'time' || type === 'value')) {
+      (value.match(/\{([^{}]*)\}/g) || []).forEach(part => {
+        const error = this.findExpressionError(part.slice(1, -1));
+        if (error) report('invalid-expression', `${error.message} in "${part}"`);
+      });
+      return;
+    }
+    
+    const isOffset = part => {
+      const match = part.trim().match(/^(\d+\.?\d*|\.\d+)(%?)$/);
+      return !!match && parseFloat(match[1]) <= (match[2] ? 100 : 1);
+    };
+    
+    switch (type) {
+      case 'time':
+        if (!/^(\d+\.?\d*|\.\d+)(ms|s|m)?$/.test(value)) {
+          report('invalid-time', `"${value}" is not a valid time, e.g. 1.5s or 500ms`);
+        }
+        break;
+      case 'number':
+        if (!value.trim() || !isFinite(Number(value))) report('invalid-value', `"${value}" is not a number`);
+        break;
+      case 'integer':
+        if (!/^\s*-?\d+\s*$/.test(value)) report('invalid-value', `"${value}" is not a whole number`);
+        break;
+      case 'ratio':
+        if (!/^\s*(\d+\.?\d*|\.\d+)\s*([/:]\s*(\d+\.?\d*|\.\d+)\s*)?$/.test(value)) {
+          report('invalid-value', `"${value}" should be an aspect ratio such as 16/9 or 1.5`);
+        }
+        break;
+      case 'numbers':
+        if (!value.trim() || !value.trim().split(/[\s,;]+/).every(part => isFinite(Number(part)))) {
+          report('invalid-value', `"${value}" should be a list of numbers`);
+        }
+        break;
+      case 'times':
+        if (!value.trim().split(/[\s,;]+/).every(part => /^(\d+\.?\d*|\.\d+)(ms|s|m)?$/.test(part))) {
+          report('invalid-time', `"${value}" should be a time, or a range such as 1s 2s`);
+        }
+        break;
+      case 'boolean':
+        if (value !== 'true' && value !== 'false') report('invalid-value', `"${value}" should be "true" or "false"`);
+        break;
+      case 'repeat':
+        if (value !== 'infinite' && value !== 'indefinite' && !(Number(value) > 0)) {
+          report('invalid-value', `"${value}" should be a positive number or "infinite"`);
+        }
+        break;
+      case 'easing':
+        if (!this.parseEasing(value)) report('unknown-easing', `Unknown easing "${value}"`);
+        break;
+      case 'offset':
+        if (!isOffset(value)) report('invalid-value', `"${value}" should be an offset from 0 to 1, or a percentage`);
+        break;
+      case 'offsets':
+        if (!value.split(';').every(isOffset)) {
+          report('invalid-value', `"${value}" should be a list of offsets from 0 to 1, separated by ";"`);
+        }
+        break;
+      case 'expression': {
+        const error = this.findExpressionError(value);
+        if (error) report('invalid-expression', `${error.message} in "${value}"`);
+        break;
+      }
+      case 'rotate':
+        if (!['auto', 'auto-reverse', 'none'].includes(value) && !isFinite(parseFloat(value))) {
+          report('invalid-value', `"${value}" should be "auto", "auto-reverse", "none" or an angle`);
+        }
+        break;
+      case 'selector':
+        this.validateSelector(value, 'missing-target', report, context);
+        break;
+      case 'reference':
+        this.validateSelector(value, 'unresolved-reference', report, context);
+        break;
+      case 'path':
+        // Path data, or a reference to a shape
+        if (value.startsWith('#')) this.validateSelector(value, 'unresolved-reference', report, context);
+        break;
+      case 'state':
+        // Transitions may come from any state
+        if (value === '*' && attribute === 'from') break;
+        if (!context.states.has(value)) report('unresolved-reference', `There is no state "${value}"`);
+        break;
+      default:
+        if (Array.isArray(type) && !type.includes(value)) {
+          report('invalid-value', `"${value}" should be one of ${type.map(option => `"${option}"`).join(', ')}`);
+        }
+    }
+  }
+  
+  validateSelector(selector, code, report, context) {
+    const svg = context.svg;
+    if (!svg) return;
+    
+    const reference = selector.match(/^url\(\s*['"]?#([^'")]+)['"]?\s*\)/);
+    let found;
+    try {
+      found = reference
+        ? !!svg.querySelector(`[id="${reference[1]}"]`)
+        : svg.matches(selector) || !!svg.querySelector(selector);
+    } catch (error) {
+      report('invalid-selector', `"${selector}" is not a valid selector`);
+      return;
+    }
+    
+    if (!found) report(code, `"${selector}" does not match any SVG element`);
+  }
+  
+  findExpressionError(source) {
+    try {
+      this.compileExpression(source);
+      return null;
+    } catch (error) {
+      if (!(error instanceof ASVGExpressionError)) throw error;
+      return error;
+    }
+  }
+  
+  reportDiagnostic(context, severity, code, message, el, attribute = null) {
+    const diagnostic = { severity, code, message, path: el ? this.getElementPath(el) : null, attribute, line: null, column: null };
+    
+    // Only the built-in parser records where elements start
+    if (el && context.text && el.sourceIndex >= 0) {
+      let index = el.sourceIndex;
+      if (attribute) {
+        const pattern = new RegExp(`\\s${attribute.replace(/\./g, '\\.')}\\s*=`, 'g');
+        pattern.lastIndex = index;
+        const match = pattern.exec(context.text);
+        if (match) index = match.index + 1;
+      }
+      
+      const before = context.text.slice(0, index).split('\n');
+      diagnostic.line = before.length;
+      diagnostic.column = before[before.length - 1].length + 1;
+    }
+    
+    context.diagnostics.push(diagnostic);
+  }
+  
+  // e.g. /asvg/timeline/animate[2]
+  getElementPath(el) {
+    const parts = [];
+    for (let node = el; node && node.nodeType === 1; node = node.parentNode) {
+      const siblings = node.parentNode
+        ? Array.from(node.parentNode.children).filter(sibling => sibling.localName === node.localName)
+        : [node];
+      parts.unshift(siblings.length > 1 ? `${node.localName}[${siblings.indexOf(node) + 1}]` : node.localName);
+    }
+    
+    return `/${parts.join('/')}`;
+  }
+  
+  // Mounting
+  mount(container) {
+    if (!container) return;
+    
+    this.unmount();
+    this.mountContainer = container;
+    
+    // Loading from a URL is asynchronous; parseElement mounts once ready
+    if (!this.svgContent) return;
+    
+    // The live tree itself is inserted, so animations, triggers and hit
+    // testing all work on the nodes the user sees
+    if (!this.svgContent.hasAttribute('role')) {
+      this.svgContent.setAttribute('role', 'img');
+      this.generatedAttributes.add('role');
+    }
+    container.appendChild(this.svgContent);
+    
+    this.observeResize(container);
+    this.resize(container.clientWidth, container.clientHeight);
+    this.updateAnimations(this.state.currentTime);
+    this.emit('mount', { container });
+  }
+  
+  unmount() {
+    const container = this.mountContainer;
+    this.mountContainer = null;
+    if (container === this._resizeTarget) this.unobserveResize();
+    if (!container || !this.svgContent || this.svgContent.parentNode !== container) return;
+    
+    container.removeChild(this.svgContent);
+    this.emit('unmount', { container });
+  }
+  
+  get mounted() {
+    return !!(this.mountContainer && this.svgContent && this.svgContent.parentNode === this.mountContainer);
+  }
+  
+  // Responsive rules
+  // Rules match the size of the container the animation is shown in: the
+  // mount container, the canvas it was last rendered to, or the size given
+  // to resize(). Matching rules apply in document order, so later ones win
+  parseResponsiveRules(responsiveEl) {
+    this.responsiveRules = [];
+    this.responsiveDefaults = new Map();
+    if (!responsiveEl) return;
+    
+    Array.from(responsiveEl.children).filter(child => child.localName === 'rule').forEach(ruleEl => {
+      const number = (name, fallback) => {
+        const value = parseFloat(ruleEl.getAttribute(name));
+        return isFinite(value) ? value : fallback;
+      };
+      const ratio = (name, fallback) => {
+        const value = ruleEl.getAttribute(name);
+        if (!value) return fallback;
+        
+        const [width, height = 1] = value.split(/[/:]/).map(Number);
+        return width / height;
+      };
+      
+      // Variables a rule sets go back to their document values when it stops matching
+      const variables = new Map();
+      Array.from(ruleEl.children).filter(child => child.localName === 'var').forEach(varEl => {
+        const name = varEl.getAttribute('name');
+        if (!name) return;
+        
+        variables.set(name, varEl.getAttribute('value'));
+        if (!this.responsiveDefaults.has(name)) this.responsiveDefaults.set(name, this.variables.get(name));
+      });
+      const timelineEl = Array.from(ruleEl.children).find(child => child.localName === 'timeline');
+      
+      this.responsiveRules.push({
+        id: ruleEl.getAttribute('id'),
+        minWidth: number('min-width', 0),
+        maxWidth: number('max-width', Infinity),
+        minHeight: number('min-height', 0),
+        maxHeight: number('max-height', Infinity),
+        minAspectRatio: ratio('min-aspect-ratio', 0),
+        maxAspectRatio: ratio('max-aspect-ratio', Infinity),
+        orientation: ruleEl.getAttribute('orientation'),
+        state: ruleEl.getAttribute('state'),
+        variables,
+        timeline: timelineEl ? this.createTimeline(timelineEl) : null
+      });
+    });
+  }
+  
+  matchesResponsiveRule(rule, width, height) {
+    const ratio = width / height;
+    
+    return width >= rule.minWidth && width <= rule.maxWidth &&
+      height >= rule.minHeight && height <= rule.maxHeight &&
+      ratio >= rule.minAspectRatio && ratio <= rule.maxAspectRatio &&
+      (!rule.orientation || rule.orientation === (height >= width ? 'portrait' : 'landscape'));
+  }
+  
+  // The rules that would match a size, without applying them. Exports draw
+  // the live configuration, so this is how to check one against their size
+  matchResponsiveRules(width, height) {
+    return this.responsiveRules.filter(rule => this.matchesResponsiveRule(rule, width, height));
+  }
+  
+  // Returns whether the size changed
+  resize(width, height) {
+    if (!(width > 0 && height > 0)) return false;
+    
+    const size = this.viewportSize;
+    if (size && size.width === width && size.height === height) return false;
+    
+    this.viewportSize = { width, height };
+    this.applyResponsiveRules();
+    this.emit('resize', { width, height });
+    
+    return true;
+  }
+  
+  applyResponsiveRules() {
+    if (!this.responsiveRules.length || !this.viewportSize) return;
+    
+    const { width, height } = this.viewportSize;
+    const matched = this.matchResponsiveRules(width, height);
+    const previous = this.matchedRules || [];
+    if (this.matchedRules && matched.length === previous.length && matched.every((rule, i) => rule === previous[i])) {
+      return;
+    }
+    this.matchedRules = matched;
+    
+    const values = new Map(this.responsiveDefaults);
+    matched.forEach(rule => {
+      rule.variables.forEach((value, name) => {
+        const result = this.parseVariableValue(value);
+        if (result !== undefined) values.set(name, result);
+      });
+    });
+    values.forEach((value, name) => {
+      if (value === undefined && this.variables.has(name)) {
+        this.variables.delete(name);
+        this.expressionErrors.clear();
+        this.emit('variablechange', { name, value });
+      } else if (value !== undefined && this.variables.get(name) !== value) {
+        this.setVariable(name, value);
+      }
+    });
+    
+    // The last matching rule with a timeline plays it in place of the main one
+    const branch = matched.filter(rule => rule.timeline).pop();
+    this.responsiveTimeline = branch ? branch.timeline : null;
+    this.refreshTimeline();
+    
+    // States are entered as their rules start to match
+    matched.filter(rule => rule.state && !previous.includes(rule)).forEach(rule => this.setState(rule.state));
+    
+    this.emit('responsivechange', { rules: matched.map(rule => rule.id), width, height });
+  }
+  
+  // Watches the mount container or canvas for size changes. A paused
+  // canvas is redrawn, since nothing else would show the change
+  observeResize(element) {
+    if (element === this._resizeTarget) return;
+    
+    // ResizeObserver only takes elements, not an OffscreenCanvas
+    if (typeof Element !== 'undefined' && !(element instanceof Element)) return;
+    
+    this.unobserveResize();
+    this._resizeTarget = element;
+    if (typeof ResizeObserver === 'undefined') return;
+    
+    this._resizeObserver = new ResizeObserver(entries => {
+      const { width, height } = entries[entries.length - 1].contentRect;
+      if (this.resize(width, height) && element.getContext && !this.state.playing) {
+        this.render(element);
+      }
+    });
+    this._resizeObserver.observe(element);
+  }
+  
+  unobserveResize() {
+    if (this._resizeObserver) this._resizeObserver.disconnect();
+    this._resizeObserver = null;
+    this._resizeTarget = null;
+  }
+  
+  // Rendering
+  render(canvas, callback) {
+    if (!this.svgContent || !canvas) return;
+    
+    if (this.options.interactive !== false) this.attachCanvas(canvas);
+    
+    // Rules follow the canvas's displayed size, which may differ from its pixel size
+    if (!this.mounted) this.observeResize(canvas);
+    this.resize(canvas.clientWidth || canvas.width, canvas.clientHeight || canvas.height);
+    
+    this.drawToCanvas(canvas, callback);
+  }
+  
+  // Draws the current frame without treating the canvas as the display:
+  // exports draw onto canvases of their own, which shouldn't pick up
+  // listeners or change the live instance
+  drawToCanvas(canvas, callback) {
+    const ctx = canvas.getContext('2d');
+    
+    if (this.options.renderer !== 'image' && this.canRenderNatively()) {
+      ctx.save();
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      ctx.restore();
+      this.renderToContext(ctx, canvas.width, canvas.height);
+      if (callback) callback();
+      return;
+    }
+    
+    this.renderImage(canvas, ctx, callback);
+  }
+  
+  renderImage(canvas, ctx, callback) {
+    if (typeof Image === 'undefined') {
+      const error = new Error(`Rendering ${this.findUnsupportedFeature(this.svgContent)} needs a browser`);
+      this.emit('error', { error });
+      if (callback) callback(error);
+      return;
+    }
+    
+    // Sized to the canvas, the image lays out its viewBox just as
+    // getViewportMatrix() does
+    const svg = this.svgContent.cloneNode(true);
+    if (!svg.hasAttribute('viewBox')) {
+      const [, , width, height] = this.getViewBox();
+      svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    }
+    svg.setAttribute('width', canvas.width);
+    svg.setAttribute('height', canvas.height);
+    
+    const svgData = this.serializeSVG(svg);
+    const blob = new Blob([svgData], { type: 'image/svg+xml' });
+    const url = URL.createObjectURL(blob);
+    
+    const img = new Image();
+    
+    img.onload = () => {
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+        URL.revokeObjectURL(url);
+        if (callback) callback(); // Execute the callback here
+    };
+    
+    img.onerror = (e) => {
+      console.error('Error rendering SVG:', e);
+      URL.revokeObjectURL(url);
+      if (callback) callback(new Error('Error rendering SVG'));
+    };
+    
+    img.src = url;
+  }
+  
+  renderToContext(ctx, width, height) {
+    if (!this.svgContent) return;
+    
+    ctx.save();
+    ctx.transform(...this.getViewportMatrix(width, height));
+    this.drawChildren(ctx, this.svgContent, this.computeStyle(this.svgContent, this.getDefaultStyle()));
+    ctx.restore();
+  }
+  
+  canRenderNatively() {
+    return !this.findUnsupportedFeature(this.svgContent);
+  }
+  
+  findUnsupportedFeature(root) {
+    const unsupported = ['text', 'image', 'foreignObject', 'switch', 'style', 'svg', 'textPath'];
+    const referencing = ['filter', 'mask', 'marker-start', 'marker-mid', 'marker-end'];
+    
+    const check = el => {
+      const tag = el.localName;
+      if (el !== root && unsupported.includes(tag)) return tag;
+      
+      for (const name of referencing) {
+        const value = this.getStyleValue(el, name);
+        if (value && value !== 'none') return name;
+      }
+      
+      for (const name of ['fill', 'stroke']) {
+        const paint = this.getStyleValue(el, name);
+        const server = paint && this.resolveReference(paint);
+        if (!server) continue;
+        
+        if (server.localName !== 'linearGradient' && server.localName !== 'radialGradient') {
+          return server.localName;
+        }
+        const spread = this.getGradientAttribute(server, 'spreadMethod');
+        if (spread && spread !== 'pad') return `spreadMethod="${spread}"`;
+      }
+      
+      if (tag === 'use') {
+        const ref = this.resolveReference(this.getHref(el));
+        if (ref && ['symbol', 'svg', 'image'].includes(ref.localName)) return `use of <${ref.localName}>`;
+      }
+      
+      for (const child of el.children) {
+        const feature = check(child);
+        if (feature) return feature;
+      }
+      
+      return null;
+    };
+    
+    return root ? check(root) : null;
+  }
+  
+  // The canvas is the SVG's viewport. The viewBox is fitted to it as
+  // preserveAspectRatio says, the way a browser lays out an <img>
+  getViewportMatrix(width, height) {
+    const [x, y, viewWidth, viewHeight] = this.getViewBox();
+    const [align, meetOrSlice] = this.parsePreserveAspectRatio(this.svgContent.getAttribute('preserveAspectRatio'));
+    
+    let scaleX = width / viewWidth;
+    let scaleY = height / viewHeight;
+    if (align !== 'none') {
+      scaleX = scaleY = meetOrSlice === 'slice' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+    }
+    
+    const offset = (position, space) => (position === 'Mid' ? space / 2 : position === 'Max' ? space : 0);
+    return [
+      scaleX, 0, 0, scaleY,
+      offset(align.slice(1, 4), width - viewWidth * scaleX) - x * scaleX,
+      offset(align.slice(5, 8), height - viewHeight * scaleY) - y * scaleY
+    ];
+  }
+  
+  // Without a viewBox, the SVG's own size stands in for one
+  getViewBox() {
+    const svg = this.svgContent;
+    const viewBox = this.parseNumberList(svg.getAttribute('viewBox'));
+    if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) return viewBox;
+    
+    const size = (name, fallback) => {
+      const value = svg.getAttribute(name);
+      return value && !value.endsWith('%') && parseFloat(value) > 0 ? parseFloat(value) : fallback;
+    };
+    return [0, 0, size('width', this.options.width), size('height', this.options.height)];
+  }
+  
+  parsePreserveAspectRatio(value) {
+    const [align, meetOrSlice = 'meet'] = (value || '').replace(/^\s*defer\b/, '').trim().split(/\s+/);
+    const valid = align === 'none' || /^x(Min|Mid|Max)Y(Min|Mid|Max)$/.test(align);
+    
+    return [valid ? align : 'xMidYMid', meetOrSlice === 'slice' ? 'slice' : 'meet'];
+  }
+  
+  getDefaultStyle() {
+    return {
+      fill: 'black',
+      'fill-opacity': '1',
+      'fill-rule': 'nonzero',
+      stroke: 'none',
+      'stroke-width': '1',
+      'stroke-opacity': '1',
+      'stroke-linecap': 'butt',
+      'stroke-linejoin': 'miter',
+      'stroke-miterlimit': '4',
+      'stroke-dasharray': 'none',
+      'stroke-dashoffset': '0',
+      'clip-rule': 'nonzero',
+      'pointer-events': 'visiblePainted',
+      visibility: 'visible',
+      color: 'black'
+    };
+  }
+  
+  computeStyle(el, inherited) {
+    const style = { ...inherited };
+    
+    Object.keys(inherited).forEach(name => {
+      const value = this.getStyleValue(el, name);
+      if (value != null && value !== 'inherit') {
+        style[name] = value;
+      }
+    });
+    
+    return style;
+  }
+  
+  getStyleValue(el, name) {
+    const inline = el.getAttribute('style');
+    if (inline) {
+      for (const declaration of inline.split(';')) {
+        const colon = declaration.indexOf(':');
+        if (colon > 0 && declaration.slice(0, colon).trim() === name) {
+          return declaration.slice(colon + 1).replace(/!important/, '').trim();
+        }
+      }
+    }
+    
+    return el.getAttribute(name);
+  }
+  
+  getHref(el) {
+    const href = el.getAttribute('href') || el.getAttribute('xlink:href');
+    return href ? `url(${href})` : null;
+  }
+  
+  resolveReference(value) {
+    const match = value && value.match(/^url\(\s*['"]?#([^'")]+)['"]?\s*\)/);
+    if (!match || !this.svgContent) return null;
+    
+    return this.svgContent.querySelector(`[id="${match[1]}"]`);
+  }
+  
+  drawChildren(ctx, parent, style) {
+    for (const child of parent.children) {
+      this.drawElement(ctx, child, style);
+    }
+  }
+  
+  drawElement(ctx, el, inherited) {
+    const tag = el.localName;
+    const isGroup = tag === 'g' || tag === 'a' || tag === 'use';
+    if (!isGroup && !this.isShape(el)) return;
+    if (this.getStyleValue(el, 'display') === 'none') return;
+    
+    const style = this.computeStyle(el, inherited);
+    const opacity = this.parseOpacity(this.getStyleValue(el, 'opacity'));
+    if (opacity <= 0) return;
+    
+    ctx.save();
+    
+    const transform = el.getAttribute('transform');
+    if (transform) {
+      ctx.transform(...this.transformToMatrix(this.parseTransformList(transform)));
+    }
+    
+    const clipEl = this.resolveReference(this.getStyleValue(el, 'clip-path'));
+    if (clipEl) {
+      this.applyClipPath(ctx, clipEl, el);
+    }
+    
+    if (isGroup) {
+      const draw = target => {
+        if (tag === 'use') {
+          const ref = this.resolveReference(this.getHref(el));
+          target.translate(parseFloat(el.getAttribute('x')) || 0, parseFloat(el.getAttribute('y')) || 0);
+          if (ref) this.drawElement(target, ref, style);
+        } else {
+          this.drawChildren(target, el, style);
+        }
+      };
+      
+      if (opacity < 1) {
+        this.drawLayer(ctx, opacity, draw);
+      } else {
+        draw(ctx);
+      }
+    } else {
+      ctx.globalAlpha *= opacity;
+      this.drawShape(ctx, el, style);
+    }
+    
+    ctx.restore();
+  }
+  
+  drawLayer(ctx, opacity, draw) {
+    // Group opacity composites the children as a whole
+    const layer = ctx.canvas && this.createCanvas(ctx.canvas.width, ctx.canvas.height);
+    if (!layer || !ctx.getTransform) {
+      ctx.globalAlpha *= opacity;
+      draw(ctx);
+      return;
+    }
+    
+    const layerCtx = layer.getContext('2d');
+    layerCtx.setTransform(ctx.getTransform());
+    draw(layerCtx);
+    
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalAlpha *= opacity;
+    ctx.drawImage(layer, 0, 0);
+    ctx.restore();
+  }
+  
+  createCanvas(width, height) {
+    if (this.options.createCanvas) {
+      return this.options.createCanvas(width, height);
+    }
+    if (typeof OffscreenCanvas !== 'undefined') {
+      return new OffscreenCanvas(width, height);
+    }
+    if (typeof document !== 'undefined' && document.createElement) {
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      return canvas;
+    }
+    return null;
+  }
+  
+  drawShape(ctx, el, style) {
+    const subpaths = this.getShapeCubics(el);
+    if (!subpaths.length || style.visibility === 'hidden' || style.visibility === 'collapse') return;
+    
+    ctx.beginPath();
+    this.tracePath(ctx, subpaths);
+    
+    if (style.fill !== 'none' && el.localName !== 'line') {
+      ctx.save();
+      if (this.applyPaint(ctx, 'fillStyle', style.fill, style['fill-opacity'], style, subpaths)) {
+        ctx.fill(style['fill-rule'] === 'evenodd' ? 'evenodd' : 'nonzero');
+      }
+      ctx.restore();
+    }
+    
+    const strokeWidth = parseFloat(style['stroke-width']);
+    if (style.stroke !== 'none' && strokeWidth > 0) {
+      ctx.save();
+      ctx.lineWidth = strokeWidth;
+      ctx.lineCap = style['stroke-linecap'];
+      ctx.lineJoin = style['stroke-linejoin'] === 'round' || style['stroke-linejoin'] === 'bevel'
+        ? style['stroke-linejoin']
+        : 'miter';
+      ctx.miterLimit = parseFloat(style['stroke-miterlimit']) || 4;
+      
+      const dashes = this.parseNumberList(style['stroke-dasharray']);
+      if (dashes.length && dashes.some(dash => dash > 0) && ctx.setLineDash) {
+        // pathLength says how long the author took the path to be; dashes
+        // and their offset are scaled to its measured length to match
+        const pathLength = parseFloat(el.getAttribute('pathLength'));
+        const scale = pathLength > 0 ? this.getPathMeasure(this.shapeToPathData(el)).length / pathLength : 1;
+        ctx.setLineDash(dashes.map(dash => dash * scale));
+        ctx.lineDashOffset = (parseFloat(style['stroke-dashoffset']) || 0) * scale;
+      }
+      
+      if (this.applyPaint(ctx, 'strokeStyle', style.stroke, style['stroke-opacity'], style, subpaths)) {
+        ctx.stroke();
+      }
+      ctx.restore();
+    }
+  }
+  
+  tracePath(ctx, subpaths) {
+    subpaths.forEach(({ points, closed }) => {
+      ctx.moveTo(points[0], points[1]);
+      for (let i = 2; i < points.length; i += 6) {
+        ctx.bezierCurveTo(points[i], points[i + 1], points[i + 2], points[i + 3], points[i + 4], points[i + 5]);
+      }
+      if (closed) ctx.closePath();
+    });
+  }
+  
+  applyPaint(ctx, property, paint, opacity, style, subpaths) {
+    ctx.globalAlpha *= this.parseOpacity(opacity);
+    
+    const server = this.resolveReference(paint);
+    if (server) {
+      // Gradient geometry lives in its own coordinate system; the path is
+      // already traced, so changing the transform only affects the paint.
+      // A stroke would be stretched along with it, so its gradient is
+      // mapped into user space instead
+      const userSpace = property === 'strokeStyle';
+      const gradient = this.createGradient(ctx, server, this.getSubpathsBounds(subpaths), userSpace);
+      if (!gradient) return false;
+      
+      if (!userSpace) ctx.transform(...gradient.matrix);
+      ctx[property] = gradient.gradient;
+      return true;
+    }
+    
+    if (paint.startsWith('url(')) {
+      // Missing paint server: use the fallback color, if any
+      paint = paint.replace(/^url\([^)]*\)\s*/, '') || 'none';
+      if (paint === 'none') return false;
+    }
+    
+    ctx[property] = paint === 'currentColor' ? style.color : paint;
+    return true;
+  }
+  
+  getGradientAttribute(el, name, seen = new Set()) {
+    // Gradients inherit attributes and stops through href
+    if (el.hasAttribute(name)) return el.getAttribute(name);
+    seen.add(el);
+    
+    const ref = this.resolveReference(this.getHref(el));
+    if (!ref || seen.has(ref)) return null;
+    
+    return this.getGradientAttribute(ref, name, seen);
+  }
+  
+  getGradientStops(el, seen = new Set()) {
+    const stops = Array.from(el.children).filter(child => child.localName === 'stop');
+    if (stops.length) return stops;
+    seen.add(el);
+    
+    const ref = this.resolveReference(this.getHref(el));
+    if (!ref || seen.has(ref)) return [];
+    
+    return this.getGradientStops(ref, seen);
+  }
+  
+  createGradient(ctx, el, bounds, userSpace = false) {
+    const attr = name => this.getGradientAttribute(el, name);
+    const objectBoundingBox = (attr('gradientUnits') || 'objectBoundingBox') === 'objectBoundingBox';
+    const viewBox = this.parseNumberList(this.svgContent.getAttribute('viewBox'));
+    const viewport = viewBox.length === 4 ? [viewBox[2], viewBox[3]] : [this.options.width, this.options.height];
+    
+    const length = (name, fallback, axis) => {
+      const value = attr(name) || fallback;
+      const number = parseFloat(value);
+      if (!value.trim().endsWith('%')) return number;
+      if (objectBoundingBox) return number / 100;
+      const reference = axis === 'x' ? viewport[0] : axis === 'y' ? viewport[1] : Math.hypot(...viewport) / Math.SQRT2;
+      return number / 100 * reference;
+    };
+    
+    let matrix = [1, 0, 0, 1, 0, 0];
+    if (objectBoundingBox) {
+      if (bounds.width <= 0 || bounds.height <= 0) return null;
+      matrix = [bounds.width, 0, 0, bounds.height, bounds.x, bounds.y];
+    }
+    const gradientTransform = attr('gradientTransform');
+    if (gradientTransform) {
+      matrix = this.multiplyMatrices(matrix, this.transformToMatrix(this.parseTransformList(gradientTransform)));
+    }
+    
+    let gradient;
+    if (el.localName === 'linearGradient') {
+      let points = [length('x1', '0%', 'x'), length('y1', '0%', 'y'), length('x2', '100%', 'x'), length('y2', '0%', 'y')];
+      if (userSpace) points = this.mapLinearGradient(matrix, ...points);
+      gradient = ctx.createLinearGradient(...points);
+    } else {
+      let [cx, cy] = [length('cx', '50%', 'x'), length('cy', '50%', 'y')];
+      let [fx, fy] = [attr('fx') ? length('fx', '50%', 'x') : cx, attr('fy') ? length('fy', '50%', 'y') : cy];
+      let scale = 1;
+      if (userSpace) {
+        // Canvas gradients stay circular, so a stretched one takes the average scale
+        [cx, cy] = this.transformPoint(matrix, cx, cy);
+        [fx, fy] = this.transformPoint(matrix, fx, fy);
+        scale = Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]));
+      }
+      gradient = ctx.createRadialGradient(fx, fy, length('fr', '0%', 'r') * scale, cx, cy, length('r', '50%', 'r') * scale);
+    }
+    
+    let lastOffset = 0;
+    this.getGradientStops(el).forEach(stop => {
+      const rawOffset = stop.getAttribute('offset') || '0';
+      let offset = parseFloat(rawOffset) || 0;
+      if (rawOffset.trim().endsWith('%')) offset /= 100;
+      offset = Math.max(lastOffset, Math.min(1, Math.max(0, offset)));
+      lastOffset = offset;
+      
+      const color = this.getStyleValue(stop, 'stop-color') || 'black';
+      const opacity = this.parseOpacity(this.getStyleValue(stop, 'stop-opacity'));
+      gradient.addColorStop(offset, opacity < 1 ? this.colorWithOpacity(color, opacity) : color);
+    });
+    
+    return { gradient, matrix };
+  }
+  
+  // Maps a linear gradient's end points through a matrix. Stretching tilts
+  // its bands, so the new end points are placed along the direction the
+  // value changes fastest in, not just moved with the matrix
+  mapLinearGradient(m, x1, y1, x2, y2) {
+    const [ax, ay] = this.transformPoint(m, x1, y1);
+    const det = m[0] * m[3] - m[1] * m[2];
+    const vx = x2 - x1;
+    const vy = y2 - y1;
+    const squared = (vx * vx + vy * vy) * det;
+    if (!squared) return [ax, ay, ax, ay];
+    
+    const wx = (m[3] * vx - m[1] * vy) / squared;
+    const wy = (m[0] * vy - m[2] * vx) / squared;
+    const norm = wx * wx + wy * wy;
+    return [ax, ay, ax + wx / norm, ay + wy / norm];
+  }
+  
+  colorWithOpacity(color, opacity) {
+    const parsed = this.parseColor(color);
+    if (!parsed) return color;
+    
+    return this.formatColor({ ...parsed, a: parsed.a * opacity });
+  }
+  
+  applyClipPath(ctx, clipEl, el) {
+    let matrix = [1, 0, 0, 1, 0, 0];
+    if (clipEl.getAttribute('clipPathUnits') === 'objectBoundingBox') {
+      const bounds = this.getElementBounds(el);
+      if (!bounds) return;
+      matrix = [bounds.width, 0, 0, bounds.height, bounds.x, bounds.y];
+    }
+    const clipTransform = clipEl.getAttribute('transform');
+    if (clipTransform) {
+      matrix = this.multiplyMatrices(matrix, this.transformToMatrix(this.parseTransformList(clipTransform)));
+    }
+    
+    let rule = 'nonzero';
+    ctx.beginPath();
+    
+    // Transforms are applied while tracing; the path itself survives restore()
+    const trace = (child, base) => {
+      if (child.localName === 'use') {
+        const ref = this.resolveReference(this.getHref(child));
+        if (!ref) return;
+        ctx.save();
+        ctx.transform(...base);
+        ctx.translate(parseFloat(child.getAttribute('x')) || 0, parseFloat(child.getAttribute('y')) || 0);
+        trace(ref, [1, 0, 0, 1, 0, 0]);
+        ctx.restore();
+        return;
+      }
+      if (!this.isShape(child) || this.getStyleValue(child, 'display') === 'none') return;
+      
+      ctx.save();
+      ctx.transform(...base);
+      const transform = child.getAttribute('transform');
+      if (transform) ctx.transform(...this.transformToMatrix(this.parseTransformList(transform)));
+      this.tracePath(ctx, this.getShapeCubics(child));
+      ctx.restore();
+      
+      rule = this.getStyleValue(child, 'clip-rule') || rule;
+    };
+    
+    for (const child of clipEl.children) {
+      trace(child, matrix);
+    }
+    
+    ctx.clip(rule === 'evenodd' ? 'evenodd' : 'nonzero');
+  }
+  
+  getElementBounds(el) {
+    if (this.isShape(el)) {
+      return this.getSubpathsBounds(this.getShapeCubics(el));
+    }
+    
+    // Union of the children's bounds in this element's user space
+    let bounds = null;
+    for (const child of el.children) {
+      const childBounds = this.getElementBounds(child);
+      if (!childBounds) continue;
+      
+      const transform = child.getAttribute('transform');
+      const box = transform
+        ? this.transformBounds(childBounds, this.transformToMatrix(this.parseTransformList(transform)))
+        : childBounds;
+      bounds = bounds ? this.unionBounds(bounds, box) : box;
+    }
+    
+    return bounds;
+  }
+  
+  transformBounds(bounds, m) {
+    const corners = [
+      [bounds.x, bounds.y],
+      [bounds.x + bounds.width, bounds.y],
+      [bounds.x, bounds.y + bounds.height],
+      [bounds.x + bounds.width, bounds.y + bounds.height]
+    ].map(([x, y]) => [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]]);
+    
+    const xs = corners.map(point => point[0]);
+    const ys = corners.map(point => point[1]);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    
+    return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+  }
+  
+  unionBounds(a, b) {
+    const x = Math.min(a.x, b.x);
+    const y = Math.min(a.y, b.y);
+    return {
+      x,
+      y,
+      width: Math.max(a.x + a.width, b.x + b.width) - x,
+      height: Math.max(a.y + a.height, b.y + b.height) - y
+    };
+  }
+  
+  parseOpacity(value) {
+    if (value == null || value === '') return 1;
+    
+    let opacity = parseFloat(value);
+    if (isNaN(opacity)) return 1;
+    if (String(value).trim().endsWith('%')) opacity /= 100;
+    
+    return Math.min(1, Math.max(0, opacity));
+  }
+  
+  exportFrame(time, format = 'png', size = {}) {
+    const wasPlaying = this.state.playing;
+    if (wasPlaying) {
+      this.pause();
+    }
+    
+    this.seek(time);
+    const resume = result => {
+      if (wasPlaying) {
+        this.play(); // Resume playback if it was active
+      }
+      return result;
+    };
+    
+    if (format === 'svg') {
+      return Promise.resolve(resume(this.serializeSVG()));
+    }
+    
+    const canvas = this.createCanvas(size.width || this.options.width, size.height || this.options.height);
+    if (!canvas) {
+      return Promise.reject(resume(new Error('No canvas available; pass a createCanvas option')));
+    }
+    const feature = this.options.renderer === 'image' || !this.canRenderNatively()
+      ? this.findUnsupportedFeature(this.svgContent) || 'image renderer'
+      : null;
+    if (feature && typeof Image === 'undefined') {
+      return Promise.reject(resume(new Error(`Rendering ${feature} needs a browser`)));
+    }
+    
+    return new Promise((resolve, reject) => {
+      // Use the render callback to avoid race conditions
+      this.drawToCanvas(canvas, error => {
+        if (error) {
+          reject(resume(error));
+          return;
+        }
+        
+        const type = `image/${format}`;
+        const done = result => resolve(resume(result));
+        
+        // HTML canvas, OffscreenCanvas or a Node.js canvas package
+        if (canvas.convertToBlob) {
+          canvas.convertToBlob({ type }).then(done, reject);
+        } else if (canvas.toBlob) {
+          canvas.toBlob(done, type);
+        } else if (canvas.toBuffer) {
+          done(canvas.toBuffer(type));
+        } else {
+          reject(resume(new Error('Canvas cannot be encoded')));
+        }
+      });
+    });
+  }
+  
+  serializeSVG(node = this.svgContent) {
+    if (!node) return '';
+    if (node instanceof ASVGXMLNode || typeof XMLSerializer === 'undefined') {
+      return ASVGXMLNode.serialize(node);
+    }
+    
+    return new XMLSerializer().serializeToString(node);
   }
   
-  interpolateTransform(type, from, to, progress) {
-    const fromParts = from.split(/\s+/).map(parseFloat);
-    const toParts = to.split(/\s+/).map(parseFloat);
+  // Animation export
+  async exportAnimation(options = {}) {
+    const format = (options.format || 'gif').toLowerCase();
+    if (!['gif', 'apng', 'sprite', 'webm'].includes(format)) {
+      throw new Error(`Unsupported export format "${format}"`);
+    }
+    if (!this.svgContent) throw new Error('Nothing to export');
     
-    const interpolated = fromParts.map((val, i) => 
-      val + (toParts[i] - val) * progress
-    );
+    const fps = options.fps || this.options.fps;
+    const width = Math.round(options.width || this.options.width);
+    const height = Math.round(options.height || this.options.height);
+    const start = options.start || 0;
+    const end = options.end != null ? options.end : this.state.duration;
+    const loop = options.loop != null ? options.loop : this.options.loop;
     
-    switch (type) {
-      case 'translate':
-        return `translate(${interpolated.join(' ')})`;
-      case 'scale':
-        return `scale(${interpolated.join(' ')})`;
-      case 'rotate':
-        return `rotate(${interpolated.join(' ')})`;
-      case 'skewX':
-        return `skewX(${interpolated[0]})`;
-      case 'skewY':
-        return `skewY(${interpolated[0]})`;
-      default:
-        return '';
+    // Frames are stepped by index, never by wall clock; a loop's frame at
+    // the end would repeat its first frame
+    const times = this.getFrameTimes(fps, start, end);
+    if (loop && times.length > 1 && end - times[times.length - 1] < 1e-9) times.pop();
+    if (!times.length) throw new Error('No frames in the export range');
+    
+    const canvas = format === 'webm' && typeof document !== 'undefined' && document.createElement
+      ? Object.assign(document.createElement('canvas'), { width, height })
+      : this.createCanvas(width, height);
+    if (!canvas) throw new Error('No canvas available; pass a createCanvas option');
+    
+    const wasPlaying = this.state.playing;
+    const previousTime = this.state.currentTime;
+    if (wasPlaying) this.pause();
+    
+    // Frames render one at a time, each awaited, so they can't race
+    const renderFrame = async index => {
+      await new Promise((resolve, reject) => {
+        this.seek(times[index]);
+        this.drawToCanvas(canvas, error => (error ? reject(error) : resolve()));
+      });
+      if (options.background) {
+        const ctx = canvas.getContext('2d');
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalCompositeOperation = 'destination-over';
+        ctx.fillStyle = options.background;
+        ctx.fillRect(0, 0, width, height);
+        ctx.restore();
+      }
+      this.emit('exportprogress', {
+        format,
+        frame: index + 1,
+        frames: times.length,
+        progress: (index + 1) / times.length
+      });
+    };
+    const readPixels = () => canvas.getContext('2d').getImageData(0, 0, width, height).data;
+    const frameInfo = { fps, width, height, frames: times.length, duration: times.length / fps };
+    
+    try {
+      switch (format) {
+        case 'gif': {
+          const frames = [];
+          for (let i = 0; i < times.length; i++) {
+            await renderFrame(i);
+            frames.push(new Uint8Array(readPixels()));
+          }
+          const data = this.encodeGIF(frames, width, height, fps, loop);
+          return { ...frameInfo, type: 'image/gif', data: this.toBlob(data, 'image/gif') };
+        }
+        case 'apng': {
+          const frames = [];
+          for (let i = 0; i < times.length; i++) {
+            await renderFrame(i);
+            frames.push(await this.deflate(this.filterScanlines(readPixels(), width, height)));
+          }
+          const data = this.encodeAPNG(frames, width, height, fps, loop);
+          return { ...frameInfo, type: 'image/apng', data: this.toBlob(data, 'image/apng') };
+        }
+        case 'sprite': {
+          const columns = Math.max(1, Math.min(times.length, options.columns || Math.ceil(Math.sqrt(times.length))));
+          const rows = Math.ceil(times.length / columns);
+          const sheet = new Uint8Array(width * columns * height * rows * 4);
+          const metadata = { ...frameInfo, columns, rows, frameList: [] };
+          
+          for (let i = 0; i < times.length; i++) {
+            await renderFrame(i);
+            const pixels = readPixels();
+            const x = (i % columns) * width;
+            const y = Math.floor(i / columns) * height;
+            for (let row = 0; row < height; row++) {
+              sheet.set(
+                pixels.subarray(row * width * 4, (row + 1) * width * 4),
+                ((y + row) * width * columns + x) * 4
+              );
+            }
+            metadata.frameList.push({ index: i, time: times[i], x, y, width, height });
+          }
+          
+          const image = await this.encodePNG(sheet, width * columns, height * rows);
+          return { ...frameInfo, type: 'image/png', data: this.toBlob(image, 'image/png'), metadata };
+        }
+        case 'webm': {
+          const data = await this.encodeWebM(canvas, times, fps, renderFrame, options);
+          return { ...frameInfo, type: 'video/webm', data };
+        }
+      }
+    } finally {
+      this.seek(previousTime);
+      if (wasPlaying) this.play();
     }
   }
   
-  interpolateColor(from, to, progress, colorSpace = 'srgb') {
-    // Simple RGB interpolation
-    // In production, implement proper color space conversion
-    const fromRgb = this.parseColor(from);
-    const toRgb = this.parseColor(to);
-    
-    const r = Math.round(fromRgb.r + (toRgb.r - fromRgb.r) * progress);
-    const g = Math.round(fromRgb.g + (toRgb.g - fromRgb.g) * progress);
-    const b = Math.round(fromRgb.b + (toRgb.b - fromRgb.b) * progress);
+  toBlob(bytes, type) {
+    return typeof Blob !== 'undefined' ? new Blob([bytes], { type }) : bytes;
+  }
+  
+  concatBytes(parts) {
+    const length = parts.reduce((total, part) => total + part.length, 0);
+    const bytes = new Uint8Array(length);
+    let offset = 0;
+    parts.forEach(part => {
+      bytes.set(part, offset);
+      offset += part.length;
+    });
     
-    return `rgb(${r}, ${g}, ${b})`;
+    return bytes;
   }
   
-  parseColor(color) {
-    // Simple color parsing
-    const hex = color.match(/^#([0-9a-f]{6})$/i);
-    if (hex) {
-      return {
-        r: parseInt(hex[1].substr(0, 2), 16),
-        g: parseInt(hex[1].substr(2, 2), 16),
-        b: parseInt(hex[1].substr(4, 2), 16)
-      };
+  // GIF
+  encodeGIF(frames, width, height, fps, loop) {
+    const { palette, indexOf } = this.quantizeFrames(frames, 255);
+    const transparent = 255;
+    const bytes = [];
+    const word = value => bytes.push(value & 0xff, (value >> 8) & 0xff);
+    const text = value => bytes.push(...Array.from(value, char => char.charCodeAt(0)));
+    
+    text('GIF89a');
+    word(width);
+    word(height);
+    bytes.push(0xf7, 0, 0); // 256-entry global color table
+    for (let i = 0; i < 256; i++) {
+      const color = palette[i] || [0, 0, 0];
+      bytes.push(color[0], color[1], color[2]);
     }
     
-    const rgb = color.match(/^rgb\((\d+),\s*(\d+),\s*(\d+)\)$/);
-    if (rgb) {
-      return {
-        r: parseInt(rgb[1]),
-        g: parseInt(rgb[2]),
-        b: parseInt(rgb[3])
-      };
+    if (loop) {
+      bytes.push(0x21, 0xff, 0x0b);
+      text('NETSCAPE2.0');
+      bytes.push(0x03, 0x01, 0x00, 0x00, 0x00); // Repeat forever
     }
     
-    return { r: 0, g: 0, b: 0 };
+    const parts = [new Uint8Array(bytes)];
+    frames.forEach((pixels, frame) => {
+      // Delays are in hundredths of a second; rounding per frame would drift
+      const delay = Math.round((frame + 1) * 100 / fps) - Math.round(frame * 100 / fps);
+      const indices = new Uint8Array(width * height);
+      for (let i = 0, p = 0; i < indices.length; i++, p += 4) {
+        indices[i] = pixels[p + 3] < 128 ? transparent : indexOf(pixels[p], pixels[p + 1], pixels[p + 2]);
+      }
+      
+      const header = [
+        0x21, 0xf9, 0x04, 0x09, delay & 0xff, (delay >> 8) & 0xff, transparent, 0x00,
+        0x2c, 0, 0, 0, 0, width & 0xff, width >> 8, height & 0xff, height >> 8, 0x00,
+        0x08
+      ];
+      parts.push(new Uint8Array(header), this.encodeSubBlocks(this.lzwEncode(indices, 8)));
+    });
+    parts.push(new Uint8Array([0x3b]));
+    
+    return this.concatBytes(parts);
   }
   
-  getPointOnPath(pathData, progress) {
-    // Simplified path point calculation
-    // In production, use proper SVG path parsing
-    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    path.setAttribute('d', pathData);
+  // Median cut over a 15-bit histogram of every frame, so all frames share
+  // one palette and flat areas don't flicker between frames
+  quantizeFrames(frames, maxColors) {
+    const histogram = new Uint32Array(32768);
+    const key = (r, g, b) => ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    frames.forEach(pixels => {
+      for (let p = 0; p < pixels.length; p += 4) {
+        if (pixels[p + 3] >= 128) histogram[key(pixels[p], pixels[p + 1], pixels[p + 2])]++;
+      }
+    });
+    
+    const colors = [];
+    histogram.forEach((count, color) => {
+      if (count) colors.push(color);
+    });
+    
+    const channel = (color, c) => (color >> (10 - c * 5)) & 31;
+    const createBox = box => {
+      let range = 0;
+      let widest = 0;
+      for (let c = 0; c < 3; c++) {
+        let min = 31;
+        let max = 0;
+        box.forEach(color => {
+          const value = channel(color, c);
+          if (value < min) min = value;
+          if (value > max) max = value;
+        });
+        if (max - min > range) {
+          range = max - min;
+          widest = c;
+        }
+      }
+      return { colors: box, range, widest };
+    };
+    
+    const boxes = colors.length ? [createBox(colors)] : [];
+    while (boxes.length < maxColors) {
+      // Split the box with the widest channel range at its weighted median
+      let best = -1;
+      boxes.forEach((box, index) => {
+        if (box.range > 0 && (best < 0 || box.range > boxes[best].range)) best = index;
+      });
+      if (best < 0) break;
+      
+      const { colors: box, widest } = boxes[best];
+      box.sort((a, b) => channel(a, widest) - channel(b, widest));
+      const total = box.reduce((sum, color) => sum + histogram[color], 0);
+      let split = 0;
+      for (let seen = 0; split < box.length - 1 && seen + histogram[box[split]] <= total / 2; split++) {
+        seen += histogram[box[split]];
+      }
+      split = Math.max(1, split);
+      boxes.splice(best, 1, createBox(box.slice(0, split)), createBox(box.slice(split)));
+    }
     
-    const length = path.getTotalLength();
-    const point = path.getPointAtLength(length * progress);
+    const palette = boxes.map(({ colors: box }) => {
+      const sum = [0, 0, 0];
+      let count = 0;
+      box.forEach(color => {
+        const weight = histogram[color];
+        for (let c = 0; c < 3; c++) sum[c] += (channel(color, c) * 8 + 4) * weight;
+        count += weight;
+      });
+      return sum.map(value => Math.round(value / count));
+    });
     
-    // Calculate angle
-    const point1 = path.getPointAtLength(length * progress - 1);
-    const point2 = path.getPointAtLength(length * progress + 1);
-    const angle = Math.atan2(point2.y - point1.y, point2.x - point1.x) * 180 / Math.PI;
+    const lookup = new Int16Array(32768).fill(-1);
+    const indexOf = (r, g, b) => {
+      const color = key(r, g, b);
+      if (lookup[color] < 0) {
+        let best = 0;
+        let bestDistance = Infinity;
+        palette.forEach(([pr, pg, pb], index) => {
+          const distance = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+          if (distance < bestDistance) {
+            best = index;
+            bestDistance = distance;
+          }
+        });
+        lookup[color] = best;
+      }
+      return lookup[color];
+    };
     
-    return { x: point.x, y: point.y, angle };
+    return { palette, indexOf };
   }
   
-  interpolatePath(fromPath, toPath, progress) {
-    // Simple path interpolation
-    // In production, use proper path morphing algorithm
-    return progress < 0.5 ? fromPath : toPath;
+  lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const output = [];
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+    let buffer = 0;
+    let bits = 0;
+    
+    const write = code => {
+      buffer |= code << bits;
+      bits += codeSize;
+      while (bits >= 8) {
+        output.push(buffer & 0xff);
+        buffer >>= 8;
+        bits -= 8;
+      }
+    };
+    
+    write(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+      const key = (prefix << 8) | indices[i];
+      if (table.has(key)) {
+        prefix = table.get(key);
+        continue;
+      }
+      
+      write(prefix);
+      if (nextCode === 4096) {
+        write(clearCode);
+        table = new Map();
+        nextCode = endCode + 1;
+        codeSize = minCodeSize + 1;
+      } else {
+        if (nextCode >= 1 << codeSize) codeSize++;
+        table.set(key, nextCode++);
+      }
+      prefix = indices[i];
+    }
+    write(prefix);
+    write(endCode);
+    if (bits > 0) output.push(buffer & 0xff);
+    
+    return output;
   }
   
-  // State management
-  setState(stateId) {
-    const stateEl = this.states.get(stateId);
-    if (!stateEl) return;
+  encodeSubBlocks(data) {
+    const bytes = new Uint8Array(data.length + Math.ceil(data.length / 255) + 1);
+    let offset = 0;
+    for (let i = 0; i < data.length; i += 255) {
+      const block = data.slice(i, i + 255);
+      bytes[offset++] = block.length;
+      bytes.set(block, offset);
+      offset += block.length;
+    }
+    bytes[offset] = 0;
     
-    this.state.currentState = stateId;
+    return bytes;
+  }
+  
+  // PNG and APNG
+  async encodePNG(pixels, width, height) {
+    const data = await this.deflate(this.filterScanlines(pixels, width, height));
+    return this.concatBytes([
+      new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      this.pngChunk('IHDR', this.pngHeader(width, height)),
+      this.pngChunk('IDAT', data),
+      this.pngChunk('IEND', new Uint8Array(0))
+    ]);
+  }
+  
+  encodeAPNG(frames, width, height, fps, loop) {
+    const parts = [
+      new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      this.pngChunk('IHDR', this.pngHeader(width, height)),
+      this.pngChunk('acTL', this.uint32Bytes(frames.length, loop ? 0 : 1))
+    ];
     
-    // Parse and apply state animations
-    const stateTimeline = this.parseTimeline(stateEl);
-    this.timeline = stateTimeline;
+    let sequence = 0;
+    const delayDen = Math.min(65535, Math.round(fps * 100));
+    frames.forEach((data, frame) => {
+      const control = new Uint8Array(26);
+      control.set(this.uint32Bytes(sequence++, width, height, 0, 0));
+      control.set([0, 100, delayDen >> 8, delayDen & 0xff, 0, 0], 20); // Dispose none, blend source
+      parts.push(this.pngChunk('fcTL', control));
+      
+      // The first frame doubles as the still image shown by plain PNG viewers
+      if (frame === 0) {
+        parts.push(this.pngChunk('IDAT', data));
+      } else {
+        parts.push(this.pngChunk('fdAT', this.concatBytes([this.uint32Bytes(sequence++), data])));
+      }
+    });
+    parts.push(this.pngChunk('IEND', new Uint8Array(0)));
     
-    // Reset animations
-    this.state.currentTime = 0;
-    this._startTime = performance.now();
+    return this.concatBytes(parts);
+  }
+  
+  pngHeader(width, height) {
+    const header = new Uint8Array(13);
+    header.set(this.uint32Bytes(width, height));
+    header.set([8, 6, 0, 0, 0], 8); // 8-bit RGBA
+    return header;
+  }
+  
+  pngChunk(type, data) {
+    const typeBytes = Uint8Array.from(type, char => char.charCodeAt(0));
+    const body = this.concatBytes([typeBytes, data]);
+    return this.concatBytes([this.uint32Bytes(data.length), body, this.uint32Bytes(this.crc32(body))]);
+  }
+  
+  uint32Bytes(...values) {
+    const bytes = new Uint8Array(values.length * 4);
+    const view = new DataView(bytes.buffer);
+    values.forEach((value, i) => view.setUint32(i * 4, value >>> 0));
+    return bytes;
+  }
+  
+  crc32(bytes) {
+    if (!OpenASVG.crcTable) {
+      OpenASVG.crcTable = new Uint32Array(256).map((_, n) => {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        return c;
+      });
+    }
     
-    this.emit('statechange', { state: stateId });
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = OpenASVG.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
   }
   
-  setupTriggers() {
-    if (!this.svgContent) return;
+  // Each scanline gets the PNG filter that leaves the smallest residuals
+  filterScanlines(pixels, width, height) {
+    const stride = width * 4;
+    const output = new Uint8Array((stride + 1) * height);
+    const candidate = new Uint8Array(stride);
     
-    this.triggers.forEach(trigger => {
-      const targets = this.svgContent.querySelectorAll(trigger.target || '*');
+    for (let y = 0; y < height; y++) {
+      const row = y * stride;
+      let bestSum = Infinity;
       
-      targets.forEach(target => {
-        target.addEventListener(trigger.event, () => {
-          this.setState(trigger.state);
-        });
-      });
-    });
+      for (let filter = 0; filter < 5; filter++) {
+        let sum = 0;
+        for (let x = 0; x < stride; x++) {
+          const value = pixels[row + x];
+          const left = x >= 4 ? pixels[row + x - 4] : 0;
+          const up = y > 0 ? pixels[row - stride + x] : 0;
+          const upLeft = y > 0 && x >= 4 ? pixels[row - stride + x - 4] : 0;
+          let predicted = 0;
+          if (filter === 1) predicted = left;
+          else if (filter === 2) predicted = up;
+          else if (filter === 3) predicted = (left + up) >> 1;
+          else if (filter === 4) {
+            const p = left + up - upLeft;
+            const pa = Math.abs(p - left);
+            const pb = Math.abs(p - up);
+            const pc = Math.abs(p - upLeft);
+            predicted = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+          }
+          const residual = (value - predicted) & 0xff;
+          candidate[x] = residual;
+          sum += residual < 128 ? residual : 256 - residual;
+        }
+        if (sum < bestSum) {
+          bestSum = sum;
+          output[y * (stride + 1)] = filter;
+          output.set(candidate, y * (stride + 1) + 1);
+        }
+      }
+    }
+    
+    return output;
   }
   
-  // Rendering
-  render(canvas, callback) { // Add callback parameter
-    if (!this.svgContent || !canvas) return;
+  async deflate(bytes) {
+    if (typeof CompressionStream !== 'undefined' && typeof Response !== 'undefined') {
+      const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
     
-    const ctx = canvas.getContext('2d');
-    const svgData = new XMLSerializer().serializeToString(this.svgContent);
-    const blob = new Blob([svgData], { type: 'image/svg+xml' });
-    const url = URL.createObjectURL(blob);
+    // Without CompressionStream, store the data in uncompressed zlib blocks
+    const blocks = [new Uint8Array([0x78, 0x01])];
+    for (let i = 0; i === 0 || i < bytes.length; i += 65535) {
+      const block = bytes.subarray(i, i + 65535);
+      const final = i + 65535 >= bytes.length ? 1 : 0;
+      blocks.push(new Uint8Array([final, block.length & 0xff, block.length >> 8, ~block.length & 0xff, (~block.length >> 8) & 0xff]), block);
+    }
     
-    const img = new Image();
+    let a = 1;
+    let b = 0;
+    for (let i = 0; i < bytes.length; i++) {
+      a = (a + bytes[i]) % 65521;
+      b = (b + a) % 65521;
+    }
+    blocks.push(this.uint32Bytes((b << 16) | a));
     
-    img.onload = () => {
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-        URL.revokeObjectURL(url);
-        if (callback) callback(); // Execute the callback here
-    };
+    return this.concatBytes(blocks);
+  }
+  
+  // WebM
+  async encodeWebM(canvas, times, fps, renderFrame, options) {
+    if (typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined') {
+      return this.encodeWebCodecs(canvas, times, fps, renderFrame, options);
+    }
+    if (typeof MediaRecorder !== 'undefined' && canvas.captureStream) {
+      return this.recordMediaStream(canvas, times, fps, renderFrame, options);
+    }
     
-    img.onerror = (e) => {
-      console.error('Error rendering SVG:', e);
-      URL.revokeObjectURL(url);
-    };
+    throw new Error('WebM export needs WebCodecs or MediaRecorder');
+  }
+  
+  async encodeWebCodecs(canvas, times, fps, renderFrame, options) {
+    const { width, height } = canvas;
+    const candidates = [['vp09.00.10.08', 'V_VP9'], ['vp8', 'V_VP8']];
+    let codec = null;
+    for (const [name, codecId] of candidates) {
+      const config = { codec: name, width, height, bitrate: options.bitrate || 5e6, framerate: fps };
+      const support = await VideoEncoder.isConfigSupported(config);
+      if (support.supported) {
+        codec = { config, codecId };
+        break;
+      }
+    }
+    if (!codec) throw new Error('No supported WebM video codec');
     
-    img.src = url;
+    const chunks = [];
+    let failure = null;
+    const encoder = new VideoEncoder({
+      output: chunk => {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        chunks.push({ data, time: chunk.timestamp / 1000, key: chunk.type === 'key' });
+      },
+      error: error => {
+        failure = error;
+      }
+    });
+    encoder.configure(codec.config);
+    
+    const frameDuration = 1e6 / fps;
+    for (let i = 0; i < times.length; i++) {
+      await renderFrame(i);
+      const frame = new VideoFrame(canvas, { timestamp: Math.round(i * frameDuration), duration: Math.round(frameDuration) });
+      encoder.encode(frame, { keyFrame: i % Math.max(1, Math.round(fps * 2)) === 0 });
+      frame.close();
+      if (failure) break;
+    }
+    await encoder.flush();
+    encoder.close();
+    if (failure) throw failure;
+    
+    const data = this.muxWebM(chunks, width, height, codec.codecId, times.length * 1000 / fps);
+    return this.toBlob(data, 'video/webm');
   }
   
-  exportFrame(time, format = 'png') {
-    const wasPlaying = this.state.playing;
-    if (wasPlaying) {
-        this.pause();
+  // MediaRecorder timestamps frames as they arrive, so this records in real time
+  async recordMediaStream(canvas, times, fps, renderFrame, options) {
+    const stream = canvas.captureStream(0);
+    const [track] = stream.getVideoTracks();
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+      .find(type => MediaRecorder.isTypeSupported(type));
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: options.bitrate || 5e6 });
+    const data = [];
+    recorder.ondataavailable = event => {
+      if (event.data.size) data.push(event.data);
+    };
+    const stopped = new Promise(resolve => {
+      recorder.onstop = resolve;
+    });
+    
+    recorder.start();
+    for (let i = 0; i < times.length; i++) {
+      await renderFrame(i);
+      if (track.requestFrame) track.requestFrame();
+      await new Promise(resolve => setTimeout(resolve, 1000 / fps));
     }
-
-    this.seek(time);
+    recorder.stop();
+    await stopped;
+    track.stop();
     
-    const canvas = document.createElement('canvas');
-    canvas.width = this.options.width;
-    canvas.height = this.options.height;
-    
-    return new Promise((resolve) => {
-        // Use the new render callback to avoid race conditions
-        this.render(canvas, () => {
-            canvas.toBlob(blob => {
-                if (wasPlaying) {
-                    this.play(); // Resume playback if it was active
-                }
-                resolve(blob);
-            }, `image/${format}`);
-        });
+    return new Blob(data, { type: 'video/webm' });
+  }
+  
+  muxWebM(chunks, width, height, codecId, duration) {
+    const vint = size => {
+      let length = 1;
+      while (length < 8 && size >= 2 ** (7 * length) - 1) length++;
+      const bytes = new Uint8Array(length);
+      let value = size;
+      for (let i = length - 1; i >= 0; i--) {
+        bytes[i] = value % 256;
+        value = Math.floor(value / 256);
+      }
+      bytes[0] |= 1 << (8 - length);
+      return bytes;
+    };
+    const idBytes = id => {
+      const bytes = [];
+      for (let value = id; value > 0; value = Math.floor(value / 256)) bytes.unshift(value % 256);
+      return new Uint8Array(bytes);
+    };
+    const element = (id, ...children) => {
+      const data = this.concatBytes(children);
+      return this.concatBytes([idBytes(id), vint(data.length), data]);
+    };
+    const uint = (id, value) => {
+      const bytes = [];
+      for (let remaining = value; bytes.length === 0 || remaining > 0; remaining = Math.floor(remaining / 256)) {
+        bytes.unshift(remaining % 256);
+      }
+      return element(id, new Uint8Array(bytes));
+    };
+    const string = (id, value) => element(id, Uint8Array.from(value, char => char.charCodeAt(0)));
+    const float = (id, value) => {
+      const bytes = new Uint8Array(8);
+      new DataView(bytes.buffer).setFloat64(0, value);
+      return element(id, bytes);
+    };
+    
+    // A new cluster starts at every key frame, and before block timecodes,
+    // which are 16-bit offsets from the cluster, could overflow
+    const clusters = [];
+    let cluster = null;
+    chunks.forEach(chunk => {
+      const time = Math.round(chunk.time);
+      if (!cluster || chunk.key || time - cluster.time > 30000) {
+        cluster = { time, blocks: [] };
+        clusters.push(cluster);
+      }
+      const offset = time - cluster.time;
+      cluster.blocks.push(element(
+        0xa3,
+        new Uint8Array([0x81, (offset >> 8) & 0xff, offset & 0xff, chunk.key ? 0x80 : 0x00]),
+        chunk.data
+      ));
     });
-}
+    
+    return this.concatBytes([
+      element(0x1a45dfa3,
+        uint(0x4286, 1), uint(0x42f7, 1), uint(0x42f2, 4), uint(0x42f3, 8),
+        string(0x4282, 'webm'), uint(0x4287, 2), uint(0x4285, 2)
+      ),
+      element(0x18538067,
+        element(0x1549a966,
+          uint(0x2ad7b1, 1000000), // Timecodes in milliseconds
+          string(0x4d80, 'openasvg.js'),
+          string(0x5741, 'openasvg.js'),
+          float(0x4489, duration)
+        ),
+        element(0x1654ae6b,
+          element(0xae,
+            uint(0xd7, 1), uint(0x73c5, 1), uint(0x9c, 0),
+            string(0x86, codecId), uint(0x83, 1),
+            element(0xe0, uint(0xb0, width), uint(0xba, height))
+          )
+        ),
+        ...clusters.map(({ time, blocks }) => element(0x1f43b675, uint(0xe7, time), ...blocks))
+      )
+    ]);
+  }
   
   // Event handling
   emit(event, data = {}) {
@@ -910,6 +7087,7 @@ class OpenASVG {
   
   set playbackRate(rate) {
     this.state.playbackRate = rate;
+    this.rebaseClock();
   }
   
   get loop() {
@@ -927,15 +7105,316 @@ class OpenASVG {
   // Cleanup
   destroy() {
     this.stop();
+    this.unmount();
+    this.teardownTriggers();
+    this.detachCanvas();
     this.targetCache.clear();
+    this.animatedAttributes.clear();
+    this.pathCache.clear();
+    this.geometryCache.clear();
+    this.expressionCache.clear();
+    this.expressionErrors.clear();
+    this.easingCache.clear();
     this.variables.clear();
     this.states.clear();
+    this.stateNodes.clear();
+    this.stateTimelines.clear();
+    this.stateHistory.clear();
+    this.activeStates.clear();
+    this.transitions = [];
+    this.transition = null;
+    this.particleLayers.clear();
+    this.unobserveResize();
+    this.responsiveRules = [];
+    this.responsiveTimeline = null;
     this.triggers = [];
     this.timeline = null;
+    this.document = null;
     this.svgContent = null;
   }
 }
 
+OpenASVG.ExpressionError = ASVGExpressionError;
+OpenASVG.XMLError = ASVGXMLError;
+OpenASVG.ValidationError = ASVGValidationError;
+OpenASVG.schema = ASVG_SCHEMA;
+OpenASVG.validate = source => new OpenASVG(null, { autoplay: false }).validate(source);
+OpenASVG.parseXMLDocument = source => ASVGXMLNode.parse(source);
+OpenASVG.serializeXML = node => ASVGXMLNode.serialize(node);
+
+// Element descriptors for the authoring API, e.g.
+// asvg.timeline.add(OpenASVG.elements.animate({ target: '#dot', attribute: 'r', to: 20, duration: 1 }))
+OpenASVG.element = (name, attributes = {}, children = []) => ({ name, attributes, children });
+
+OpenASVG.elements = {};
+[
+  ['animate', 'animate'],
+  ['animateTransform', 'animate-transform'],
+  ['animatePath', 'animate-path'],
+  ['animateColor', 'animate-color'],
+  ['morph', 'morph'],
+  ['keyframes', 'keyframes'],
+  ['key', 'key'],
+  ['sequence', 'sequence'],
+  ['parallel', 'parallel'],
+  ['animateSet', 'animate-set'],
+  ['particles', 'particles'],
+  ['marker', 'marker']
+].forEach(([method, name]) => {
+  // Attribute names may be given in camelCase, times in seconds and lists
+  // as arrays; keyframes also take their keys as { offset, value, easing }
+  OpenASVG.elements[method] = (attributes = {}, children = []) => {
+    if (Array.isArray(attributes)) [attributes, children] = [{}, attributes];
+    const { keys, ...rest } = attributes;
+    
+    const result = {};
+    Object.entries(rest).forEach(([key, value]) => {
+      if (value === null || value === undefined) return;
+      
+      const attribute = key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+      if (Array.isArray(value)) {
+        value = value.join(';');
+      } else if (typeof value === 'number' && ['start', 'duration', 'time'].includes(attribute)) {
+        value = `${value}s`;
+      } else if (value === Infinity && attribute === 'repeat') {
+        value = 'infinite';
+      }
+      result[attribute] = String(value);
+    });
+    
+    if (keys) children = keys.map(key => OpenASVG.elements.key(key)).concat(children);
+    
+    return OpenASVG.element(name, result, children);
+  };
+});
+
+// Starts an empty document to build on, e.g.
+// OpenASVG.create({ width: 400, height: 400, duration: '2s' })
+OpenASVG.create = (attributes = {}, options = {}) => {
+  const { width = 800, height = 600, viewBox = `0 0 ${width} ${height}`, ...rest } = attributes;
+  const root = {
+    version: '2025.7',
+    xmlns: 'http://halide.org/openasvg/2025.7',
+    'xmlns:svg': 'http://www.w3.org/2000/svg',
+    width,
+    height,
+    ...rest
+  };
+  const escape = value => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+  const rootAttributes = Object.keys(root)
+    .filter(name => root[name] !== null && root[name] !== undefined)
+    .map(name => ` ${name}="${escape(root[name])}"`)
+    .join('');
+  
+  return new OpenASVG(
+    `<asvg${rootAttributes}>\n  <svg:svg viewBox="${escape(viewBox)}"/>\n</asvg>`,
+    { autoplay: false, ...options }
+  );
+};
+
+// <asvg-player> custom element
+if (typeof HTMLElement !== 'undefined' && typeof customElements !== 'undefined') {
+  class ASVGPlayerElement extends HTMLElement {
+    static get observedAttributes() {
+      return ['src', 'loop', 'controls'];
+    }
+    
+    constructor() {
+      super();
+      
+      this.animation = null;
+      this._visible = false;
+      this._pausedOffscreen = false;
+      this._observer = null;
+      
+      const root = this.attachShadow({ mode: 'open' });
+      root.innerHTML = `
+        <style>
+          :host { display: inline-block; position: relative; }
+          [part="stage"] > svg { display: block; width: 100%; height: auto; }
+          [part="controls"] { display: flex; align-items: center; gap: 8px; padding: 4px 0; }
+          [part="controls"][hidden], [part="stage"][hidden] { display: none; }
+          [part="scrubber"] { flex: 1; }
+        </style>
+        <div part="fallback"><slot></slot></div>
+        <div part="stage" hidden></div>
+        <div part="controls" hidden>
+          <button part="play-button" type="button" aria-label="Play">&#9654;</button>
+          <input part="scrubber" type="range" min="0" max="0" step="any" value="0" aria-label="Seek">
+        </div>
+      `;
+      
+      this._stage = root.querySelector('[part="stage"]');
+      this._fallback = root.querySelector('[part="fallback"]');
+      this._controls = root.querySelector('[part="controls"]');
+      this._button = root.querySelector('[part="play-button"]');
+      this._scrubber = root.querySelector('[part="scrubber"]');
+      
+      this._button.addEventListener('click', () => {
+        if (this.playing) {
+          this.pause();
+        } else {
+          this.play();
+        }
+      });
+      this._scrubber.addEventListener('input', () => {
+        if (this.animation) this.animation.seek(parseFloat(this._scrubber.value));
+      });
+    }
+    
+    connectedCallback() {
+      this._controls.hidden = !this.hasAttribute('controls');
+      
+      if (typeof IntersectionObserver === 'undefined') {
+        this._setVisible(true);
+        return;
+      }
+      
+      this._observer = new IntersectionObserver(entries => {
+        this._setVisible(entries.some(entry => entry.isIntersecting));
+      });
+      this._observer.observe(this);
+    }
+    
+    disconnectedCallback() {
+      if (this._observer) {
+        this._observer.disconnect();
+        this._observer = null;
+      }
+      this._unload();
+    }
+    
+    attributeChangedCallback(name, oldValue, newValue) {
+      if (oldValue === newValue) return;
+      
+      switch (name) {
+        case 'src':
+          this._unload();
+          if (this._visible) this._load();
+          break;
+        case 'loop':
+          if (this.animation) this.animation.loop = newValue !== null;
+          break;
+        case 'controls':
+          this._controls.hidden = newValue === null;
+          break;
+      }
+    }
+    
+    _setVisible(visible) {
+      this._visible = visible;
+      
+      if (visible && !this.animation) {
+        this._load();
+      } else if (!visible && this.playing) {
+        this._pausedOffscreen = true;
+        this.animation.pause();
+      } else if (visible && this._pausedOffscreen) {
+        this._pausedOffscreen = false;
+        this.animation.play();
+      }
+    }
+    
+    _load() {
+      const src = this.getAttribute('src');
+      if (!src) return;
+      
+      const animation = new OpenASVG(src, {
+        autoplay: false,
+        loop: this.hasAttribute('loop')
+      });
+      this.animation = animation;
+      
+      animation.on('ready', () => {
+        animation.mount(this._stage);
+        this._stage.hidden = false;
+        this._fallback.hidden = true;
+        this._scrubber.max = animation.duration;
+        this.toggleAttribute('ready', true);
+        
+        if (this.hasAttribute('autoplay')) this.play();
+      });
+      animation.on('update', () => {
+        this._scrubber.value = animation.currentTime;
+      });
+      animation.on('seek', () => {
+        this._scrubber.value = animation.currentTime;
+      });
+      
+      ['ready', 'play', 'pause', 'end', 'error', 'statechange'].forEach(type => {
+        animation.on(type, event => {
+          if (type === 'play' || type === 'pause' || type === 'end') this._reflectState();
+          this.dispatchEvent(new CustomEvent(type, { detail: event.detail }));
+        });
+      });
+    }
+    
+    _unload() {
+      if (!this.animation) return;
+      
+      this.animation.destroy();
+      this.animation = null;
+      this._pausedOffscreen = false;
+      this._stage.hidden = true;
+      this._fallback.hidden = false;
+      this.removeAttribute('ready');
+      this._reflectState();
+    }
+    
+    _reflectState() {
+      const playing = this.playing;
+      this.toggleAttribute('playing', playing);
+      this._button.innerHTML = playing ? '&#10074;&#10074;' : '&#9654;';
+      this._button.setAttribute('aria-label', playing ? 'Pause' : 'Play');
+    }
+    
+    play() {
+      if (this.animation) {
+        if (this.animation.currentTime >= this.animation.duration) this.animation.seek(0);
+        this.animation.play();
+      }
+    }
+    
+    pause() {
+      this._pausedOffscreen = false;
+      if (this.animation) this.animation.pause();
+    }
+    
+    get playing() {
+      return !!this.animation && !this.animation.paused;
+    }
+    
+    get currentTime() {
+      return this.animation ? this.animation.currentTime : 0;
+    }
+    
+    set currentTime(time) {
+      if (this.animation) this.animation.seek(time);
+    }
+    
+    get duration() {
+      return this.animation ? this.animation.duration : 0;
+    }
+    
+    get src() {
+      return this.getAttribute('src');
+    }
+    
+    set src(value) {
+      this.setAttribute('src', value);
+    }
+  }
+  
+  if (!customElements.get('asvg-player')) {
+    customElements.define('asvg-player', ASVGPlayerElement);
+  }
+  OpenASVG.PlayerElement = ASVGPlayerElement;
+}
+
 // Export for different module systems
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = OpenASVG;